@@ -0,0 +1,65 @@
+const { app, safeStorage } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Secrets are stored as "<scheme>:<base64>":
+//   ss  - Electron safeStorage (DPAPI, Keychain, libsecret/kwallet)
+//   aes - AES-256-GCM with a per-user key file, for Linux setups without a keyring
+const KEY_FILE = 'credential.key';
+
+function fallbackKey() {
+  const keyPath = path.join(app.getPath('userData'), KEY_FILE);
+  try {
+    const key = fs.readFileSync(keyPath);
+    if (key.length === 32) return key;
+  } catch {}
+  const key = crypto.randomBytes(32);
+  fs.writeFileSync(keyPath, key, { mode: 0o600 });
+  return key;
+}
+
+// Linux falls back to a hard-coded key when no keyring is running; that is no better than plain text
+function safeStorageUsable() {
+  if (!safeStorage.isEncryptionAvailable()) return false;
+  if (process.platform === 'linux' && safeStorage.getSelectedStorageBackend) {
+    return safeStorage.getSelectedStorageBackend() !== 'basic_text';
+  }
+  return true;
+}
+
+function encryptSecret(plain) {
+  if (!plain) return '';
+  if (safeStorageUsable()) {
+    return `ss:${safeStorage.encryptString(plain).toString('base64')}`;
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', fallbackKey(), iv);
+  const data = Buffer.concat([cipher.update(plain, 'utf-8'), cipher.final()]);
+  return `aes:${Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64')}`;
+}
+
+// Returns '' when the secret cannot be decrypted (e.g. settings copied from another machine)
+function decryptSecret(sealed) {
+  if (!sealed) return '';
+  const [scheme, payload] = [sealed.slice(0, sealed.indexOf(':')), sealed.slice(sealed.indexOf(':') + 1)];
+  try {
+    const raw = Buffer.from(payload, 'base64');
+    if (scheme === 'ss') {
+      return safeStorage.decryptString(raw);
+    }
+    if (scheme === 'aes') {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', fallbackKey(), raw.subarray(0, 12));
+      decipher.setAuthTag(raw.subarray(12, 28));
+      return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf-8');
+    }
+  } catch (error) {
+    console.error('Error decrypting stored credential:', error.message);
+  }
+  return '';
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret
+};
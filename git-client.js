@@ -0,0 +1,147 @@
+const path = require('path');
+const { execFile } = require('child_process');
+const { resolveTool } = require('./tool-resolver');
+
+// Thin wrapper over the local git executable. Every call runs in a folder of the
+// workspace; paths given and returned are relative to the workspace root (posix).
+const GIT_TIMEOUT = 30000;
+const MAX_BUFFER = 32 * 1024 * 1024;
+
+function git(cwd, args) {
+  return new Promise((resolve, reject) => {
+    const executable = resolveTool('git').path;
+    if (!executable) {
+      reject(new Error('git executable not found on PATH'));
+      return;
+    }
+    execFile(executable, args, { cwd, timeout: GIT_TIMEOUT, maxBuffer: MAX_BUFFER, windowsHide: true }, (error, stdout, stderr) => {
+      if (error) {
+        const message = (stderr || '').trim() || error.message;
+        reject(new Error(error.code === 'ENOENT' ? 'git executable not found on PATH' : message));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// Workspace folder inside the repository ('' at the top level), or null outside a repository
+async function repoPrefix(root) {
+  try {
+    const inside = (await git(root, ['rev-parse', '--is-inside-work-tree'])).trim();
+    if (inside !== 'true') return null;
+    return (await git(root, ['rev-parse', '--show-prefix'])).trim();
+  } catch {
+    return null;
+  }
+}
+
+// One status letter per entry: M modified, A added, D deleted, R renamed, U untracked, ! conflict
+function statusLetter(x, y) {
+  if (x === '?' && y === '?') return 'U';
+  if (x === 'U' || y === 'U' || (x === 'A' && y === 'A') || (x === 'D' && y === 'D')) return '!';
+  if (x === 'R' || y === 'R') return 'R';
+  if (x === 'A') return 'A';
+  if (x === 'D' || y === 'D') return 'D';
+  return 'M';
+}
+
+// Branch and changed files below root:
+// { isRepo, branch, files: [{ rel, index, worktree, letter, from? }] }
+// index / worktree are the two porcelain columns (' ' when unchanged on that side).
+async function gitStatus(root) {
+  const prefix = await repoPrefix(root);
+  if (prefix === null) return { isRepo: false, branch: null, files: [] };
+
+  const out = await git(root, ['status', '--porcelain=v1', '-z', '--branch', '--untracked-files=all', '--', '.']);
+  const entries = out.split('\0');
+  const files = [];
+  let branch = null;
+  const toRel = repoPath => (repoPath.startsWith(prefix) ? repoPath.slice(prefix.length) : repoPath);
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!entry) continue;
+    if (entry.startsWith('## ')) {
+      const head = entry.slice(3);
+      const noCommits = /^(?:No commits yet|Initial commit) on (.+)$/.exec(head);
+      branch = noCommits ? noCommits[1] : head.split('...')[0].replace(/ \[.*\]$/, '');
+      continue;
+    }
+    const x = entry[0];
+    const y = entry[1];
+    const file = { rel: toRel(entry.slice(3)), index: x, worktree: y, letter: statusLetter(x, y) };
+    // Renames and copies carry the original path as the next entry
+    if (x === 'R' || x === 'C' || y === 'R' || y === 'C') file.from = toRel(entries[++i] || '');
+    files.push(file);
+  }
+  return { isRepo: true, branch, files };
+}
+
+// Text of rel at HEAD ('HEAD') or in the index ('index'); null when it is not there
+async function gitShow(root, rel, ref = 'HEAD') {
+  const spec = `${ref === 'index' ? '' : ref}:./${rel}`;
+  try {
+    return await git(root, ['show', spec]);
+  } catch {
+    return null;
+  }
+}
+
+async function gitStage(root, rels) {
+  await git(root, ['add', '-A', '--', ...rels]);
+}
+
+// Before the first commit there is no HEAD to restore from, so drop the paths from the index instead
+async function gitUnstage(root, rels) {
+  try {
+    await git(root, ['restore', '--staged', '--', ...rels]);
+  } catch (error) {
+    try {
+      await git(root, ['rev-parse', '--verify', 'HEAD']);
+    } catch {
+      await git(root, ['rm', '--cached', '-r', '-q', '--', ...rels]);
+      return;
+    }
+    throw error;
+  }
+}
+
+// Commit what is staged; returns git's summary line
+async function gitCommit(root, message) {
+  const out = await git(root, ['commit', '-m', message]);
+  return out.split('\n')[0];
+}
+
+async function gitBranches(root) {
+  const out = await git(root, ['branch', '--format=%(refname:short)']);
+  const current = (await git(root, ['branch', '--show-current'])).trim();
+  const branches = out.split('\n').map(b => b.trim()).filter(Boolean);
+  // A branch without commits is not listed yet
+  if (current && !branches.includes(current)) branches.unshift(current);
+  return { current, branches };
+}
+
+// Branch names never start with '-'; such a name would be read as an option
+async function gitCheckout(root, branch) {
+  if (typeof branch !== 'string' || !branch || branch.startsWith('-')) {
+    throw new Error(`Invalid branch name: ${branch}`);
+  }
+  await git(root, ['checkout', branch, '--']);
+}
+
+// Full path of a workspace-relative entry
+function gitPath(root, rel) {
+  return path.join(root, ...rel.split('/'));
+}
+
+module.exports = {
+  gitStatus,
+  gitShow,
+  gitStage,
+  gitUnstage,
+  gitCommit,
+  gitBranches,
+  gitCheckout,
+  gitPath
+};
@@ -0,0 +1,338 @@
+const { app } = require('electron');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { resolveTool } = require('./tool-resolver');
+
+// Language servers run locally over stdio, one per (server, workspace root).
+// settings.languageServers holds an optional path per server id; empty means search PATH.
+const LANGUAGE_SERVERS = {
+  clangd: {
+    languages: ['c', 'cpp'],
+    candidates: ['clangd']
+  },
+  python: {
+    languages: ['python'],
+    candidates: ['pyright-langserver', 'pylsp']
+  },
+  jdtls: {
+    languages: ['java'],
+    candidates: ['jdtls']
+  }
+};
+
+const REQUEST_TIMEOUT = 10000;
+const INITIALIZE_TIMEOUT = 120000; // jdtls imports the project before answering
+const STDERR_TAIL = 2000;
+
+const servers = new Map(); // `${id}\n${root}` -> server
+const documents = new Map(); // file path -> { key, version }
+let listeners = { onDiagnostics: () => {}, onStatus: () => {} };
+
+function setListeners(handlers) {
+  listeners = { ...listeners, ...handlers };
+}
+
+function serverIdFor(languageId) {
+  return Object.keys(LANGUAGE_SERVERS).find(id => LANGUAGE_SERVERS[id].languages.includes(languageId)) || null;
+}
+
+// Command line for one server binary; pyright and jdtls need extra arguments
+function serverArgs(id, command, root) {
+  const name = path.basename(command).toLowerCase();
+  if (name.startsWith('pyright')) return ['--stdio'];
+  if (id === 'clangd') return ['--background-index'];
+  if (id === 'jdtls') {
+    const data = crypto.createHash('sha1').update(root).digest('hex');
+    return ['-data', path.join(app.getPath('userData'), 'jdtls-workspaces', data)];
+  }
+  return [];
+}
+
+// npm and pip install Windows launchers as .cmd files, which only start through a shell
+function spawnServer(command, args, cwd) {
+  const found = resolveTool(command);
+  if (!found.path) return Promise.reject(new Error(found.error));
+  command = found.path;
+  const shell = process.platform === 'win32' && !/\.exe$/i.test(command);
+  const quote = s => (shell && /\s/.test(s) ? `"${s}"` : s);
+  const proc = spawn(quote(command), args.map(quote), { cwd, shell, stdio: ['pipe', 'pipe', 'pipe'] });
+  return new Promise((resolve, reject) => {
+    proc.once('spawn', () => resolve(proc));
+    proc.once('error', reject);
+  });
+}
+
+// JSON-RPC with Content-Length framing over the server's stdin/stdout
+function createConnection(proc, onNotification) {
+  let buffer = Buffer.alloc(0);
+  let nextId = 1;
+  const pending = new Map();
+
+  const send = (message) => {
+    const json = JSON.stringify({ jsonrpc: '2.0', ...message });
+    proc.stdin.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`);
+  };
+
+  // Requests from the server; only the ones servers block on get a real answer
+  const answer = (message) => {
+    if (message.method === 'workspace/configuration') {
+      send({ id: message.id, result: (message.params.items || []).map(() => null) });
+    } else if (['window/workDoneProgress/create', 'client/registerCapability', 'client/unregisterCapability'].includes(message.method)) {
+      send({ id: message.id, result: null });
+    } else if (message.method === 'workspace/workspaceFolders') {
+      send({ id: message.id, result: null });
+    } else {
+      send({ id: message.id, error: { code: -32601, message: `Unhandled method ${message.method}` } });
+    }
+  };
+
+  const dispatch = (message) => {
+    if (message.method && message.id !== undefined) {
+      answer(message);
+    } else if (message.method) {
+      onNotification(message.method, message.params);
+    } else if (pending.has(message.id)) {
+      const { resolve, reject, timer } = pending.get(message.id);
+      pending.delete(message.id);
+      clearTimeout(timer);
+      if (message.error) reject(new Error(message.error.message));
+      else resolve(message.result);
+    }
+  };
+
+  proc.stdout.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    for (;;) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+      const match = /Content-Length:\s*(\d+)/i.exec(buffer.subarray(0, headerEnd).toString('ascii'));
+      if (!match) {
+        buffer = buffer.subarray(headerEnd + 4);
+        continue;
+      }
+      const start = headerEnd + 4;
+      const end = start + Number(match[1]);
+      if (buffer.length < end) return;
+      const body = buffer.subarray(start, end).toString('utf-8');
+      buffer = buffer.subarray(end);
+      try {
+        dispatch(JSON.parse(body));
+      } catch (error) {
+        console.error('Invalid language server message:', error);
+      }
+    }
+  });
+
+  const request = (method, params, timeout = REQUEST_TIMEOUT) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      reject(new Error(`${method} timed out`));
+    }, timeout);
+    pending.set(id, { resolve, reject, timer });
+    send({ id, method, params });
+  });
+
+  const notify = (method, params) => send({ method, params });
+
+  const dropPending = (reason) => {
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(new Error(reason));
+    }
+    pending.clear();
+  };
+
+  return { request, notify, dropPending };
+}
+
+const CLIENT_CAPABILITIES = {
+  textDocument: {
+    synchronization: { dynamicRegistration: false, didSave: false },
+    completion: {
+      completionItem: { snippetSupport: true, documentationFormat: ['markdown', 'plaintext'] }
+    },
+    hover: { contentFormat: ['markdown', 'plaintext'] },
+    signatureHelp: {
+      signatureInformation: {
+        documentationFormat: ['markdown', 'plaintext'],
+        parameterInformation: { labelOffsetSupport: true }
+      }
+    },
+    definition: { linkSupport: true },
+    publishDiagnostics: { relatedInformation: false }
+  },
+  workspace: { configuration: true, workspaceFolders: true }
+};
+
+// Start (or reuse) the server for id in root. Tries each candidate command in turn and
+// resolves to the initialized server; rejects when none of them can be started.
+function ensureServer(id, root, configured) {
+  const key = `${id}\n${root}`;
+  if (servers.has(key)) return servers.get(key).ready;
+
+  const server = { id, root, key, proc: null, connection: null, stderr: '' };
+  server.ready = (async () => {
+    const candidates = configured ? [configured] : LANGUAGE_SERVERS[id].candidates;
+    let lastError = null;
+    for (const command of candidates) {
+      try {
+        server.proc = await spawnServer(command, serverArgs(id, command, root), root);
+        server.command = command;
+        break;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    if (!server.proc) {
+      throw new Error(`${candidates.join(' / ')} could not be started (${lastError.message})`);
+    }
+
+    server.proc.stderr.on('data', (chunk) => {
+      server.stderr = (server.stderr + chunk.toString()).slice(-STDERR_TAIL);
+    });
+    server.connection = createConnection(server.proc, (method, params) => {
+      if (method === 'textDocument/publishDiagnostics') {
+        listeners.onDiagnostics({ path: uriToPath(params.uri), diagnostics: params.diagnostics || [] });
+      }
+    });
+    server.proc.on('exit', (code, signal) => {
+      server.connection.dropPending(`${server.command} exited`);
+      if (servers.get(key) === server) servers.delete(key);
+      for (const [filePath, doc] of documents) {
+        if (doc.key === key) documents.delete(filePath);
+      }
+      if (!server.stopping) {
+        listeners.onStatus({ server: id, state: 'stopped', message: `${server.command} exited (${signal || code})`, stderr: server.stderr });
+      }
+    });
+    server.proc.stdin.on('error', () => {});
+
+    const rootUri = pathToFileURL(root).href;
+    const result = await server.connection.request('initialize', {
+      processId: process.pid,
+      rootUri,
+      rootPath: root,
+      workspaceFolders: [{ uri: rootUri, name: path.basename(root) }],
+      capabilities: CLIENT_CAPABILITIES
+    }, INITIALIZE_TIMEOUT);
+    server.capabilities = result.capabilities || {};
+    server.connection.notify('initialized', {});
+    listeners.onStatus({ server: id, state: 'ready', message: `${server.command} started for ${root}` });
+    return server;
+  })();
+
+  servers.set(key, server);
+  server.ready.catch((error) => {
+    if (servers.get(key) === server) servers.delete(key);
+    server.stopping = true;
+    if (server.proc) server.proc.kill();
+    listeners.onStatus({ server: id, state: 'error', message: error.message, stderr: server.stderr });
+  });
+  return server.ready;
+}
+
+function pathToUri(filePath) {
+  return pathToFileURL(filePath).href;
+}
+
+function uriToPath(uri) {
+  try {
+    return fileURLToPath(uri);
+  } catch {
+    return uri;
+  }
+}
+
+// Open a document on the server for its language; false when the language has no server
+async function openDocument({ root, languageId, filePath, text, configured }) {
+  const id = serverIdFor(languageId);
+  if (!id) return false;
+  const server = await ensureServer(id, root, configured);
+  const previous = documents.get(filePath);
+  if (previous && previous.key === server.key) {
+    changeDocument(filePath, text);
+    return true;
+  }
+  documents.set(filePath, { key: server.key, version: 1 });
+  server.connection.notify('textDocument/didOpen', {
+    textDocument: { uri: pathToUri(filePath), languageId, version: 1, text }
+  });
+  return true;
+}
+
+function serverOf(filePath) {
+  const doc = documents.get(filePath);
+  const server = doc && servers.get(doc.key);
+  return server && server.connection ? { doc, server } : null;
+}
+
+// Whole-text change; valid whatever sync kind the server prefers
+function changeDocument(filePath, text) {
+  const open = serverOf(filePath);
+  if (!open) return false;
+  open.doc.version++;
+  open.server.connection.notify('textDocument/didChange', {
+    textDocument: { uri: pathToUri(filePath), version: open.doc.version },
+    contentChanges: [{ text }]
+  });
+  return true;
+}
+
+function closeDocument(filePath) {
+  const open = serverOf(filePath);
+  documents.delete(filePath);
+  if (!open) return;
+  open.server.connection.notify('textDocument/didClose', { textDocument: { uri: pathToUri(filePath) } });
+}
+
+// Definition results come as Location, Location[] or LocationLink[]; always [{ path, range }]
+function normalizeLocations(result) {
+  const list = Array.isArray(result) ? result : (result ? [result] : []);
+  return list.map(loc => ({
+    path: uriToPath(loc.targetUri || loc.uri),
+    range: loc.targetSelectionRange || loc.targetRange || loc.range
+  }));
+}
+
+// Position-based request (completion, hover, signatureHelp, definition) for an open document
+async function requestAt(filePath, method, params) {
+  const open = serverOf(filePath);
+  if (!open) return null;
+  const result = await open.server.connection.request(method, {
+    textDocument: { uri: pathToUri(filePath) },
+    ...params
+  });
+  return method === 'textDocument/definition' ? normalizeLocations(result) : result;
+}
+
+// Ask every server to shut down; servers that do not answer are killed
+async function stopServers() {
+  const running = [...servers.values()];
+  servers.clear();
+  documents.clear();
+  await Promise.all(running.map(async (server) => {
+    server.stopping = true;
+    try {
+      await server.ready;
+      await server.connection.request('shutdown', null, 3000);
+      server.connection.notify('exit', null);
+    } catch {
+      // Failed to start or not answering
+    }
+    if (server.proc && server.proc.exitCode === null) server.proc.kill();
+  }));
+}
+
+module.exports = {
+  LANGUAGE_SERVERS,
+  setListeners,
+  serverIdFor,
+  openDocument,
+  changeDocument,
+  closeDocument,
+  requestAt,
+  stopServers
+};
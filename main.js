@@ -1,385 +1,977 @@
-const { app, BrowserWindow, ipcMain, dialog, Menu } = require('electron');
-const path = require('path');
-const fs = require('fs');
-const { exec } = require('child_process');
-
-let watchers = new Map();
-let win;
-let workspaceRoot = null;
-
-// Server settings file path (in user's app data directory)
-const { app } = require('electron');
-const SERVER_SETTINGS_PATH = path.join(app.getPath('userData'), 'server-settings.json');
-
-
-// Read server settings from file
-async function readServerSettings() {
-  try {
-    // Check if settings file exists in user data directory
-    if (fs.existsSync(SERVER_SETTINGS_PATH)) {
-      const data = fs.readFileSync(SERVER_SETTINGS_PATH, 'utf-8');
-      const settings = JSON.parse(data);
-      // Update rclone config when reading settings
-      await updateRcloneConfig(settings);
-      return settings;
-    } else {
-      // Try to copy default settings from app directory
-      const defaultSettingsPath = path.join(__dirname, 'server-settings.json');
-      if (fs.existsSync(defaultSettingsPath)) {
-        const defaultData = fs.readFileSync(defaultSettingsPath, 'utf-8');
-        const defaultSettings = JSON.parse(defaultData);
-        // Write default settings to user data directory
-        fs.writeFileSync(SERVER_SETTINGS_PATH, defaultData, 'utf-8');
-        // Update rclone config with default settings
-        await updateRcloneConfig(defaultSettings);
-        return defaultSettings;
-      }
-    }
-  } catch (error) {
-    console.error('Error reading server settings:', error);
-  }
-  return {};
-}
-
-// Update rclone config using rclone config create command
-async function updateRcloneConfig(settings) {
-  return new Promise((resolve, reject) => {
-    if (!settings.ip || !settings.user) {
-      resolve(false);
-      return;
-    }
-
-    // Create rclone config directory if it doesn't exist
-    const rcloneConfigDir = path.join(process.env.APPDATA, 'rclone');
-    if (!fs.existsSync(rcloneConfigDir)) {
-      try {
-        fs.mkdirSync(rcloneConfigDir, { recursive: true });
-      } catch (error) {
-        console.error('Error creating rclone config directory:', error);
-        resolve(false);
-        return;
-      }
-    }
-
-    // Get rclone executable path
-    let rcloneExecutable = settings.rclonePath || 'rclone';
-
-    
-    // Fix rclone path if it's a directory
-    if (rcloneExecutable) {
-      // Check if path ends with directory separator
-      if (rcloneExecutable.endsWith('\\') || rcloneExecutable.endsWith('/')) {
-        // Add rclone.exe to directory path
-        rcloneExecutable += 'rclone.exe';
-      } else if (rcloneExecutable.includes('\\') || rcloneExecutable.includes('/')) {
-        // Check if it's a directory (ends with rclone folder name)
-        const lastPart = rcloneExecutable.split(/[/\\]/).pop();
-        if (lastPart.toLowerCase() === 'rclone') {
-          // It's a directory, add .exe
-          rcloneExecutable += '.exe';
-        }
-      } else if (!rcloneExecutable.endsWith('.exe')) {
-        // If it's just a filename without path, add .exe if needed
-        rcloneExecutable += '.exe';
-      }
-    }
-
-    // Use rclone config create command to generate config
-    const configName = 'cloud-compiler-sftp';
-    const command = `${rcloneExecutable} config create ${configName} sftp ` +
-      `host="${settings.ip}" ` +
-      `user="${settings.user}" ` +
-      `port=22 ` +
-      (settings.pass ? `pass="${settings.pass}" ` : '') +
-      `--non-interactive`;
-
-    console.log('Running rclone config command:', command);
-    exec(command, { windowsHide: true }, (error, stdout, stderr) => {
-      if (error) {
-        console.error('Error updating rclone config:', error);
-        console.error('stderr:', stderr);
-        console.error('stdout:', stdout);
-        resolve(false);
-      } else {
-        console.log('rclone config updated successfully');
-        console.log('stdout:', stdout);
-        resolve(true);
-      }
-    });
-  });
-}
-
-// Write server settings to file
-async function writeServerSettings(settings) {
-  try {
-    fs.writeFileSync(SERVER_SETTINGS_PATH, JSON.stringify(settings, null, 2), 'utf-8');
-    // Update rclone config after writing settings
-    await updateRcloneConfig(settings);
-    return true;
-  } catch (error) {
-    console.error('Error writing server settings:', error);
-    return false;
-  }
-}
-
-function createWindow() {
-  win = new BrowserWindow({
-    width: 1280,
-    height: 860,
-    webPreferences: {
-      preload: path.join(__dirname, 'preload.js')
-    }
-  });
-
-  win.loadFile('index.html');
-
-  const template = [
-    {
-      label: 'File',
-      submenu: [
-        { label: 'Open Folder...', accelerator: 'Ctrl+O', click: pickAndOpenWorkspace },
-        { type: 'separator' },
-        { role: 'quit' }
-      ]
-    },
-    {
-      label: 'Settings',
-      submenu: [
-        {
-          label: 'Server Settings',
-          click: () => {
-            win.webContents.send('open-server-settings');
-          }
-        }
-      ]
-    },
-    { role: 'editMenu' },
-    { role: 'viewMenu' }
-  ];
-  const menu = Menu.buildFromTemplate(template);
-  Menu.setApplicationMenu(menu);
-}
-
-
-
-app.whenReady().then(createWindow);
-
-app.on('window-all-closed', () => {
-  for (const watcher of watchers.values()) {
-    try { watcher.close(); } catch {}
-  }
-  if (process.platform !== 'darwin') app.quit();
-});
-
-app.on('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) createWindow();
-});
-
-async function pickAndOpenWorkspace() {
-  const result = await dialog.showOpenDialog(win, {
-    properties: ['openDirectory']
-  });
-  if (!result.canceled && result.filePaths[0]) {
-    openWorkspace(result.filePaths[0]);
-  }
-}
-
-function openWorkspace(folderPath) {
-  workspaceRoot = folderPath;
-  const tree = readTree(folderPath);
-  win.webContents.send('workspace-opened', { rootPath: folderPath, tree });
-  watchFolderRecursive(folderPath);
-}
-
-function safeStat(p) {
-  try { return fs.statSync(p); } catch { return null; }
-}
-
-// Read directory recursively
-function readTree(dirPath) {
-  const stat = safeStat(dirPath);
-  if (!stat || !stat.isDirectory()) return null;
-
-  const node = {
-    name: path.basename(dirPath),
-    path: dirPath,
-    type: 'folder',
-    children: []
-  };
-
-  let entries = [];
-  try {
-    entries = fs.readdirSync(dirPath, { withFileTypes: true });
-  } catch {
-    entries = [];
-  }
-
-  for (const entry of entries) {
-    const full = path.join(dirPath, entry.name);
-    if (entry.isDirectory()) {
-      node.children.push(readTree(full));
-    } else if (entry.isFile()) {
-      node.children.push({
-        name: entry.name,
-        path: full,
-        type: 'file'
-      });
-    }
-  }
-  return node;
-}
-
-// Watch folder recursively and notify renderer
-function watchFolderRecursive(root) {
-  // clear existing watchers first
-  for (const [p, w] of [...watchers]) {
-    if (p.startsWith(root)) {
-      try { w.close(); } catch {}
-      watchers.delete(p);
-    }
-  }
-  attachWatcher(root);
-}
-
-function attachWatcher(dir) {
-  if (watchers.has(dir)) return;
-  const watcher = fs.watch(dir, { recursive: false }, (_eventType, filename) => {
-    // Emit a lightweight change signal; renderer will rebuild tree but preserve expansion state
-    const rootPath = workspaceRoot || dir;
-    const fullTree = readTree(rootPath);
-    win.webContents.send('workspace-refresh', { rootPath, tree: fullTree });
-    // Add watcher for new subfolder
-    const subPath = filename ? path.join(dir, filename) : null;
-    const st = subPath ? safeStat(subPath) : null;
-    if (st && st.isDirectory()) {
-      attachWatcher(subPath);
-    }
-  });
-  watchers.set(dir, watcher);
-
-  // Attach watchers to subfolders
-  let entries = [];
-  try {
-    entries = fs.readdirSync(dir, { withFileTypes: true });
-  } catch {
-    entries = [];
-  }
-  for (const entry of entries) {
-    if (entry.isDirectory()) {
-      attachWatcher(path.join(dir, entry.name));
-    }
-  }
-}
-
-// IPC handlers
-
-ipcMain.handle('pick-workspace', async (_e, path) => {
-  let folder;
-  if (path !== undefined) {
-    folder = path;
-  } else {
-    const result = await dialog.showOpenDialog(win, { properties: ['openDirectory'] });
-    if (result.canceled || !result.filePaths[0]) return null;
-    folder = result.filePaths[0];
-    watchFolderRecursive(folder);
-    workspaceRoot = folder;
-  }
-  const tree = readTree(folder);
-  return { rootPath: folder, tree };
-});
-
-ipcMain.handle('read-file', async (_e, filePath) => {
-  return fs.readFileSync(filePath, 'utf-8');
-});
-
-ipcMain.handle('save-file', async (_e, { filePath, content }) => {
-  fs.writeFileSync(filePath, content, 'utf-8');
-  return true;
-});
-
-ipcMain.handle('create-file', async (_e, { parentDir, name }) => {
-  const full = path.join(parentDir, name);
-  fs.writeFileSync(full, '', 'utf-8');
-  return { path: full };
-});
-
-ipcMain.handle('create-folder', async (_e, { parentDir, name }) => {
-  const full = path.join(parentDir, name);
-  fs.mkdirSync(full, { recursive: true });
-  return { path: full };
-});
-
-ipcMain.handle('rename-entry', async (_e, { oldPath, newName }) => {
-  const dir = path.dirname(oldPath);
-  const newPath = path.join(dir, newName);
-  fs.renameSync(oldPath, newPath);
-  return { path: newPath };
-});
-
-ipcMain.handle('delete-entry', async (_e, { entryPath }) => {
-  const stat = safeStat(entryPath);
-  if (!stat) return false;
-  if (stat.isDirectory()) {
-    fs.rmSync(entryPath, { recursive: true, force: true });
-  } else {
-    fs.unlinkSync(entryPath);
-  }
-  return true;
-});
-
-// Server settings IPC handlers
-ipcMain.handle('read-server-settings', async () => {
-  return readServerSettings();
-});
-
-ipcMain.handle('write-server-settings', async (_e, settings) => {
-  return writeServerSettings(settings);
-});
-
-// Check if rclone is available
-ipcMain.handle('check-rclone', async () => {
-  return new Promise((resolve) => {
-    exec('rclone --version', { windowsHide: true }, (error, stdout, stderr) => {
-      resolve({
-        available: !error,
-        version: stdout ? stdout.split('\n')[0] : null,
-        error: error ? error.message : null
-      });
-    });
-  });
-});
-
-// Get rclone path
-ipcMain.handle('get-rclone-path', async () => {
-  return new Promise((resolve) => {
-    // Try to find rclone in PATH
-    exec('where rclone', { windowsHide: true }, (error, stdout, stderr) => {
-      if (error) {
-        // Try powershell command to find rclone
-        exec('powershell -Command "Get-Command rclone | Select-Object -ExpandProperty Source"', { windowsHide: true }, (psError, psStdout, psStderr) => {
-          if (psError) {
-            resolve({ path: null, error: 'rclone not found in PATH' });
-          } else {
-            resolve({ path: psStdout.trim(), error: null });
-          }
-        });
-      } else {
-        resolve({ path: stdout.trim(), error: null });
-      }
-    });
-  });
-});
-
-// Rclone execution IPC handler
-ipcMain.handle('execute-rclone', async (_e, command) => {
-  return new Promise((resolve) => {
-    exec(command, { windowsHide: true }, (error, stdout, stderr) => {
-      resolve({
-        error: error ? error.message : null,
-        stdout: stdout,
-        stderr: stderr,
-        success: !error
-      });
-    });
-  });
-});
+const { app, BrowserWindow, ipcMain, dialog, Menu } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const {
+  syncDirectory, syncPaths, syncTwoWay, readRemoteFile, resolveConflict,
+  writeRemoteFile, listRemoteDir, deleteRemotePath, downloadRemotePath,
+  remoteRootFor, loadManifest, saveManifest
+} = require('./sftp-sync');
+const {
+  normalizeSettings,
+  sealSettings,
+  publicSettings,
+  unsealProfile,
+  profileForWorkspace,
+  bindProfile
+} = require('./server-profiles');
+const { loadIgnore, isIgnoreFile } = require('./sync-ignore');
+const {
+  rememberWorkspace,
+  forgetWorkspace,
+  clearRecent,
+  recentWorkspaces,
+  lastWorkspace,
+  workspaceState,
+  saveWorkspaceState
+} = require('./session-store');
+const { searchInWorker, replaceInWorkspace } = require('./workspace-search');
+const {
+  setListeners: setLspListeners,
+  serverIdFor,
+  openDocument,
+  changeDocument,
+  closeDocument,
+  requestAt,
+  stopServers
+} = require('./lsp-bridge');
+const {
+  gitStatus,
+  gitShow,
+  gitStage,
+  gitUnstage,
+  gitCommit,
+  gitBranches,
+  gitCheckout,
+  gitPath
+} = require('./git-client');
+const { loadSnippets, saveSnippets, watchSnippets } = require('./snippet-store');
+const { beginSync, recordProgress, endSync, syncHistory, findSync, lastSync } = require('./sync-history');
+const { resolveTool } = require('./tool-resolver');
+const { requestServer, streamServer, abortStream } = require('./run-client');
+
+let watchers = new Map();
+let win;
+let workspaceRoot = null;
+let activeSync = null;
+
+// Incremental sync: watcher events collect workspace-relative paths here
+const pendingChanges = new Set();
+let pendingTimer = null;
+let activeFlush = null;
+let autoSyncDelay = 0; // ms of quiet before pending changes are pushed, 0 = manual
+let fullSyncedKey = null; // sync target last mirrored completely
+let syncProgress = null; // { action, path, index, total } of the sync in flight
+let ignoreCache = null; // { root, matcher } from .gitignore / .bobocloudignore, dropped when they change
+let closeConfirmed = false; // renderer has dealt with unsaved tabs, let the window close
+
+// Server settings file path (in user's app data directory)
+const SERVER_SETTINGS_PATH = path.join(app.getPath('userData'), 'server-settings.json');
+
+
+// Read server settings from file. Plain-text secrets left by older versions are
+// encrypted and written back; the renderer gets the settings without any secrets.
+async function readServerSettings() {
+  try {
+    let raw = null;
+    // Check if settings file exists in user data directory
+    if (fs.existsSync(SERVER_SETTINGS_PATH)) {
+      raw = JSON.parse(fs.readFileSync(SERVER_SETTINGS_PATH, 'utf-8'));
+    } else {
+      // Try to copy default settings from app directory
+      const defaultSettingsPath = path.join(__dirname, 'server-settings.json');
+      if (fs.existsSync(defaultSettingsPath)) {
+        raw = JSON.parse(fs.readFileSync(defaultSettingsPath, 'utf-8'));
+      }
+    }
+    if (raw) {
+      const settings = sealSettings(normalizeSettings(raw));
+      fs.writeFileSync(SERVER_SETTINGS_PATH, JSON.stringify(settings, null, 2), 'utf-8');
+      return publicSettings(settings);
+    }
+  } catch (error) {
+    console.error('Error reading server settings:', error);
+  }
+  return normalizeSettings({});
+}
+
+// Read saved server settings as stored (secrets still sealed)
+function loadSavedSettings() {
+  try {
+    return normalizeSettings(JSON.parse(fs.readFileSync(SERVER_SETTINGS_PATH, 'utf-8')));
+  } catch {
+    return normalizeSettings({});
+  }
+}
+
+// Profile, remote folder and manifest used to sync a workspace.
+// twoWay is set when the settings ask for two-way sync instead of a one-way mirror.
+function syncTarget(root) {
+  const settings = loadSavedSettings();
+  const profile = unsealProfile(profileForWorkspace(settings, root));
+  if (!profile || !profile.host || !profile.user) return null;
+  const remoteRoot = remoteRootFor(root, profile.remoteRoot);
+  const key = `${profile.user}@${profile.host}:${profile.port}|${root}|${remoteRoot}`;
+  return {
+    profile,
+    remoteRoot,
+    key,
+    manifestPath: manifestPathFor(key),
+    twoWay: settings.syncMode === 'two-way',
+    ignore: ignoreFor(root)
+  };
+}
+
+// Ignore rules of a workspace, shared by sync, watchers and the tree
+function ignoreFor(root) {
+  if (!ignoreCache || ignoreCache.root !== root) ignoreCache = { root, matcher: loadIgnore(root) };
+  return ignoreCache.matcher;
+}
+
+// Workspace-relative posix path, or null for paths outside root
+function relativeTo(root, fullPath) {
+  const rel = path.relative(root, fullPath);
+  if (rel.startsWith('..') || path.isAbsolute(rel)) return null;
+  return rel.split(path.sep).join('/');
+}
+
+// Write server settings to file
+async function writeServerSettings(settings) {
+  try {
+    const saved = loadSavedSettings();
+    settings = sealSettings(normalizeSettings(settings), saved);
+    fs.writeFileSync(SERVER_SETTINGS_PATH, JSON.stringify(settings, null, 2), 'utf-8');
+    // New language server paths take effect after a restart; the renderer reopens its documents
+    if (JSON.stringify(settings.languageServers || {}) !== JSON.stringify(saved.languageServers || {})) {
+      await stopServers();
+      win.webContents.send('lsp-restarted');
+    }
+    buildAppMenu();
+    return publicSettings(settings);
+  } catch (error) {
+    console.error('Error writing server settings:', error);
+    return false;
+  }
+}
+
+function createWindow() {
+  win = new BrowserWindow({
+    width: 1280,
+    height: 860,
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js')
+    }
+  });
+
+  closeConfirmed = false;
+  // Ask the renderer about unsaved tabs first; it answers with confirm-close
+  win.on('close', (e) => {
+    if (closeConfirmed) return;
+    e.preventDefault();
+    win.webContents.send('app-closing');
+  });
+
+  win.loadFile('index.html');
+  buildAppMenu();
+}
+
+// Application menu; rebuilt when profiles or the open workspace change
+function buildAppMenu() {
+  const settings = loadSavedSettings();
+  const current = profileForWorkspace(settings, workspaceRoot);
+  const profileItems = settings.profiles.map(profile => ({
+    label: `${profile.name} (${profile.user}@${profile.host})`,
+    type: 'radio',
+    checked: !!current && current.name === profile.name,
+    click: () => switchProfile(profile.name)
+  }));
+
+  const recentItems = recentWorkspaces().map(root => ({ label: root, click: () => openRecentWorkspace(root) }));
+
+  const template = [
+    {
+      label: 'File',
+      submenu: [
+        { label: 'Open Folder...', accelerator: 'Ctrl+O', click: pickAndOpenWorkspace },
+        {
+          label: 'Open Recent',
+          submenu: recentItems.length
+            ? [...recentItems, { type: 'separator' }, { label: 'Clear Recently Opened', click: () => { clearRecent(); buildAppMenu(); } }]
+            : [{ label: 'No recent folders', enabled: false }]
+        },
+        { type: 'separator' },
+        { role: 'quit' }
+      ]
+    },
+    {
+      label: 'Settings',
+      submenu: [
+        {
+          label: 'Server Settings',
+          click: () => {
+            win.webContents.send('open-server-settings');
+          }
+        },
+        {
+          label: 'Snippets...',
+          click: () => {
+            win.webContents.send('open-snippet-manager');
+          }
+        },
+        {
+          label: 'Server Profile',
+          submenu: profileItems.length ? profileItems : [{ label: 'No profiles configured', enabled: false }]
+        }
+      ]
+    },
+    { role: 'editMenu' },
+    { role: 'viewMenu' }
+  ];
+  const menu = Menu.buildFromTemplate(template);
+  Menu.setApplicationMenu(menu);
+}
+
+// Bind the open workspace (or the default when none is open) to another profile
+function switchProfile(name) {
+  const settings = bindProfile(loadSavedSettings(), workspaceRoot, name);
+  fs.writeFileSync(SERVER_SETTINGS_PATH, JSON.stringify(settings, null, 2), 'utf-8');
+  buildAppMenu();
+  win.webContents.send('server-settings-changed', publicSettings(settings));
+}
+
+
+
+app.whenReady().then(createWindow);
+
+app.on('window-all-closed', () => {
+  stopServers();
+  for (const watcher of watchers.values()) {
+    try { watcher.close(); } catch {}
+  }
+  if (process.platform !== 'darwin') app.quit();
+});
+
+app.on('activate', () => {
+  if (BrowserWindow.getAllWindows().length === 0) createWindow();
+});
+
+function openRecentWorkspace(root) {
+  const stat = safeStat(root);
+  if (!stat || !stat.isDirectory()) {
+    forgetWorkspace(root);
+    buildAppMenu();
+    dialog.showMessageBox(win, { type: 'warning', message: `Folder no longer exists:\n${root}` });
+    return;
+  }
+  openWorkspace(root);
+}
+
+async function pickAndOpenWorkspace() {
+  const result = await dialog.showOpenDialog(win, {
+    properties: ['openDirectory']
+  });
+  if (!result.canceled && result.filePaths[0]) {
+    openWorkspace(result.filePaths[0]);
+  }
+}
+
+function openWorkspace(folderPath) {
+  workspaceRoot = folderPath;
+  rememberWorkspace(folderPath);
+  buildAppMenu();
+  const tree = readTree(folderPath);
+  win.webContents.send('workspace-opened', { rootPath: folderPath, tree });
+  watchFolderRecursive(folderPath);
+}
+
+function safeStat(p) {
+  try { return fs.statSync(p); } catch { return null; }
+}
+
+// Read directory recursively. Entries excluded by the ignore rules are listed with
+// ignored: true, and the contents of excluded folders are not read.
+function readTree(dirPath, root = dirPath) {
+  const stat = safeStat(dirPath);
+  if (!stat || !stat.isDirectory()) return null;
+
+  const node = {
+    name: path.basename(dirPath),
+    path: dirPath,
+    type: 'folder',
+    children: []
+  };
+  const ignore = ignoreFor(root);
+
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dirPath, { withFileTypes: true });
+  } catch {
+    entries = [];
+  }
+
+  for (const entry of entries) {
+    const full = path.join(dirPath, entry.name);
+    const ignored = ignore.ignores(relativeTo(root, full), entry.isDirectory());
+    if (entry.isDirectory()) {
+      node.children.push(ignored
+        ? { name: entry.name, path: full, type: 'folder', children: [], ignored }
+        : readTree(full, root));
+    } else if (entry.isFile()) {
+      node.children.push({
+        name: entry.name,
+        path: full,
+        type: 'file',
+        ignored
+      });
+    }
+  }
+  return node;
+}
+
+// Watch folder recursively and notify renderer
+function watchFolderRecursive(root) {
+  // clear existing watchers first
+  for (const [p, w] of [...watchers]) {
+    if (p.startsWith(root)) {
+      try { w.close(); } catch {}
+      watchers.delete(p);
+    }
+  }
+  attachWatcher(root, root);
+}
+
+// Excluded folders (node_modules, virtualenvs, ...) get no watchers
+function attachWatcher(dir, root) {
+  if (watchers.has(dir)) return;
+  const rel = relativeTo(root, dir);
+  if (rel && ignoreFor(root).ignores(rel, true)) return;
+  const watcher = fs.watch(dir, { recursive: false }, (_eventType, filename) => {
+    // Editing an ignore file changes what is watched and synced
+    if (filename && isIgnoreFile(filename)) {
+      ignoreCache = null;
+      fullSyncedKey = null;
+      setImmediate(() => watchFolderRecursive(root));
+    }
+    // Emit a lightweight change signal; renderer will rebuild tree but preserve expansion state
+    const rootPath = workspaceRoot || root;
+    const fullTree = readTree(rootPath);
+    win.webContents.send('workspace-refresh', { rootPath, tree: fullTree });
+    const subPath = filename ? path.join(dir, filename) : null;
+    if (subPath) {
+      queueSyncChange(subPath);
+      win.webContents.send('file-changed', { path: subPath });
+    }
+    // Add watcher for new subfolder
+    const st = subPath ? safeStat(subPath) : null;
+    if (st && st.isDirectory()) {
+      attachWatcher(subPath, root);
+    }
+  });
+  watchers.set(dir, watcher);
+
+  // Attach watchers to subfolders
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    entries = [];
+  }
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      attachWatcher(path.join(dir, entry.name), root);
+    }
+  }
+}
+
+// Per-target manifest of file hashes last pushed to the server
+function manifestPathFor(key) {
+  const id = crypto.createHash('sha1').update(key).digest('hex');
+  return path.join(app.getPath('userData'), 'sync-manifests', `${id}.json`);
+}
+
+// What the status bar shows: the workspace's profile, whether a sync is running (and how far it
+// got), queued changes and the outcome of the last runs
+function syncStatus() {
+  const profile = workspaceRoot ? profileForWorkspace(loadSavedSettings(), workspaceRoot) : null;
+  const last = workspaceRoot ? lastSync(workspaceRoot) : null;
+  const lastSuccess = workspaceRoot ? lastSync(workspaceRoot, true) : null;
+  return {
+    workspace: !!workspaceRoot,
+    configured: !!(profile && profile.host && profile.user),
+    profile: profile ? { name: profile.name, host: profile.host, user: profile.user } : null,
+    syncing: !!(activeSync || activeFlush),
+    progress: syncProgress,
+    pending: pendingChanges.size,
+    lastRunId: syncHistory().length ? syncHistory()[0].id : null,
+    lastResult: last ? { success: last.success, error: last.error, finishedAt: last.finishedAt } : null,
+    lastSuccessAt: lastSuccess ? lastSuccess.finishedAt : null
+  };
+}
+
+function sendSyncStatus() {
+  if (win && !win.isDestroyed()) win.webContents.send('sync-status', syncStatus());
+}
+
+// Start a history entry for a sync; its progress and result also update the status bar
+function trackSync(kind, trigger, root, target, paths = null) {
+  const run = beginSync({
+    kind,
+    trigger,
+    mode: target.twoWay ? 'two-way' : 'mirror',
+    profile: target.profile.name,
+    root,
+    paths
+  });
+  syncProgress = null;
+  return {
+    onProgress: (progress) => {
+      recordProgress(run, progress);
+      syncProgress = progress;
+      sendSyncStatus();
+    },
+    finish: (result) => {
+      endSync(run, result);
+      syncProgress = null;
+      sendSyncStatus();
+      return { ...result, runId: run.id };
+    }
+  };
+}
+
+// Full sync of the workspace; unchanged files are skipped via the manifest.
+// Mirrors local to the server, or reconciles both sides in two-way mode.
+function runFullSync(root, trigger = 'manual') {
+  const target = syncTarget(root);
+  if (!target) {
+    return Promise.resolve({ success: false, error: 'Server settings not configured' });
+  }
+
+  const { profile, remoteRoot, manifestPath, twoWay, ignore } = target;
+  const manifest = loadManifest(manifestPath);
+  // Everything queued so far is covered by this sync
+  if (root === workspaceRoot) pendingChanges.clear();
+
+  const tracked = trackSync('full', trigger, root, target);
+  const sync = twoWay ? syncTwoWay : syncDirectory;
+  activeSync = sync({ profile, localRoot: root, remoteRoot, manifest, ignore, onProgress: tracked.onProgress })
+    .then((summary) => {
+      if (root === workspaceRoot) fullSyncedKey = target.key;
+      return { success: true, ...summary };
+    })
+    .catch(error => ({ success: false, error: error.message }))
+    .finally(() => {
+      saveManifest(manifestPath, manifest);
+      activeSync = null;
+    })
+    .then(tracked.finish);
+  sendSyncStatus();
+  return activeSync;
+}
+
+// Record a changed, added or deleted path and schedule a debounced push
+function queueSyncChange(fullPath) {
+  if (!workspaceRoot) return;
+  const rel = relativeTo(workspaceRoot, fullPath);
+  if (!rel) return;
+  const stat = safeStat(fullPath);
+  if (ignoreFor(workspaceRoot).ignores(rel, !!stat && stat.isDirectory())) return;
+  if (!pendingChanges.has(rel)) {
+    pendingChanges.add(rel);
+    sendSyncStatus();
+  }
+
+  if (!autoSyncDelay) return;
+  clearTimeout(pendingTimer);
+  pendingTimer = setTimeout(() => {
+    flushSyncQueue('auto').then((result) => {
+      if (win && !win.isDestroyed()) win.webContents.send('sync-result', { ...result, auto: true });
+    });
+  }, autoSyncDelay);
+}
+
+// Push queued paths only. Falls back to a full sync until the workspace has been mirrored once.
+// trigger says who asked for it in the sync history: 'run' (before a run), 'auto' or 'retry'.
+async function flushSyncQueue(trigger = 'run') {
+  clearTimeout(pendingTimer);
+  pendingTimer = null;
+  while (activeSync || activeFlush) {
+    await (activeSync || activeFlush);
+  }
+
+  const root = workspaceRoot;
+  if (!root) return { success: false, error: 'No workspace opened' };
+  const target = syncTarget(root);
+  if (!target) return { success: false, error: 'Server settings not configured' };
+  // New workspace or different profile: mirror everything once
+  if (fullSyncedKey !== target.key) return runFullSync(root, trigger);
+  if (!pendingChanges.size) return { success: true, uploaded: 0, deleted: 0, skipped: 0 };
+
+  // Parents first so a new folder is created before anything inside it
+  const paths = [...pendingChanges].sort();
+  pendingChanges.clear();
+  const { profile, remoteRoot, manifestPath, twoWay, ignore } = target;
+  const manifest = loadManifest(manifestPath);
+
+  const tracked = trackSync('changes', trigger, root, target, paths);
+  activeFlush = syncPaths({ profile, localRoot: root, remoteRoot, paths, manifest, twoWay, ignore, onProgress: tracked.onProgress })
+    .then(summary => ({ success: true, ...summary }))
+    .catch((error) => {
+      // Keep the paths so the next flush retries them
+      for (const rel of paths) pendingChanges.add(rel);
+      return { success: false, error: error.message };
+    })
+    .finally(() => {
+      saveManifest(manifestPath, manifest);
+      activeFlush = null;
+    })
+    .then(tracked.finish);
+  sendSyncStatus();
+  return activeFlush;
+}
+
+// IPC handlers
+
+ipcMain.handle('pick-workspace', async (_e, path) => {
+  let folder;
+  if (path !== undefined) {
+    folder = path;
+  } else {
+    const result = await dialog.showOpenDialog(win, { properties: ['openDirectory'] });
+    if (result.canceled || !result.filePaths[0]) return null;
+    folder = result.filePaths[0];
+    watchFolderRecursive(folder);
+    workspaceRoot = folder;
+    rememberWorkspace(folder);
+    buildAppMenu();
+  }
+  const tree = readTree(folder);
+  return { rootPath: folder, tree };
+});
+
+// Reopen the workspace of the last session; the renderer then restores its tabs and tree
+ipcMain.handle('restore-session', async () => {
+  const root = lastWorkspace();
+  const stat = root ? safeStat(root) : null;
+  if (!stat || !stat.isDirectory()) return null;
+  workspaceRoot = root;
+  buildAppMenu();
+  watchFolderRecursive(root);
+  return { rootPath: root, tree: readTree(root) };
+});
+
+ipcMain.handle('get-workspace-session', async (_e, root) => {
+  return workspaceState(root);
+});
+
+ipcMain.handle('save-workspace-session', async (_e, state) => {
+  if (state && state.root) saveWorkspaceState(state.root, state);
+  return true;
+});
+
+// Synchronous variant for the renderer's beforeunload, so the last state is on disk before the window goes
+ipcMain.on('save-workspace-session-sync', (e, state) => {
+  if (state && state.root) saveWorkspaceState(state.root, state);
+  e.returnValue = true;
+});
+
+// ===== Language servers =====
+// Diagnostics and server state go to the renderer as they arrive
+setLspListeners({
+  onDiagnostics: (data) => {
+    if (win && !win.isDestroyed()) win.webContents.send('lsp-diagnostics', data);
+  },
+  onStatus: (status) => {
+    if (win && !win.isDestroyed()) win.webContents.send('lsp-status', status);
+  }
+});
+
+const LSP_METHODS = ['textDocument/completion', 'textDocument/hover', 'textDocument/signatureHelp', 'textDocument/definition'];
+
+// Files inside the workspace share its server; others get one rooted at their folder
+ipcMain.handle('lsp-open', async (_e, { filePath, languageId, text }) => {
+  const root = workspaceRoot && relativeTo(workspaceRoot, filePath) !== null ? workspaceRoot : path.dirname(filePath);
+  const configured = (loadSavedSettings().languageServers || {})[serverIdFor(languageId)] || '';
+  try {
+    return { success: true, enabled: await openDocument({ root, languageId, filePath, text, configured: configured.trim() }) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('lsp-change', async (_e, { filePath, text }) => changeDocument(filePath, text));
+
+ipcMain.handle('lsp-close', async (_e, filePath) => closeDocument(filePath));
+
+ipcMain.handle('lsp-request', async (_e, { filePath, method, params }) => {
+  if (!LSP_METHODS.includes(method)) return { success: false, error: `Unsupported method ${method}` };
+  try {
+    return { success: true, result: await requestAt(filePath, method, params) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ===== Snippets =====
+// Loading also (re)starts watching the user and workspace libraries for hot reload
+ipcMain.handle('load-snippets', async () => {
+  watchSnippets(workspaceRoot, () => {
+    if (win && !win.isDestroyed()) win.webContents.send('snippets-changed');
+  });
+  return loadSnippets(workspaceRoot);
+});
+
+ipcMain.handle('save-snippets', async (_e, { scope, snippets }) => {
+  if (scope === 'workspace' && !workspaceRoot) return { success: false, error: 'No workspace opened' };
+  try {
+    saveSnippets(scope, workspaceRoot, snippets);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ===== Git =====
+// Runs the local git in the workspace; failures come back as { success: false, error }
+async function withWorkspaceGit(task) {
+  if (!workspaceRoot) return { success: false, error: 'No workspace opened' };
+  try {
+    return { success: true, ...(await task(workspaceRoot)) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+ipcMain.handle('git-status', async () => withWorkspaceGit(async (root) => {
+  const status = await gitStatus(root);
+  return { ...status, files: status.files.map(f => ({ ...f, path: gitPath(root, f.rel) })) };
+}));
+
+// Text of a workspace file at HEAD or in the index (null when it is not there)
+ipcMain.handle('git-show', async (_e, { filePath, ref }) => withWorkspaceGit(async (root) => {
+  const rel = relativeTo(root, filePath);
+  return { content: rel === null ? null : await gitShow(root, rel, ref) };
+}));
+
+ipcMain.handle('git-stage', async (_e, rels) => withWorkspaceGit(root => gitStage(root, rels)));
+
+ipcMain.handle('git-unstage', async (_e, rels) => withWorkspaceGit(root => gitUnstage(root, rels)));
+
+ipcMain.handle('git-commit', async (_e, message) => withWorkspaceGit(async root => ({ summary: await gitCommit(root, message) })));
+
+ipcMain.handle('git-branches', async () => withWorkspaceGit(root => gitBranches(root)));
+
+ipcMain.handle('git-checkout', async (_e, branch) => withWorkspaceGit(root => gitCheckout(root, branch)));
+
+// Same as picking a profile in the Settings menu (used by the command palette)
+ipcMain.handle('switch-profile', async (_e, name) => {
+  switchProfile(name);
+  return true;
+});
+
+// Save / Don't Save / Cancel for the listed unsaved files
+ipcMain.handle('confirm-unsaved', async (_e, names) => {
+  const { response } = await dialog.showMessageBox(win, {
+    type: 'warning',
+    buttons: ['Save', "Don't Save", 'Cancel'],
+    defaultId: 0,
+    cancelId: 2,
+    message: names.length === 1
+      ? `Do you want to save the changes you made to ${names[0]}?`
+      : `Do you want to save the changes to ${names.length} files?`,
+    detail: names.length === 1 ? "Your changes will be lost if you don't save them." : names.join('\n')
+  });
+  return ['save', 'discard', 'cancel'][response];
+});
+
+ipcMain.handle('confirm-close', () => {
+  closeConfirmed = true;
+  win.close();
+});
+
+ipcMain.handle('read-file', async (_e, filePath) => {
+  return fs.readFileSync(filePath, 'utf-8');
+});
+
+ipcMain.handle('save-file', async (_e, { filePath, content }) => {
+  fs.writeFileSync(filePath, content, 'utf-8');
+  // Don't wait for the watcher; a Run right after saving must push this file
+  queueSyncChange(filePath);
+  return true;
+});
+
+// Write the text of an output channel wherever the user picks; defaults to the workspace folder
+ipcMain.handle('save-output', async (_e, { defaultName, text }) => {
+  const result = await dialog.showSaveDialog(win, {
+    defaultPath: path.join(workspaceRoot || app.getPath('documents'), defaultName),
+    filters: [{ name: 'Log files', extensions: ['log', 'txt'] }]
+  });
+  if (result.canceled || !result.filePath) return { success: false, canceled: true };
+  try {
+    fs.writeFileSync(result.filePath, text, 'utf-8');
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Workspace search; overrides carries the text of unsaved editor tabs (full path -> text)
+ipcMain.handle('search-workspace', async (_e, { options, overrides }) => {
+  if (!workspaceRoot) return { success: false, error: 'No workspace folder is open' };
+  try {
+    const result = await searchInWorker(workspaceRoot, options, overrides);
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// New contents for a replace-all; the renderer writes them through save-file
+ipcMain.handle('search-replace', async (_e, { options, files, overrides }) => {
+  if (!workspaceRoot) return { success: false, error: 'No workspace folder is open' };
+  try {
+    return { success: true, changes: replaceInWorkspace(workspaceRoot, options, files, { overrides }) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('create-file', async (_e, { parentDir, name }) => {
+  const full = path.join(parentDir, name);
+  fs.writeFileSync(full, '', 'utf-8');
+  return { path: full };
+});
+
+ipcMain.handle('create-folder', async (_e, { parentDir, name }) => {
+  const full = path.join(parentDir, name);
+  fs.mkdirSync(full, { recursive: true });
+  return { path: full };
+});
+
+ipcMain.handle('rename-entry', async (_e, { oldPath, newName }) => {
+  const dir = path.dirname(oldPath);
+  const newPath = path.join(dir, newName);
+  fs.renameSync(oldPath, newPath);
+  return { path: newPath };
+});
+
+ipcMain.handle('delete-entry', async (_e, { entryPath }) => {
+  const stat = safeStat(entryPath);
+  if (!stat) return false;
+  if (stat.isDirectory()) {
+    fs.rmSync(entryPath, { recursive: true, force: true });
+  } else {
+    fs.unlinkSync(entryPath);
+  }
+  return true;
+});
+
+// Server settings IPC handlers
+ipcMain.handle('read-server-settings', async () => {
+  return readServerSettings();
+});
+
+ipcMain.handle('write-server-settings', async (_e, settings) => {
+  return writeServerSettings(settings);
+});
+
+// Native SFTP sync of the workspace to <remoteRoot>/<project> of its profile
+ipcMain.handle('sync-workspace', async (_e, localRoot) => {
+  const root = localRoot || workspaceRoot;
+  if (!root) return { success: false, error: 'No workspace opened' };
+  // Let a sync or a flush already in flight finish first; they share the manifest
+  while (activeSync || activeFlush) await (activeSync || activeFlush);
+  return runFullSync(root);
+});
+
+// Push only the paths the watcher has seen change since the last sync
+ipcMain.handle('flush-sync-queue', async () => {
+  return flushSyncQueue();
+});
+
+ipcMain.handle('get-sync-status', async () => syncStatus());
+
+ipcMain.handle('get-sync-history', async () => syncHistory());
+
+// Run a past sync again: a full sync as a full sync, a pushed set of changes by queueing those paths again
+ipcMain.handle('retry-sync', async (_e, id) => {
+  const run = findSync(id);
+  if (!run) return { success: false, error: 'Sync run no longer in the history' };
+  if (run.root !== workspaceRoot) return { success: false, error: 'That sync belongs to another workspace' };
+  if (run.kind === 'full') {
+    while (activeSync || activeFlush) await (activeSync || activeFlush);
+    return runFullSync(run.root, 'retry');
+  }
+  for (const rel of run.paths || []) pendingChanges.add(rel);
+  return flushSyncQueue('retry');
+});
+
+// Local and server text of a conflicting file (null for a side where it is missing)
+ipcMain.handle('sync-conflict-versions', async (_e, rel) => {
+  if (!workspaceRoot) return { success: false, error: 'No workspace opened' };
+  const target = syncTarget(workspaceRoot);
+  if (!target) return { success: false, error: 'Server settings not configured' };
+
+  const localPath = path.join(workspaceRoot, ...rel.split('/'));
+  try {
+    const local = fs.existsSync(localPath) ? fs.readFileSync(localPath, 'utf-8') : null;
+    const remote = await readRemoteFile({ profile: target.profile, remotePath: `${target.remoteRoot}/${rel}` });
+    return { success: true, local, remote };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Settle a conflict with the local copy, the server copy or merged content
+ipcMain.handle('sync-resolve-conflict', async (_e, { rel, resolution, content }) => {
+  if (!workspaceRoot) return { success: false, error: 'No workspace opened' };
+  const target = syncTarget(workspaceRoot);
+  if (!target) return { success: false, error: 'Server settings not configured' };
+  while (activeSync || activeFlush) {
+    await (activeSync || activeFlush);
+  }
+
+  const { profile, remoteRoot, manifestPath } = target;
+  const manifest = loadManifest(manifestPath);
+  try {
+    await resolveConflict({ profile, localRoot: workspaceRoot, remoteRoot, rel, resolution, content, manifest });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    saveManifest(manifestPath, manifest);
+  }
+});
+
+// Run server of the workspace's profile; the page's requests are sent from here with the
+// server's token (see run-client.js)
+function runServerProfile() {
+  const profile = unsealProfile(profileForWorkspace(loadSavedSettings(), workspaceRoot));
+  if (!profile || !profile.host || !profile.user) throw new Error('Server settings not configured');
+  return profile;
+}
+
+ipcMain.handle('run-server-request', async (_e, payload) => {
+  try {
+    return { success: true, result: await requestServer(runServerProfile(), payload) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Events of the stream arrive as 'run-server-event' { streamId, type, payload } until this resolves
+ipcMain.handle('run-server-stream', async (e, { streamId, payload }) => {
+  try {
+    const onEvent = event => e.sender.send('run-server-event', { streamId, ...event });
+    return { success: true, ...(await streamServer(runServerProfile(), streamId, payload, onEvent)) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('run-server-abort', (_e, streamId) => {
+  abortStream(streamId);
+  return true;
+});
+
+// Remote explorer: paths are relative to the workspace's folder on the server ('' = the folder itself)
+function remoteEntry(rel) {
+  if (!workspaceRoot) throw new Error('No workspace opened');
+  const target = syncTarget(workspaceRoot);
+  if (!target) throw new Error('Server settings not configured');
+  const clean = path.posix.normalize(`/${rel || ''}`).slice(1);
+  if (clean.split('/').includes('..')) throw new Error('Path outside the server workspace');
+  return { ...target, rel: clean, remotePath: clean ? `${target.remoteRoot}/${clean}` : target.remoteRoot };
+}
+
+ipcMain.handle('remote-list', async (_e, rel) => {
+  try {
+    const { profile, remotePath } = remoteEntry(rel);
+    return { success: true, entries: await listRemoteDir({ profile, remotePath }) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remote-read', async (_e, rel) => {
+  try {
+    const { profile, remotePath } = remoteEntry(rel);
+    const content = await readRemoteFile({ profile, remotePath });
+    if (content === null) return { success: false, error: `${rel} does not exist on the server` };
+    return { success: true, content };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remote-write', async (_e, { rel, content }) => {
+  try {
+    const { profile, remotePath } = remoteEntry(rel);
+    await writeRemoteFile({ profile, remotePath, content });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remote-delete', async (_e, rel) => {
+  let manifestPath;
+  let manifest;
+  try {
+    const entry = remoteEntry(rel);
+    if (!entry.rel) return { success: false, error: 'Refusing to delete the server workspace folder' };
+    manifestPath = entry.manifestPath;
+    manifest = loadManifest(manifestPath);
+    await deleteRemotePath({ profile: entry.profile, remotePath: entry.remotePath, rel: entry.rel, manifest });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    if (manifest) saveManifest(manifestPath, manifest);
+  }
+});
+
+// Copy a server file or folder into the workspace at the same relative path
+ipcMain.handle('remote-download', async (_e, rel) => {
+  let manifestPath;
+  let manifest;
+  try {
+    const entry = remoteEntry(rel);
+    manifestPath = entry.manifestPath;
+    manifest = loadManifest(manifestPath);
+    const files = await downloadRemotePath({
+      profile: entry.profile, localRoot: workspaceRoot, remoteRoot: entry.remoteRoot, rel: entry.rel, manifest
+    });
+    return { success: true, files, localPath: path.join(workspaceRoot, ...entry.rel.split('/')) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    if (manifest) saveManifest(manifestPath, manifest);
+  }
+});
+
+// Enable debounced auto sync of watcher changes (seconds of quiet, 0 = off)
+ipcMain.handle('set-auto-sync', async (_e, delaySeconds) => {
+  autoSyncDelay = Math.max(0, Number(delaySeconds) || 0) * 1000;
+  if (!autoSyncDelay) {
+    clearTimeout(pendingTimer);
+    pendingTimer = null;
+  }
+  return true;
+});
+
+// Check if rclone is available: the configured path, else the bundled copy, else PATH
+ipcMain.handle('check-rclone', async () => {
+  const rclone = resolveTool('rclone', loadSavedSettings().rclonePath);
+  if (!rclone.path) return { available: false, path: null, version: null, error: rclone.error };
+  return new Promise((resolve) => {
+    execFile(rclone.path, ['--version'], { windowsHide: true }, (error, stdout) => {
+      resolve({
+        available: !error,
+        path: rclone.path,
+        version: stdout ? stdout.split('\n')[0] : null,
+        error: error ? error.message : null
+      });
+    });
+  });
+});
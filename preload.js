@@ -1,28 +1,89 @@
-const { contextBridge, ipcRenderer } = require('electron');
-
-contextBridge.exposeInMainWorld('api', {
-  // Workspace
-  pickWorkspace: () => ipcRenderer.invoke('pick-workspace'),
-  onWorkspaceOpened: (cb) => ipcRenderer.on('workspace-opened', (_e, data) => cb(data)),
-  onWorkspaceRefresh: (cb) => ipcRenderer.on('workspace-refresh', (_e, data) => cb(data)),
-
-  // Files
-  readFile: (filePath) => ipcRenderer.invoke('read-file', filePath),
-  saveFile: (payload) => ipcRenderer.invoke('save-file', payload),
-
-  // FS operations
-  createFile: (payload) => ipcRenderer.invoke('create-file', payload),
-  createFolder: (payload) => ipcRenderer.invoke('create-folder', payload),
-  renameEntry: (payload) => ipcRenderer.invoke('rename-entry', payload),
-  deleteEntry: (payload) => ipcRenderer.invoke('delete-entry', payload),
-  onOpenServerSettings: (cb) => ipcRenderer.on('open-server-settings', cb),
-  
-  // Server settings
-  readServerSettings: () => ipcRenderer.invoke('read-server-settings'),
-  writeServerSettings: (settings) => ipcRenderer.invoke('write-server-settings', settings),
-  
-  // Rclone operations
-  executeRclone: (command) => ipcRenderer.invoke('execute-rclone', command),
-  checkRclone: () => ipcRenderer.invoke('check-rclone'),
-  getRclonePath: () => ipcRenderer.invoke('get-rclone-path')
-});
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('api', {
+  // Workspace
+  pickWorkspace: () => ipcRenderer.invoke('pick-workspace'),
+  onWorkspaceOpened: (cb) => ipcRenderer.on('workspace-opened', (_e, data) => cb(data)),
+  onWorkspaceRefresh: (cb) => ipcRenderer.on('workspace-refresh', (_e, data) => cb(data)),
+
+  // Session restore
+  restoreSession: () => ipcRenderer.invoke('restore-session'),
+  getWorkspaceSession: (root) => ipcRenderer.invoke('get-workspace-session', root),
+  saveWorkspaceSession: (state) => ipcRenderer.invoke('save-workspace-session', state),
+  saveWorkspaceSessionSync: (state) => ipcRenderer.sendSync('save-workspace-session-sync', state),
+  confirmUnsaved: (names) => ipcRenderer.invoke('confirm-unsaved', names),
+  onAppClosing: (cb) => ipcRenderer.on('app-closing', () => cb()),
+  confirmClose: () => ipcRenderer.invoke('confirm-close'),
+  onFileChanged: (cb) => ipcRenderer.on('file-changed', (_e, data) => cb(data)),
+
+  // Files
+  readFile: (filePath) => ipcRenderer.invoke('read-file', filePath),
+  saveFile: (payload) => ipcRenderer.invoke('save-file', payload),
+  saveOutput: (defaultName, text) => ipcRenderer.invoke('save-output', { defaultName, text }),
+
+  // FS operations
+  searchWorkspace: (options, overrides) => ipcRenderer.invoke('search-workspace', { options, overrides }),
+  replaceInWorkspace: (options, files, overrides) => ipcRenderer.invoke('search-replace', { options, files, overrides }),
+  createFile: (payload) => ipcRenderer.invoke('create-file', payload),
+  createFolder: (payload) => ipcRenderer.invoke('create-folder', payload),
+  renameEntry: (payload) => ipcRenderer.invoke('rename-entry', payload),
+  deleteEntry: (payload) => ipcRenderer.invoke('delete-entry', payload),
+  onOpenServerSettings: (cb) => ipcRenderer.on('open-server-settings', cb),
+  
+  // Server settings
+  readServerSettings: () => ipcRenderer.invoke('read-server-settings'),
+  writeServerSettings: (settings) => ipcRenderer.invoke('write-server-settings', settings),
+  switchProfile: (name) => ipcRenderer.invoke('switch-profile', name),
+  onServerSettingsChanged: (cb) => ipcRenderer.on('server-settings-changed', (_e, data) => cb(data)),
+  
+  // Native SFTP sync
+  syncWorkspace: (localRoot) => ipcRenderer.invoke('sync-workspace', localRoot),
+  flushSyncQueue: () => ipcRenderer.invoke('flush-sync-queue'),
+  setAutoSync: (delaySeconds) => ipcRenderer.invoke('set-auto-sync', delaySeconds),
+  onSyncResult: (cb) => ipcRenderer.on('sync-result', (_e, data) => cb(data)),
+  getSyncStatus: () => ipcRenderer.invoke('get-sync-status'),
+  onSyncStatus: (cb) => ipcRenderer.on('sync-status', (_e, data) => cb(data)),
+  getSyncHistory: () => ipcRenderer.invoke('get-sync-history'),
+  retrySync: (id) => ipcRenderer.invoke('retry-sync', id),
+  getConflictVersions: (rel) => ipcRenderer.invoke('sync-conflict-versions', rel),
+  resolveConflict: (rel, resolution, content) => ipcRenderer.invoke('sync-resolve-conflict', { rel, resolution, content }),
+  // Remote explorer (paths relative to the workspace folder on the server)
+  listRemote: (rel) => ipcRenderer.invoke('remote-list', rel),
+  readRemote: (rel) => ipcRenderer.invoke('remote-read', rel),
+  writeRemote: (rel, content) => ipcRenderer.invoke('remote-write', { rel, content }),
+  deleteRemote: (rel) => ipcRenderer.invoke('remote-delete', rel),
+  downloadRemote: (rel) => ipcRenderer.invoke('remote-download', rel),
+
+  // Run server (requests are sent by the main process with the server's token)
+  runServerRequest: (payload) => ipcRenderer.invoke('run-server-request', payload),
+  runServerStream: (streamId, payload) => ipcRenderer.invoke('run-server-stream', { streamId, payload }),
+  abortRunServerStream: (streamId) => ipcRenderer.invoke('run-server-abort', streamId),
+  onRunServerEvent: (cb) => ipcRenderer.on('run-server-event', (_e, data) => cb(data)),
+
+  // Language servers
+  lspOpen: (filePath, languageId, text) => ipcRenderer.invoke('lsp-open', { filePath, languageId, text }),
+  lspChange: (filePath, text) => ipcRenderer.invoke('lsp-change', { filePath, text }),
+  lspClose: (filePath) => ipcRenderer.invoke('lsp-close', filePath),
+  lspRequest: (filePath, method, params) => ipcRenderer.invoke('lsp-request', { filePath, method, params }),
+  onLspDiagnostics: (cb) => ipcRenderer.on('lsp-diagnostics', (_e, data) => cb(data)),
+  onLspStatus: (cb) => ipcRenderer.on('lsp-status', (_e, data) => cb(data)),
+  onLspRestarted: (cb) => ipcRenderer.on('lsp-restarted', () => cb()),
+
+  // Source control
+  gitStatus: () => ipcRenderer.invoke('git-status'),
+  gitShow: (filePath, ref) => ipcRenderer.invoke('git-show', { filePath, ref }),
+  gitStage: (rels) => ipcRenderer.invoke('git-stage', rels),
+  gitUnstage: (rels) => ipcRenderer.invoke('git-unstage', rels),
+  gitCommit: (message) => ipcRenderer.invoke('git-commit', message),
+  gitBranches: () => ipcRenderer.invoke('git-branches'),
+  gitCheckout: (branch) => ipcRenderer.invoke('git-checkout', branch),
+
+  // Snippets
+  loadSnippets: () => ipcRenderer.invoke('load-snippets'),
+  saveSnippets: (scope, snippets) => ipcRenderer.invoke('save-snippets', { scope, snippets }),
+  onSnippetsChanged: (cb) => ipcRenderer.on('snippets-changed', () => cb()),
+  onOpenSnippetManager: (cb) => ipcRenderer.on('open-snippet-manager', () => cb()),
+
+  // Rclone operations
+  checkRclone: () => ipcRenderer.invoke('check-rclone')
+});
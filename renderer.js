@@ -1,777 +1,4240 @@
-require.config({ paths: { 'vs': './node_modules/monaco-editor/min/vs' } });
-
-let editor;
-
-// Workspace and explorer state
-let workspaceRoot = null;
-let expandedPaths = new Set();
-const ALWAYS_COLLAPSED = new Set(['node_modules', '.git', '.venv', 'venv', '__pycache__']);
-
-// Tabs state
-let tabs = []; // { path, name, model, language, dirty }
-let activeTabPath = null;
-
-// Server settings
-let serverSettings = {};
-let autoSyncInterval = null;
-
-// UI references
-let contextMenuEl = null;
-
-// Server communication
-async function sendToServer(action, data = {}) {
-  if (!serverSettings.ip) {
-    updateRunOutput('Error: Server IP not configured');
-    return null;
-  }
-
-  const url = `http://${serverSettings.ip}:3100`;
-  const payload = { action, ...data };
-
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const result = await response.json();
-    return result;
-  } catch (error) {
-    updateRunOutput(`Error communicating with server: ${error.message}`);
-    return null;
-  }
-}
-
-// Update run output
-function updateRunOutput(message) {
-  const outputEl = document.getElementById('run-log');
-  const timestamp = new Date().toLocaleTimeString();
-  outputEl.innerHTML += `[${timestamp}] ${message}\n`;
-  outputEl.scrollTop = outputEl.scrollHeight;
-}
-
-// Load server settings from file
-async function loadServerSettings() {
-  try {
-    serverSettings = await window.api.readServerSettings();
-    console.log('Server settings loaded:', serverSettings);
-    // Set up auto sync interval if configured
-    setupAutoSync();
-    // Check rclone availability
-    await checkRcloneAvailability();
-  } catch (error) {
-    console.error('Error loading server settings:', error);
-  }
-}
-
-// Check if rclone is available
-async function checkRcloneAvailability() {
-  try {
-    // Get rclone executable path (same as used for execution)
-    let rcloneExecutable = serverSettings.rclonePath || 'rclone';
-    
-    // Fix rclone path if it's a directory (same logic as in syncWithServer)
-    if (rcloneExecutable) {
-      // Check if path ends with directory separator
-      if (rcloneExecutable.endsWith('\\') || rcloneExecutable.endsWith('/')) {
-        // Add rclone.exe to directory path
-        rcloneExecutable += 'rclone.exe';
-      } else if (rcloneExecutable.includes('\\') || rcloneExecutable.includes('/')) {
-        // Check if it's a directory (ends with rclone folder name)
-        const lastPart = rcloneExecutable.split(/[/\\]/).pop();
-        if (lastPart.toLowerCase() === 'rclone') {
-          // It's a directory, add .exe
-          rcloneExecutable += '.exe';
-        }
-      }
-    }
-    
-    // Use the same path for checking as for execution
-    const checkResult = await window.api.executeRclone(`${rcloneExecutable} --version`);
-    
-    if (checkResult.success) {
-      updateRunOutput(`rclone available: ${checkResult.stdout.split('\n')[0]}`);
-    } else {
-      updateRunOutput(`Warning: rclone not found at path: ${rcloneExecutable}`);
-      updateRunOutput('Please install rclone or specify the correct path in server settings.');
-      updateRunOutput('Example: F:\\rclone\\rclone.exe');
-      updateRunOutput('Download rclone from: https://rclone.org/downloads/');
-    }
-  } catch (error) {
-    updateRunOutput(`Error checking rclone: ${error.message}`);
-  }
-}
-
-// Sync with server using rclone
-async function syncWithServer() {
-  if (!workspaceRoot || !serverSettings.ip || !serverSettings.user) {
-    updateRunOutput('Error: Workspace not opened or server settings not configured');
-    return false;
-  }
-
-  try {
-    const projectName = workspaceRoot.split(/[/\\]/).pop();
-    
-    // Check if folder exists on server
-    const checkResult = await sendToServer('checkFolder', { folderName: projectName });
-    if (!checkResult) {
-      updateRunOutput('Error checking folder on server');
-      return false;
-    }
-    
-    // Display check result
-    if (checkResult.success) {
-      updateRunOutput(`Server folder ready: ${checkResult.folderPath}`);
-    } else {
-      updateRunOutput(`Error preparing server folder: ${checkResult.error}`);
-      return false;
-    }
-
-    // Get rclone executable path
-    let rcloneExecutable = serverSettings.rclonePath || 'rclone';
-    
-    // Fix rclone path if it's a directory
-    if (rcloneExecutable) {
-      // Check if path ends with directory separator
-      if (rcloneExecutable.endsWith('\\') || rcloneExecutable.endsWith('/')) {
-        // Add rclone.exe to directory path
-        rcloneExecutable += 'rclone.exe';
-      } else if (rcloneExecutable.includes('\\') || rcloneExecutable.includes('/')) {
-        // Check if it's a directory (ends with rclone folder name)
-        const lastPart = rcloneExecutable.split(/[/\\]/).pop();
-        if (lastPart.toLowerCase() === 'rclone') {
-          // It's a directory, add .exe
-          rcloneExecutable += '.exe';
-        }
-      }
-    }
-    
-    // Use rclone to sync local to server - ensure all files are synced
-    // Use --include "*" to ensure all files are synced, and --progress for detailed output
-    const remotePath = `/shareOnling/${projectName}`;
-    const rcloneCommand = `${rcloneExecutable} sync "${workspaceRoot}" "cloud-compiler-sftp:${remotePath}" ` +
-      `--progress`;
-    
-    updateRunOutput(`Starting sync: ${rcloneCommand}`);
-    
-    // Use the new API to execute rclone command via main process
-    const result = await window.api.executeRclone(rcloneCommand);
-    
-    if (result.error) {
-      updateRunOutput(`Sync error: ${result.error}`);
-      
-      // Check if error is about rclone executable not found
-      // This should only match errors like "command not found" or "系统找不到指定的文件"
-      const isRcloneNotFound = (result.error.includes('系统找不到指定的文件') || 
-                              result.error.includes('command not found') || 
-                              result.error.includes('The system cannot find')) &&
-                             !result.error.includes('didn\'t find section');
-      
-      if (isRcloneNotFound) {
-        updateRunOutput('Error: rclone executable not found. Please specify the full path to rclone.exe in server settings.');
-        updateRunOutput('Example: F:\\rclone\\rclone.exe');
-        updateRunOutput('Download rclone from: https://rclone.org/downloads/');
-      } else {
-        // Add troubleshooting tips for other errors
-        updateRunOutput('\nTroubleshooting tips:');
-        updateRunOutput('1. Check if server IP, username, and password are correct');
-        updateRunOutput('2. Ensure SFTP port 22 is open on the server');
-        updateRunOutput('3. Verify that the server has SFTP enabled');
-        updateRunOutput('4. Check if the remote directory exists on the server');
-        updateRunOutput('5. Ensure your network connection is stable');
-      }
-      
-      return false;
-    }
-    
-    if (result.stderr) {
-      // Filter out rclone progress messages if needed, but keep important error messages
-      const filteredStderr = result.stderr.split('\n')
-        .filter(line => !line.startsWith('Transferred:') && !line.startsWith('Elapsed time:') && !line.startsWith('Checking:'))
-        .join('\n');
-      if (filteredStderr) {
-        updateRunOutput(`Sync stderr: ${filteredStderr}`);
-      }
-    }
-    
-    if (result.stdout) {
-      updateRunOutput(`Sync stdout: ${result.stdout}`);
-    }
-    
-    updateRunOutput('Sync completed successfully - all files synced');
-    return true;
-  } catch (error) {
-    updateRunOutput(`Sync exception: ${error.message}`);
-    return false;
-  }
-}
-
-require(['vs/editor/editor.main'], function () {
-  editor = monaco.editor.create(document.getElementById('container'), {
-    value: '',
-    language: 'plaintext',
-    theme: 'vs-dark',
-    automaticLayout: true
-  });
-
-  registerCompletionProviders();
-  
-  // Load server settings on startup
-  loadServerSettings();
-
-  monaco.editor.onDidCreateModel((model) => {
-    model.onDidChangeContent(() => {
-      const t = tabs.find(t => t.model === model);
-      if (t && !t.dirty) {
-        t.dirty = true;
-        updateTabbar();
-        updateTitlebar();
-      }
-    });
-  });
-
-  editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS, () => {
-    saveActiveTab();
-  });
-
-  document.getElementById('open-folder').addEventListener('click', async () => {
-    const res = await window.api.pickWorkspace();
-    if (!res) return;
-    applyWorkspace(res.rootPath, res.tree);
-  });
-
-  document.getElementById('save-file').addEventListener('click', () => {
-    saveActiveTab();
-  });
-
-  // Run 按钮
-  document.getElementById('run-code').addEventListener('click', () => {
-    const active = tabs.find(t => t.path === activeTabPath);
-    if (!active) return;
-    runCodeOnServer(active.path, active.model.getValue());
-  });
-
-  // Server Settings 弹窗
-  window.api.onOpenServerSettings(() => {
-    // Load saved settings into input fields
-    document.getElementById('server-ip').value = serverSettings.ip || '';
-    document.getElementById('server-user').value = serverSettings.user || '';
-    document.getElementById('server-pass').value = serverSettings.pass || '';
-    document.getElementById('rclone-path').value = serverSettings.rclonePath || '';
-    document.getElementById('sync-interval').value = serverSettings.syncInterval || 30;
-    document.getElementById('server-modal').style.display = 'block';
-  });
-
-  document.getElementById('server-save').onclick = async () => {
-    const config = {
-      ip: document.getElementById('server-ip').value,
-      user: document.getElementById('server-user').value,
-      pass: document.getElementById('server-pass').value,
-      rclonePath: document.getElementById('rclone-path').value || '',
-      syncInterval: parseInt(document.getElementById('sync-interval').value) || 30
-    };
-    // Save settings to file
-    try {
-      await window.api.writeServerSettings(config);
-      serverSettings = config;
-      console.log('Server settings saved:', config);
-      // Update auto sync interval
-      setupAutoSync();
-      // Check rclone availability with new path
-      await checkRcloneAvailability();
-    } catch (error) {
-      console.error('Error saving server settings:', error);
-    }
-    connectServer(config);
-    syncWorkspace();
-    document.getElementById('server-modal').style.display = 'none';
-  };
-
-  document.getElementById('server-close').onclick = () => {
-    document.getElementById('server-modal').style.display = 'none';
-  };
-
-  window.api.onWorkspaceOpened(({ rootPath, tree }) => applyWorkspace(rootPath, tree));
-  window.api.onWorkspaceRefresh(({ rootPath, tree }) => {
-    if (rootPath === workspaceRoot) renderTree(tree);
-  });
-
-  document.getElementById('workspace-label').textContent = 'No folder opened';
-});
-
-// ===== Workspace & Tree =====
-async function applyWorkspace(rootPath, tree) {
-  workspaceRoot = rootPath;
-  document.getElementById('workspace-label').textContent = rootPath;
-  expandedPaths.clear();
-  expandedPaths.add(rootPath);
-  renderTree(tree);
-  
-  // Sync with server when opening a new workspace
-  await syncWithServer();
-}
-
-function renderTree(tree) {
-  const container = document.getElementById('file-tree');
-  container.innerHTML = '';
-  const rootUl = document.createElement('ul');
-  container.appendChild(rootUl);
-  rootUl.appendChild(createTreeItem(tree));
-  document.addEventListener('click', closeContextMenu);
-}
-
-function createTreeItem(node) {
-  const li = document.createElement('li');
-  const row = document.createElement('div');
-  row.className = 'item ' + (node.type === 'folder' ? 'folder' : 'file');
-
-  const icon = document.createElement('span');
-  const name = document.createElement('span');
-  name.textContent = node.name;
-
-  const isAlwaysCollapsed = node.type === 'folder' && ALWAYS_COLLAPSED.has(node.name);
-  const isExpanded = node.type === 'folder'
-    ? expandedPaths.has(node.path) && !isAlwaysCollapsed
-    : false;
-
-  icon.textContent = node.type === 'folder'
-    ? (isExpanded ? '▾' : '▸')
-    : '•';
-
-  row.appendChild(icon);
-  row.appendChild(name);
-  li.appendChild(row);
-
-  row.oncontextmenu = (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    openContextMenu(e.clientX, e.clientY, node);
-  };
-
-  if (node.type === 'file') {
-    row.onclick = () => openFile(node.path, node.name);
-  } else {
-    row.onclick = () => {
-      const expanded = expandedPaths.has(node.path);
-      if (expanded && !isAlwaysCollapsed) {
-        expandedPaths.delete(node.path);
-      } else {
-        expandedPaths.add(node.path);
-      }
-      const updated = createTreeItem(node);
-      li.replaceWith(updated);
-    };
-
-    const childrenContainer = document.createElement('ul');
-    childrenContainer.style.paddingLeft = '14px';
-    li.appendChild(childrenContainer);
-
-    if (isExpanded && node.children && node.children.length) {
-      for (const child of node.children) {
-        childrenContainer.appendChild(createTreeItem(child));
-      }
-    }
-  }
-
-  return li;
-}
-
-function openContextMenu(x, y, node) {
-  closeContextMenu();
-  const menu = document.createElement('div');
-  menu.className = 'context-menu';
-  menu.style.left = `${x}px`;
-  menu.style.top = `${y}px`;
-
-  const addAction = (label, handler) => {
-    const a = document.createElement('div');
-    a.className = 'action';
-    a.textContent = label;
-    a.onclick = () => { handler(); closeContextMenu(); };
-    menu.appendChild(a);
-  };
-
-  if (node.type === 'folder') {
-    addAction('New File', () => promptCreate(node.path, 'file'));
-    addAction('New Folder', () => promptCreate(node.path, 'folder'));
-  }
-  addAction('Rename', () => promptRename(node.path));
-  addAction('Delete', () => promptDelete(node.path, node.type));
-
-  document.body.appendChild(menu);
-  contextMenuEl = menu;
-}
-
-function closeContextMenu() {
-  if (contextMenuEl && contextMenuEl.parentNode) {
-    contextMenuEl.parentNode.removeChild(contextMenuEl);
-  }
-  contextMenuEl = null;
-}
-
-function promptCreate(parentDir, type) {
-  const container = document.getElementById('file-tree');
-  const input = document.createElement('input');
-  input.className = 'inline-input';
-  input.placeholder = type === 'file' ? 'newFile.py' : 'NewFolder';
-  container.prepend(input);
-  input.focus();
-
-  input.onkeydown = async (e) => {
-    if (e.key === 'Enter') {
-      const name = input.value.trim();
-      if (!name) return cleanup();
-      try {
-        if (type === 'file') {
-          await window.api.createFile({ parentDir, name });
-        } else {
-          await window.api.createFolder({ parentDir, name });
-        }
-        // Refresh file tree by re-reading the workspace without opening dialog
-        const res = await window.api.pickWorkspace(workspaceRoot);
-        if (res && res.rootPath === workspaceRoot) renderTree(res.tree);
-      } finally {
-        cleanup();
-      }
-    } else if (e.key === 'Escape') {
-      cleanup();
-    }
-  };
-
-  function cleanup() {
-    if (input && input.parentNode) input.parentNode.removeChild(input);
-  }
-}
-
-function promptRename(oldPath) {
-  const base = oldPath.split(/[/\\]/).pop();
-  const container = document.getElementById('file-tree');
-  const input = document.createElement('input');
-  input.className = 'inline-input';
-  input.value = base;
-  container.prepend(input);
-  input.focus();
-
-  input.onkeydown = async (e) => {
-    if (e.key === 'Enter') {
-      const newName = input.value.trim();
-      if (!newName || newName === base) return cleanup();
-      try {
-        const result = await window.api.renameEntry({ oldPath, newName });
-        if (result && result.path) {
-          // Update tab paths if any tab is using the old path
-          for (const tab of tabs) {
-            if (tab.path === oldPath) {
-              tab.path = result.path;
-              tab.name = newName;
-            }
-          }
-          // Update active tab path if needed
-          if (activeTabPath === oldPath) {
-            activeTabPath = result.path;
-          }
-          updateTabbar();
-          updateTitlebar();
-        }
-      } finally {
-        cleanup();
-        // Refresh file tree by re-reading the workspace without opening dialog
-        const res = await window.api.pickWorkspace(workspaceRoot);
-        if (res && res.rootPath === workspaceRoot) renderTree(res.tree);
-      }
-    } else if (e.key === 'Escape') {
-      cleanup();
-    }
-  };
-
-  function cleanup() {
-    if (input && input.parentNode) input.parentNode.removeChild(input);
-  }
-}
-
-async function promptDelete(entryPath, type) {
-  const ok = confirm(`Delete ${type}:\n${entryPath}\nThis cannot be undone.`);
-  if (!ok) return;
-  await window.api.deleteEntry({ entryPath });
-  const res = await window.api.pickWorkspace();
-  if (res && res.rootPath === workspaceRoot) renderTree(res.tree);
-}
-
-// ===== Tabs =====
-async function openFile(filePath, name) {
-  const existing = tabs.find(t => t.path === filePath);
-  if (existing) {
-    activateTab(existing.path);
-    return;
-  }
-
-  const content = await window.api.readFile(filePath);
-  const language = detectLanguage(name, content);
-  const uri = monaco.Uri.file(filePath);
-
-  let model = monaco.editor.getModel(uri);
-  if (!model) {
-    model = monaco.editor.createModel(content, language, uri);
-  } else {
-    model.setValue(content);
-    monaco.editor.setModelLanguage(model, language);
-  }
-
-  const tab = { path: filePath, name, model, language, dirty: false };
-  tabs.push(tab);
-  activateTab(filePath);
-  updateTabbar();
-}
-
-// Activate tab
-function activateTab(filePath) {
-  const tab = tabs.find(t => t.path === filePath);
-  if (!tab) return;
-  activeTabPath = filePath;
-  editor.setModel(tab.model);
-  updateTabbar();
-  updateTitlebar();
-  bindGlobalKeys();
-}
-
-// Close tab
-function closeTab(filePath) {
-  const idx = tabs.findIndex(t => t.path === filePath);
-  if (idx === -1) return;
-
-  const tab = tabs[idx];
-  // If dirty, ask confirmation
-  if (tab.dirty) {
-    const ok = confirm(`Close unsaved file?\n${tab.path}\nUnsaved changes will be lost.`);
-    if (!ok) return;
-  }
-
-  tabs.splice(idx, 1);
-
-  // If it was active, activate a neighbor
-  if (activeTabPath === filePath) {
-    const next = tabs[idx] || tabs[idx - 1];
-    activeTabPath = next ? next.path : null;
-    editor.setModel(next ? next.model : null);
-  }
-
-  updateTabbar();
-  updateTitlebar();
-}
-
-// Save active tab
-async function saveActiveTab() {
-  const tab = tabs.find(t => t.path === activeTabPath);
-  if (!tab) return;
-  const content = tab.model.getValue();
-  await window.api.saveFile({ filePath: tab.path, content });
-  tab.dirty = false;
-  updateTabbar();
-  updateTitlebar();
-}
-
-// Tabbar UI
-function updateTabbar() {
-  const bar = document.getElementById('tabbar');
-  bar.innerHTML = '';
-  for (const t of tabs) {
-    const el = document.createElement('div');
-    el.className = 'tab' + (t.path === activeTabPath ? ' active' : '');
-    const title = document.createElement('span');
-    title.textContent = t.dirty ? `${t.name} *` : t.name;
-    const close = document.createElement('span');
-    close.className = 'close';
-    close.textContent = '✕';
-
-    el.onclick = () => activateTab(t.path);
-    close.onclick = (e) => { e.stopPropagation(); closeTab(t.path); };
-
-    el.appendChild(title);
-    el.appendChild(close);
-    bar.appendChild(el);
-  }
-}
-
-// Titlebar label shows workspace and active file
-function updateTitlebar() {
-  const label = document.getElementById('workspace-label');
-  const base = workspaceRoot ? workspaceRoot : 'No folder opened';
-  const active = tabs.find(t => t.path === activeTabPath);
-  label.textContent = active
-    ? `${base} — ${active.path}${active.dirty ? ' *' : ''}`
-    : base;
-}
-
-// Global keys: F2 rename current file, Delete delete current file
-function bindGlobalKeys() {
-  window.onkeydown = async (e) => {
-    const active = tabs.find(t => t.path === activeTabPath);
-    if (!active) return;
-
-    if (e.key === 'F2') {
-      e.preventDefault();
-      promptRename(active.path);
-    }
-    if (e.key === 'Delete') {
-      e.preventDefault();
-      promptDelete(active.path, 'file');
-    }
-  };
-}
-
-// Language detection: by extension + shebang
-function detectLanguage(filename, content) {
-  const f = filename.toLowerCase();
-  if (f.endsWith('.ts')) return 'typescript';
-  if (f.endsWith('.js')) return 'javascript';
-  if (f.endsWith('.jsx')) return 'javascript';
-  if (f.endsWith('.tsx')) return 'typescript';
-  if (f.endsWith('.py')) return 'python';
-  if (f.endsWith('.cpp') || f.endsWith('.cc') || f.endsWith('.cxx')) return 'cpp';
-  if (f.endsWith('.c')) return 'c';
-  if (f.endsWith('.java')) return 'java';
-  if (f.endsWith('.json')) return 'json';
-  if (f.endsWith('.md')) return 'markdown';
-  if (f.endsWith('.html')) return 'html';
-  if (f.endsWith('.css')) return 'css';
-  if (f.endsWith('.sh')) return 'shell';
-  // shebang check
-  if (content && content.startsWith('#!')) {
-    if (content.includes('python')) return 'python';
-    if (content.includes('node')) return 'javascript';
-    if (content.includes('bash') || content.includes('sh')) return 'shell';
-  }
-  return 'plaintext';
-}
-
-// Run code on server
-async function runCodeOnServer(filePath, content) {
-  if (!workspaceRoot || !serverSettings.ip) {
-    updateRunOutput('Error: Workspace not opened or server not configured');
-    return;
-  }
-
-  try {
-    // Sync with server before running
-    const syncSuccess = await syncWithServer();
-    if (!syncSuccess) {
-      updateRunOutput('Error: Failed to sync with server before running');
-      return;
-    }
-
-    const projectName = workspaceRoot.split(/[/\\]/).pop();
-    const relativeFilePath = filePath.replace(workspaceRoot, '').replace(/^[/\\]/, '');
-    
-    updateRunOutput(`Running code: ${relativeFilePath}`);
-    
-    // Send run request to server
-    const runResult = await sendToServer('runCode', {
-      folderName: projectName,
-      filePath: relativeFilePath,
-      content: content
-    });
-    
-    if (runResult) {
-      if (runResult.success) {
-        updateRunOutput('\n=== RUN SUCCESS ===');
-        if (runResult.output) {
-          updateRunOutput('Output:');
-          updateRunOutput(runResult.output);
-        }
-        if (runResult.error) {
-          updateRunOutput('Warnings:');
-          updateRunOutput(runResult.error);
-        }
-        updateRunOutput(`Return code: ${runResult.returncode}`);
-      } else {
-        updateRunOutput('\n=== RUN FAILED ===');
-        if (runResult.error) {
-          updateRunOutput('Error:');
-          updateRunOutput(runResult.error);
-        }
-        if (runResult.returncode !== undefined) {
-          updateRunOutput(`Return code: ${runResult.returncode}`);
-        }
-      }
-    } else {
-      updateRunOutput('Error: Failed to get run result from server');
-    }
-  } catch (error) {
-    updateRunOutput(`Run error: ${error.message}`);
-  }
-}
-
-// Setup auto sync
-function setupAutoSync() {
-  // Clear existing interval if any
-  if (autoSyncInterval) {
-    clearInterval(autoSyncInterval);
-    autoSyncInterval = null;
-  }
-
-  const interval = serverSettings.syncInterval || 30;
-  if (interval > 0) {
-    updateRunOutput(`Setting up auto sync every ${interval} seconds`);
-    autoSyncInterval = setInterval(() => {
-      syncWithServer();
-    }, interval * 1000);
-  }
-}
-
-// Connect to server (placeholder)
-function connectServer(config) {
-  updateRunOutput('Connecting to server...');
-  // This function can be expanded for additional connection logic if needed
-}
-
-// Sync workspace (placeholder)
-function syncWorkspace() {
-  syncWithServer();
-}
-
-// Lightweight completion providers for non-TS/JS languages
-function registerCompletionProviders() {
-  // Python
-  monaco.languages.registerCompletionItemProvider('python', {
-    triggerCharacters: ['.', '_'],
-    provideCompletionItems: () => {
-      const suggestions = [
-        { label: 'def', kind: monaco.languages.CompletionItemKind.Keyword, insertText: 'def ${1:name}(${2:args}):\n\t${0}', insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet },
-        { label: 'class', kind: monaco.languages.CompletionItemKind.Keyword, insertText: 'class ${1:Name}:\n\tdef __init__(self${2}):\n\t\t${0}', insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet },
-        { label: 'print', kind: monaco.languages.CompletionItemKind.Function, insertText: 'print(${1})', insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet },
-        { label: 'ifmain', kind: monaco.languages.CompletionItemKind.Snippet, insertText: "if __name__ == '__main__':\n\t${0}", insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet }
-      ];
-      return { suggestions };
-    }
-  });
-
-  // C/C++
-  monaco.languages.registerCompletionItemProvider('cpp', {
-    triggerCharacters: ['#', '.', '>'],
-    provideCompletionItems: () => {
-      const suggestions = [
-        { label: '#include <iostream>', kind: monaco.languages.CompletionItemKind.Snippet, insertText: '#include <iostream>\nusing namespace std;\n', insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet },
-        { label: 'main', kind: monaco.languages.CompletionItemKind.Snippet, insertText: 'int main(){\n\t${0}\n\treturn 0;\n}', insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet }
-      ];
-      return { suggestions };
-    }
-  });
-
-  // Java
-  monaco.languages.registerCompletionItemProvider('java', {
-    triggerCharacters: ['.'],
-    provideCompletionItems: () => {
-      const suggestions = [
-        { label: 'main', kind: monaco.languages.CompletionItemKind.Snippet, insertText: 'public static void main(String[] args){\n\t${0}\n}', insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet }
-      ];
-      return { suggestions };
-    }
-  });
-}
+require.config({ paths: { 'vs': './node_modules/monaco-editor/min/vs' } });
+
+let editor;
+
+// Workspace and explorer state
+let workspaceRoot = null;
+let expandedPaths = new Set();
+
+// Tabs state
+let tabs = []; // { path, name, model, language, dirty, remote, readOnly, viewState, diskContent }
+let activeTabPath = null;
+
+// Server settings
+let serverSettings = {};
+const DEFAULT_SYNC_DELAY = 2; // seconds of quiet before watcher changes are pushed
+
+// Run state: { runId or debugId, streamId, stopTimer } while a streamed run is in progress
+let activeRun = null;
+// Diagnostics from the last run, keyed by absolute local path, and in output order
+let runDiagnostics = new Map();
+let runDiagnosticList = [];
+// Workspace file fed to the program as stdin instead of the console (absolute path)
+let stdinFilePath = null;
+
+// UI references
+let contextMenuEl = null;
+
+// Server profile the open workspace syncs and runs against (mirrors profileForWorkspace in main)
+function currentProfile() {
+  const profiles = serverSettings.profiles || [];
+  const bound = workspaceRoot && serverSettings.workspaceProfiles
+    ? serverSettings.workspaceProfiles[workspaceRoot]
+    : null;
+  return profiles.find(p => p.name === bound)
+    || profiles.find(p => p.name === serverSettings.activeProfile)
+    || profiles[0]
+    || {};
+}
+
+// Server communication. The main process sends the request with the run server's token.
+async function sendToServer(action, data = {}) {
+  if (!currentProfile().host) {
+    updateRunOutput('Error: Server IP not configured');
+    return null;
+  }
+
+  const answer = await window.api.runServerRequest({ action, ...data });
+  if (!answer.success) {
+    updateRunOutput(`Error communicating with server: ${answer.error}`);
+    return null;
+  }
+  return answer.result;
+}
+
+// Streamed action of the run server; onEvent gets each { type, payload } until the stream ends.
+// Resolves to the main process' answer: { success, error } or { success, streamed, aborted, answer }.
+const serverStreams = new Map(); // stream id -> onEvent
+let nextStreamId = 1;
+
+function newStreamId() {
+  return nextStreamId++;
+}
+
+async function streamFromServer(streamId, payload, onEvent) {
+  serverStreams.set(streamId, onEvent);
+  try {
+    return await window.api.runServerStream(streamId, payload);
+  } finally {
+    serverStreams.delete(streamId);
+  }
+}
+
+function bindServerStreams() {
+  window.api.onRunServerEvent(({ streamId, type, payload }) => {
+    const onEvent = serverStreams.get(streamId);
+    if (onEvent) onEvent({ type, payload });
+  });
+}
+
+// ===== Output channels =====
+// The output panel keeps one log per channel and shows the selected one. Text is only ever
+// inserted as text; ANSI SGR colors become styled spans and other escape sequences are dropped.
+const OUTPUT_CHANNELS = [
+  { id: 'run', label: 'Run' },
+  { id: 'build', label: 'Build' },
+  { id: 'sync', label: 'Sync' },
+  { id: 'system', label: 'System' }
+];
+const MAX_OUTPUT_LINES = 5000; // scrollback kept per channel
+// Normal and bright colors 0-15
+const ANSI_COLORS = ['#000000', '#cd3131', '#0dbc79', '#e5e510', '#2472c8', '#bc3fbc', '#11a8cd', '#e5e5e5',
+  '#666666', '#f14c4c', '#23d18b', '#f5f543', '#3b8eea', '#d670d6', '#29b8db', '#ffffff'];
+const ANSI_RE = /\x1b(?:\[([0-9;:?]*)([@-~])|\][^\x07\x1b]*(?:\x07|\x1b\\)|[@-Z\\-_])/g;
+const ANSI_PARTIAL_RE = /^\x1b(?:\[[0-9;:?]*|\][^\x07\x1b]*\x1b?)?$/;
+const outputChannels = new Map(); // id -> { el, lines, ansi: { sgr, style, pending } }
+let activeOutputChannel = 'system';
+
+// Timestamped message in a channel
+function updateRunOutput(message, channel = 'system') {
+  const timestamp = new Date().toLocaleTimeString();
+  appendOutput(channel, `[${timestamp}] ${message}\n`);
+}
+
+// Append streamed program output as-is (no timestamp); stderr, echoed input and build steps are highlighted.
+// Build steps go to the Build channel, everything else to Run.
+function appendRunStream(text, stream, channel = stream === 'build' ? 'build' : 'run') {
+  appendOutput(channel, text, stream === 'stdout' ? null : stream);
+}
+
+function outputChannel(id) {
+  if (!outputChannels.has(id)) {
+    const el = document.createElement('div');
+    el.className = 'output-channel';
+    el.dataset.channel = id;
+    el.classList.toggle('active', id === activeOutputChannel);
+    document.getElementById('run-log').appendChild(el);
+    outputChannels.set(id, { el, lines: 0, ansi: { sgr: {}, style: null, pending: '' } });
+  }
+  return outputChannels.get(id);
+}
+
+function appendOutput(channelId, text, className = null) {
+  const channel = outputChannel(channelId);
+  const chunk = document.createElement('span');
+  if (className) chunk.className = className;
+  for (const part of parseAnsi(channel.ansi, text)) {
+    if (!part.text) continue;
+    if (part.style) {
+      const span = document.createElement('span');
+      span.style.cssText = part.style;
+      span.textContent = part.text;
+      chunk.appendChild(span);
+    } else {
+      chunk.appendChild(document.createTextNode(part.text));
+    }
+  }
+  appendOutputNode(channelId, chunk, countLines(text));
+}
+
+// Clickable entries (problems, conflicts) are whole lines of their own
+function appendOutputItem(channelId, item) {
+  appendOutputNode(channelId, item, 1);
+}
+
+function appendOutputNode(channelId, node, lines) {
+  const channel = outputChannel(channelId);
+  const panel = document.getElementById('run-output');
+  const atBottom = panel.scrollTop + panel.clientHeight >= panel.scrollHeight - 4;
+  node.dataset.lines = String(lines);
+  channel.el.appendChild(node);
+  channel.lines += lines;
+  while (channel.lines > MAX_OUTPUT_LINES && channel.el.firstChild) {
+    channel.lines -= Number(channel.el.firstChild.dataset.lines) || 0;
+    channel.el.firstChild.remove();
+  }
+  if (channelId !== activeOutputChannel) {
+    const tab = document.querySelector(`#output-tabs [data-channel="${channelId}"]`);
+    if (tab) tab.classList.add('unread');
+  } else if (atBottom) {
+    panel.scrollTop = panel.scrollHeight;
+  }
+}
+
+function countLines(text) {
+  let lines = 0;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) lines++;
+  return Math.max(1, lines);
+}
+
+// Split text into [{ text, style }] at escape sequences; SGR codes update state for the text after
+// them. A sequence cut off at the end of a chunk waits in state.pending for the next one.
+function parseAnsi(state, text) {
+  text = state.pending + text;
+  state.pending = '';
+  const parts = [];
+  let last = 0;
+  ANSI_RE.lastIndex = 0;
+  let match;
+  while ((match = ANSI_RE.exec(text))) {
+    parts.push({ text: text.slice(last, match.index), style: state.style });
+    if (match[2] === 'm') {
+      state.sgr = applySgr(state.sgr, match[1]);
+      state.style = sgrStyle(state.sgr);
+    }
+    last = ANSI_RE.lastIndex;
+  }
+  let rest = text.slice(last);
+  const esc = rest.lastIndexOf('\x1b');
+  if (esc !== -1 && ANSI_PARTIAL_RE.test(rest.slice(esc))) {
+    state.pending = rest.slice(esc);
+    rest = rest.slice(0, esc);
+  }
+  parts.push({ text: rest, style: state.style });
+  return parts;
+}
+
+function applySgr(sgr, params) {
+  const codes = params ? params.split(/[;:]/).map(Number) : [0];
+  let next = { ...sgr };
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+    if (code === 0 || Number.isNaN(code)) next = {};
+    else if (code === 1) next.bold = true;
+    else if (code === 2) next.dim = true;
+    else if (code === 3) next.italic = true;
+    else if (code === 4) next.underline = true;
+    else if (code === 7) next.inverse = true;
+    else if (code === 22) next.bold = next.dim = false;
+    else if (code === 23) next.italic = false;
+    else if (code === 24) next.underline = false;
+    else if (code === 27) next.inverse = false;
+    else if (code >= 30 && code <= 37) next.fg = ANSI_COLORS[code - 30];
+    else if (code >= 90 && code <= 97) next.fg = ANSI_COLORS[code - 90 + 8];
+    else if (code >= 40 && code <= 47) next.bg = ANSI_COLORS[code - 40];
+    else if (code >= 100 && code <= 107) next.bg = ANSI_COLORS[code - 100 + 8];
+    else if (code === 39) next.fg = null;
+    else if (code === 49) next.bg = null;
+    else if (code === 38 || code === 48) {
+      // 38;5;n (256 colors) and 38;2;r;g;b (true color)
+      const key = code === 38 ? 'fg' : 'bg';
+      if (codes[i + 1] === 5) {
+        next[key] = ansi256(codes[i + 2]);
+        i += 2;
+      } else if (codes[i + 1] === 2) {
+        next[key] = `rgb(${codes[i + 2] || 0}, ${codes[i + 3] || 0}, ${codes[i + 4] || 0})`;
+        i += 4;
+      }
+    }
+  }
+  return next;
+}
+
+function ansi256(n) {
+  if (!(n >= 0 && n <= 255)) return null;
+  if (n < 16) return ANSI_COLORS[n];
+  if (n >= 232) {
+    const v = 8 + (n - 232) * 10;
+    return `rgb(${v}, ${v}, ${v})`;
+  }
+  const level = x => (x ? 55 + x * 40 : 0);
+  const c = n - 16;
+  return `rgb(${level(Math.floor(c / 36))}, ${level(Math.floor(c / 6) % 6)}, ${level(c % 6)})`;
+}
+
+function sgrStyle(sgr) {
+  const fg = sgr.inverse ? sgr.bg || 'var(--bg)' : sgr.fg;
+  const bg = sgr.inverse ? sgr.fg || 'var(--text)' : sgr.bg;
+  const rules = [];
+  if (fg) rules.push(`color: ${fg}`);
+  if (bg) rules.push(`background: ${bg}`);
+  if (sgr.bold) rules.push('font-weight: bold');
+  if (sgr.dim) rules.push('opacity: .7');
+  if (sgr.italic) rules.push('font-style: italic');
+  if (sgr.underline) rules.push('text-decoration: underline');
+  return rules.length ? rules.join('; ') : null;
+}
+
+// Server output with the escape sequences removed, for parsing
+function stripAnsi(text) {
+  return text.replace(ANSI_RE, '');
+}
+
+function bindOutputPanel() {
+  const tabsEl = document.getElementById('output-tabs');
+  for (const { id, label } of OUTPUT_CHANNELS) {
+    outputChannel(id);
+    const tab = document.createElement('button');
+    tab.dataset.channel = id;
+    tab.textContent = label;
+    tab.onclick = () => showOutputChannel(id);
+    tabsEl.appendChild(tab);
+  }
+  showOutputChannel(activeOutputChannel);
+  document.getElementById('output-clear').onclick = () => clearOutputChannel(activeOutputChannel);
+  document.getElementById('output-copy').onclick = async () => {
+    try {
+      await navigator.clipboard.writeText(outputChannel(activeOutputChannel).el.textContent);
+    } catch (error) {
+      updateRunOutput(`Copy failed: ${error.message}`);
+    }
+  };
+  document.getElementById('output-save').onclick = async () => {
+    const { label } = OUTPUT_CHANNELS.find(c => c.id === activeOutputChannel);
+    const result = await window.api.saveOutput(`${label.toLowerCase()}-output.log`, outputChannel(activeOutputChannel).el.textContent);
+    if (!result.success && !result.canceled) updateRunOutput(`Error saving output: ${result.error}`);
+  };
+}
+
+function showOutputChannel(id) {
+  activeOutputChannel = id;
+  for (const [channelId, channel] of outputChannels) channel.el.classList.toggle('active', channelId === id);
+  for (const tab of document.querySelectorAll('#output-tabs button')) {
+    tab.classList.toggle('active', tab.dataset.channel === id);
+    if (tab.dataset.channel === id) tab.classList.remove('unread');
+  }
+  const panel = document.getElementById('run-output');
+  panel.scrollTop = panel.scrollHeight;
+}
+
+function clearOutputChannel(id) {
+  const channel = outputChannel(id);
+  channel.el.textContent = '';
+  channel.lines = 0;
+  channel.ansi = { sgr: {}, style: null, pending: '' };
+}
+
+// Load server settings from file
+async function loadServerSettings() {
+  try {
+    serverSettings = await window.api.readServerSettings();
+    console.log('Server settings loaded:', serverSettings);
+    // Set up auto sync interval if configured
+    setupAutoSync();
+    // Check rclone availability
+    await checkRcloneAvailability();
+  } catch (error) {
+    console.error('Error loading server settings:', error);
+  }
+}
+
+// Check if rclone is available; the main process resolves it from settings, the bundled copy or PATH
+async function checkRcloneAvailability() {
+  try {
+    const checkResult = await window.api.checkRclone();
+    if (checkResult.available) {
+      updateRunOutput(`rclone available: ${checkResult.version} (${checkResult.path})`);
+    } else {
+      // rclone is optional now that sync runs over the built-in SFTP client
+      updateRunOutput(`rclone not available: ${checkResult.error} (not required for sync)`);
+    }
+  } catch (error) {
+    updateRunOutput(`Error checking rclone: ${error.message}`);
+  }
+}
+
+// Sync with server over SFTP
+async function syncWithServer() {
+  const profile = currentProfile();
+  if (!workspaceRoot || !profile.host || !profile.user) {
+    updateRunOutput('Error: Workspace not opened or server settings not configured', 'sync');
+    return false;
+  }
+
+  try {
+    const projectName = workspaceRoot.split(/[/\\]/).pop();
+    
+    // Check if folder exists on server
+    const checkResult = await sendToServer('checkFolder', { folderName: projectName });
+    if (!checkResult) {
+      updateRunOutput('Error checking folder on server', 'sync');
+      return false;
+    }
+    
+    // Display check result
+    if (checkResult.success) {
+      updateRunOutput(`Server folder ready: ${checkResult.folderPath}`, 'sync');
+    } else {
+      updateRunOutput(`Error preparing server folder: ${checkResult.error}`, 'sync');
+      return false;
+    }
+
+    // Sync natively over SFTP in the main process, progress shows in the status bar
+    updateRunOutput(`Starting sync [${profile.name}]: ${workspaceRoot} -> ${profile.remoteRoot}/${projectName}`, 'sync');
+    const result = await window.api.syncWorkspace(workspaceRoot);
+
+    if (!result.success) {
+      updateRunOutput(`Sync error: ${result.error}`, 'sync');
+      updateRunOutput('\nTroubleshooting tips:', 'sync');
+      updateRunOutput('1. Check if server host, username, and password are correct', 'sync');
+      updateRunOutput(`2. Ensure SFTP port ${profile.port} is open on the server`, 'sync');
+      updateRunOutput('3. Verify that the server has SFTP enabled', 'sync');
+      updateRunOutput('4. Ensure your network connection is stable', 'sync');
+      return false;
+    }
+
+    updateRunOutput(`Sync summary: ${syncSummaryText(result)}, ${result.skipped} unchanged`, 'sync');
+    if (result.conflicts && result.conflicts.length) {
+      showSyncConflicts(result.conflicts);
+    } else {
+      updateRunOutput('Sync completed successfully - all files synced', 'sync');
+    }
+    return true;
+  } catch (error) {
+    updateRunOutput(`Sync exception: ${error.message}`, 'sync');
+    return false;
+  }
+}
+
+require(['vs/editor/editor.main'], function () {
+  editor = monaco.editor.create(document.getElementById('container'), {
+    value: '',
+    language: 'plaintext',
+    theme: 'vs-dark',
+    automaticLayout: true,
+    glyphMargin: true
+  });
+
+  registerSnippetProviders();
+  registerLanguageServerProviders();
+
+  // Sync progress and results go to the status bar and its history; only failures and conflicts are logged
+  bindSyncStatus();
+  window.api.onSyncResult((result) => {
+    if (!result.success) updateRunOutput(`Auto sync error: ${result.error}`, 'sync');
+    if (result.conflicts && result.conflicts.length) showSyncConflicts(result.conflicts);
+  });
+  
+  // Load server settings on startup, then reopen the last session's workspace
+  loadServerSettings().then(restoreLastSession);
+  loadSnippets();
+
+  monaco.editor.onDidCreateModel((model) => {
+    model.onDidChangeContent(() => {
+      const t = tabs.find(t => t.model === model);
+      if (t && !t.dirty) {
+        t.dirty = true;
+        updateTabbar();
+        updateTitlebar();
+      }
+      if (t) {
+        scheduleAutoSave();
+        lspScheduleChange(t);
+        scheduleGitGutter(t);
+        updateBreakpointLines(t);
+      }
+    });
+  });
+  bindAutoSave();
+
+  editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS, () => {
+    saveActiveTab();
+  });
+
+  document.getElementById('open-folder').addEventListener('click', async () => {
+    const res = await window.api.pickWorkspace();
+    if (!res) return;
+    applyWorkspace(res.rootPath, res.tree);
+  });
+
+  document.getElementById('save-file').addEventListener('click', () => {
+    saveActiveTab();
+  });
+
+  // Run 按钮
+  document.getElementById('run-code').addEventListener('click', () => {
+    const config = selectedRunConfig();
+    if (config) {
+      runWithConfig(config);
+      return;
+    }
+    const active = tabs.find(t => t.path === activeTabPath);
+    if (!active) return;
+    if (active.remote) {
+      updateRunOutput('Server files cannot be run directly; download them into the workspace first');
+      return;
+    }
+    runCodeOnServer(active.path, active.model.getValue());
+  });
+
+  document.getElementById('debug-code').addEventListener('click', () => {
+    const config = selectedRunConfig();
+    if (config) {
+      const filePath = workspacePath(config.entry);
+      const tab = tabs.find(t => t.path === filePath);
+      debugOnServer(filePath, tab ? tab.model.getValue() : undefined, config);
+      return;
+    }
+    const active = tabs.find(t => t.path === activeTabPath);
+    if (!active) return;
+    if (active.remote) {
+      updateRunOutput('Server files cannot be debugged directly; download them into the workspace first');
+      return;
+    }
+    debugOnServer(active.path, active.model.getValue());
+  });
+
+  document.getElementById('run-config').addEventListener('change', (e) => {
+    if (e.target.value === RUN_CONFIG_EDIT) {
+      e.target.value = selectedRunConfigName;
+      editRunConfigs();
+      return;
+    }
+    selectedRunConfigName = e.target.value;
+  });
+
+  document.getElementById('stop-run').addEventListener('click', () => {
+    stopRun();
+  });
+
+  document.getElementById('run-tests').addEventListener('click', () => {
+    const config = selectedRunConfig();
+    const active = tabs.find(t => t.path === activeTabPath);
+    if (config) {
+      runTests(workspacePath(config.entry), config);
+    } else if (active && !active.remote) {
+      runTests(active.path);
+    }
+  });
+  bindTestPanel();
+  bindDebugPanel();
+  bindSearchPanel();
+  bindQuickOpen();
+  bindScmPanel();
+  bindSnippetManager();
+
+  bindOutputPanel();
+  bindServerStreams();
+  bindRunConsole();
+  bindDiagnosticLinks();
+  bindMergeView();
+
+  document.getElementById('remote-refresh').addEventListener('click', () => {
+    refreshRemoteTree();
+  });
+
+  // Server Settings 弹窗
+  window.api.onOpenServerSettings(() => {
+    openServerSettingsModal();
+  });
+
+  document.getElementById('profile-select').onchange = (e) => {
+    storeProfileForm();
+    selectedProfileIndex = Number(e.target.value);
+    fillProfileForm(profileDrafts[selectedProfileIndex].profile);
+  };
+
+  document.getElementById('server-auth').onchange = updateAuthFields;
+
+  document.getElementById('profile-new').onclick = () => {
+    storeProfileForm();
+    profileDrafts.push({ originalName: null, profile: { ...PROFILE_DEFAULTS, name: uniqueProfileName('New Server') } });
+    selectedProfileIndex = profileDrafts.length - 1;
+    renderProfileSelect();
+    fillProfileForm(profileDrafts[selectedProfileIndex].profile);
+  };
+
+  document.getElementById('profile-delete').onclick = () => {
+    if (!profileDrafts.length) return;
+    profileDrafts.splice(selectedProfileIndex, 1);
+    selectedProfileIndex = Math.max(0, selectedProfileIndex - 1);
+    renderProfileSelect();
+    fillProfileForm(profileDrafts[selectedProfileIndex] ? profileDrafts[selectedProfileIndex].profile : PROFILE_DEFAULTS);
+  };
+
+  document.getElementById('server-save').onclick = async () => {
+    storeProfileForm();
+    const names = profileDrafts.map(d => d.profile.name);
+    if (names.some(n => !n) || new Set(names).size !== names.length) {
+      alert('Every profile needs a unique name.');
+      return;
+    }
+    const keyless = profileDrafts.findIndex(d => d.profile.auth === 'key' && !d.profile.keyPath);
+    if (keyless !== -1) {
+      selectedProfileIndex = keyless;
+      renderProfileSelect();
+      fillProfileForm(profileDrafts[keyless].profile);
+      alert(`Profile "${profileDrafts[keyless].profile.name}" uses key authentication but has no private key file.`);
+      return;
+    }
+
+    const config = buildSettingsFromDrafts();
+    // Save settings to file
+    try {
+      // The saved copy comes back without secrets
+      const saved = await window.api.writeServerSettings(config);
+      serverSettings = saved || config;
+      console.log('Server settings saved:', config.profiles.map(p => p.name));
+      // Update auto sync interval
+      setupAutoSync();
+      // Check rclone availability with new path
+      await checkRcloneAvailability();
+    } catch (error) {
+      console.error('Error saving server settings:', error);
+    }
+    connectServer(currentProfile());
+    refreshSyncStatus();
+    syncWorkspace();
+    document.getElementById('server-modal').style.display = 'none';
+  };
+
+  // Profile switched from the Settings menu
+  window.api.onServerSettingsChanged((settings) => {
+    serverSettings = settings;
+    updateRunOutput(`Using server profile: ${currentProfile().name || '(none)'}`);
+    refreshSyncStatus();
+    syncWorkspace();
+  });
+
+  document.getElementById('server-close').onclick = () => {
+    document.getElementById('server-modal').style.display = 'none';
+  };
+
+  window.api.onWorkspaceOpened(({ rootPath, tree }) => applyWorkspace(rootPath, tree));
+  window.api.onFileChanged(({ path }) => handleFileChanged(path));
+  window.api.onAppClosing(confirmAppClose);
+  window.api.onWorkspaceRefresh(({ rootPath, tree }) => {
+    if (rootPath === workspaceRoot) {
+      renderTree(tree);
+      loadRunConfigs();
+      scheduleGitRefresh();
+    }
+  });
+
+  editor.onDidChangeCursorPosition(scheduleSessionSave);
+  editor.onDidScrollChange(scheduleSessionSave);
+  window.addEventListener('beforeunload', () => {
+    if (workspaceRoot) window.api.saveWorkspaceSessionSync(collectSession());
+  });
+
+  document.getElementById('workspace-label').textContent = 'No folder opened';
+});
+
+// ===== Workspace & Tree =====
+async function applyWorkspace(rootPath, tree) {
+  // Keep the state of the workspace being left
+  if (workspaceRoot && workspaceRoot !== rootPath) await window.api.saveWorkspaceSession(collectSession());
+  workspaceRoot = rootPath;
+  setStdinFile(null);
+  document.getElementById('workspace-label').textContent = rootPath;
+  const session = await window.api.getWorkspaceSession(rootPath);
+  expandedPaths = new Set([rootPath, ...((session && session.expanded) || [])]);
+  recentFiles = (session && session.recentFiles) || [];
+  renderTree(tree);
+  selectedRunConfigName = '';
+  await loadRunConfigs();
+  resetRemoteTree();
+  await refreshGitStatus();
+  loadSnippets();
+  if (session) await restoreTabs(session);
+  
+  refreshSyncStatus();
+  // Sync with server when opening a new workspace
+  await syncWithServer();
+  refreshRemoteTree();
+}
+
+function renderTree(tree) {
+  workspaceTree = tree;
+  const container = document.getElementById('file-tree');
+  container.innerHTML = '';
+  const rootUl = document.createElement('ul');
+  container.appendChild(rootUl);
+  rootUl.appendChild(createTreeItem(tree));
+  document.addEventListener('click', closeContextMenu);
+}
+
+function createTreeItem(node) {
+  const li = document.createElement('li');
+  const row = document.createElement('div');
+  row.className = 'item ' + (node.type === 'folder' ? 'folder' : 'file') + (node.ignored ? ' ignored' : '');
+  // Excluded by .gitignore / .bobocloudignore: not synced, and folder contents are not listed
+  if (node.ignored) row.title = 'Excluded from sync';
+  row.dataset.path = node.path;
+  decorateTreeRow(row);
+
+  const icon = document.createElement('span');
+  const name = document.createElement('span');
+  name.textContent = node.name;
+
+  const isExpanded = node.type === 'folder'
+    ? expandedPaths.has(node.path) && !node.ignored
+    : false;
+
+  icon.textContent = node.type === 'folder'
+    ? (isExpanded ? '▾' : '▸')
+    : '•';
+
+  row.appendChild(icon);
+  row.appendChild(name);
+  li.appendChild(row);
+
+  row.oncontextmenu = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    openContextMenu(e.clientX, e.clientY, node);
+  };
+
+  if (node.type === 'file') {
+    row.onclick = () => openFile(node.path, node.name);
+  } else {
+    row.onclick = () => {
+      const expanded = expandedPaths.has(node.path);
+      if (expanded && !node.ignored) {
+        expandedPaths.delete(node.path);
+      } else {
+        expandedPaths.add(node.path);
+      }
+      scheduleSessionSave();
+      const updated = createTreeItem(node);
+      li.replaceWith(updated);
+    };
+
+    const childrenContainer = document.createElement('ul');
+    childrenContainer.style.paddingLeft = '14px';
+    li.appendChild(childrenContainer);
+
+    if (isExpanded && node.children && node.children.length) {
+      for (const child of node.children) {
+        childrenContainer.appendChild(createTreeItem(child));
+      }
+    }
+  }
+
+  return li;
+}
+
+function openContextMenu(x, y, node) {
+  const actions = [];
+  if (node.type === 'folder') {
+    actions.push(['New File', () => promptCreate(node.path, 'file')]);
+    actions.push(['New Folder', () => promptCreate(node.path, 'folder')]);
+  }
+  if (node.type === 'file') {
+    actions.push(['Use as Run Input', () => setStdinFile(node.path)]);
+    actions.push(['Run Tests', () => runTests(node.path)]);
+    actions.push(['Edit Test Cases', () => editTestCases(node.path)]);
+  }
+  actions.push(['Rename', () => promptRename(node.path)]);
+  actions.push(['Delete', () => promptDelete(node.path, node.type)]);
+  showContextMenu(x, y, actions);
+}
+
+// actions: [[label, handler], ...]
+function showContextMenu(x, y, actions) {
+  closeContextMenu();
+  const menu = document.createElement('div');
+  menu.className = 'context-menu';
+  menu.style.left = `${x}px`;
+  menu.style.top = `${y}px`;
+
+  for (const [label, handler] of actions) {
+    const a = document.createElement('div');
+    a.className = 'action';
+    a.textContent = label;
+    a.onclick = () => { handler(); closeContextMenu(); };
+    menu.appendChild(a);
+  }
+
+  document.body.appendChild(menu);
+  contextMenuEl = menu;
+}
+
+function closeContextMenu() {
+  if (contextMenuEl && contextMenuEl.parentNode) {
+    contextMenuEl.parentNode.removeChild(contextMenuEl);
+  }
+  contextMenuEl = null;
+}
+
+function promptCreate(parentDir, type) {
+  const container = document.getElementById('file-tree');
+  const input = document.createElement('input');
+  input.className = 'inline-input';
+  input.placeholder = type === 'file' ? 'newFile.py' : 'NewFolder';
+  container.prepend(input);
+  input.focus();
+
+  input.onkeydown = async (e) => {
+    if (e.key === 'Enter') {
+      const name = input.value.trim();
+      if (!name) return cleanup();
+      try {
+        if (type === 'file') {
+          await window.api.createFile({ parentDir, name });
+        } else {
+          await window.api.createFolder({ parentDir, name });
+        }
+        // Refresh file tree by re-reading the workspace without opening dialog
+        const res = await window.api.pickWorkspace(workspaceRoot);
+        if (res && res.rootPath === workspaceRoot) renderTree(res.tree);
+      } finally {
+        cleanup();
+      }
+    } else if (e.key === 'Escape') {
+      cleanup();
+    }
+  };
+
+  function cleanup() {
+    if (input && input.parentNode) input.parentNode.removeChild(input);
+  }
+}
+
+function promptRename(oldPath) {
+  const base = oldPath.split(/[/\\]/).pop();
+  const container = document.getElementById('file-tree');
+  const input = document.createElement('input');
+  input.className = 'inline-input';
+  input.value = base;
+  container.prepend(input);
+  input.focus();
+
+  input.onkeydown = async (e) => {
+    if (e.key === 'Enter') {
+      const newName = input.value.trim();
+      if (!newName || newName === base) return cleanup();
+      try {
+        const result = await window.api.renameEntry({ oldPath, newName });
+        if (result && result.path) {
+          // Update tab paths if any tab is using the old path
+          for (const tab of tabs) {
+            if (tab.path === oldPath) {
+              tab.path = result.path;
+              tab.name = newName;
+            }
+          }
+          // Update active tab path if needed
+          if (activeTabPath === oldPath) {
+            activeTabPath = result.path;
+          }
+          updateTabbar();
+          updateTitlebar();
+        }
+      } finally {
+        cleanup();
+        // Refresh file tree by re-reading the workspace without opening dialog
+        const res = await window.api.pickWorkspace(workspaceRoot);
+        if (res && res.rootPath === workspaceRoot) renderTree(res.tree);
+      }
+    } else if (e.key === 'Escape') {
+      cleanup();
+    }
+  };
+
+  function cleanup() {
+    if (input && input.parentNode) input.parentNode.removeChild(input);
+  }
+}
+
+async function promptDelete(entryPath, type) {
+  const ok = confirm(`Delete ${type}:\n${entryPath}\nThis cannot be undone.`);
+  if (!ok) return;
+  await window.api.deleteEntry({ entryPath });
+  const res = await window.api.pickWorkspace();
+  if (res && res.rootPath === workspaceRoot) renderTree(res.tree);
+}
+
+// ===== Remote explorer =====
+// Lazily loaded view of the workspace folder on the server; paths are relative to it ('' = root)
+let remoteExpanded = new Set(['']);
+let remoteEntries = new Map(); // rel folder -> [{ name, type, size, mtime }]
+
+function resetRemoteTree() {
+  remoteExpanded = new Set(['']);
+  remoteEntries = new Map();
+  document.getElementById('remote-tree').innerHTML = '';
+}
+
+function remoteChildPath(parent, name) {
+  return parent ? `${parent}/${name}` : name;
+}
+
+async function loadRemoteDir(rel) {
+  const result = await window.api.listRemote(rel);
+  if (!result.success) {
+    remoteEntries.delete(rel);
+    throw new Error(result.error);
+  }
+  remoteEntries.set(rel, result.entries);
+}
+
+// Reload every expanded folder, dropping the ones that disappeared on the server
+async function refreshRemoteTree() {
+  if (!workspaceRoot || !currentProfile().host) return;
+  try {
+    for (const rel of [...remoteExpanded].sort()) {
+      const parent = rel.includes('/') ? rel.slice(0, rel.lastIndexOf('/')) : '';
+      const siblings = remoteEntries.get(parent);
+      if (rel && siblings && !siblings.some(e => e.type === 'folder' && remoteChildPath(parent, e.name) === rel)) {
+        remoteExpanded.delete(rel);
+        continue;
+      }
+      await loadRemoteDir(rel);
+    }
+  } catch (error) {
+    updateRunOutput(`Error listing server files: ${error.message}`);
+  }
+  renderRemoteTree();
+}
+
+function renderRemoteTree() {
+  const container = document.getElementById('remote-tree');
+  container.innerHTML = '';
+  if (!remoteEntries.has('')) return;
+  const rootUl = document.createElement('ul');
+  container.appendChild(rootUl);
+  rootUl.appendChild(createRemoteItem({ name: workspaceRoot.split(/[/\\]/).pop(), type: 'folder' }, ''));
+}
+
+function createRemoteItem(entry, rel) {
+  const li = document.createElement('li');
+  const row = document.createElement('div');
+  row.className = 'item ' + entry.type;
+
+  const icon = document.createElement('span');
+  const name = document.createElement('span');
+  name.textContent = entry.name;
+  const isExpanded = entry.type === 'folder' && remoteExpanded.has(rel) && remoteEntries.has(rel);
+  icon.textContent = entry.type === 'folder' ? (isExpanded ? '▾' : '▸') : '•';
+  if (entry.type === 'file') row.title = `${entry.size} bytes, modified ${new Date(entry.mtime).toLocaleString()}`;
+
+  row.appendChild(icon);
+  row.appendChild(name);
+  li.appendChild(row);
+
+  row.oncontextmenu = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    openRemoteContextMenu(e.clientX, e.clientY, entry, rel);
+  };
+
+  if (entry.type === 'file') {
+    row.onclick = () => openRemoteFile(rel, { readOnly: true });
+    return li;
+  }
+
+  row.onclick = async () => {
+    if (isExpanded) {
+      remoteExpanded.delete(rel);
+    } else {
+      remoteExpanded.add(rel);
+      try {
+        await loadRemoteDir(rel);
+      } catch (error) {
+        remoteExpanded.delete(rel);
+        updateRunOutput(`Error listing server folder ${rel}: ${error.message}`);
+      }
+    }
+    li.replaceWith(createRemoteItem(entry, rel));
+  };
+
+  const childrenContainer = document.createElement('ul');
+  childrenContainer.style.paddingLeft = '14px';
+  li.appendChild(childrenContainer);
+  if (isExpanded) {
+    for (const child of remoteEntries.get(rel)) {
+      childrenContainer.appendChild(createRemoteItem(child, remoteChildPath(rel, child.name)));
+    }
+  }
+  return li;
+}
+
+function openRemoteContextMenu(x, y, entry, rel) {
+  const actions = [];
+  if (entry.type === 'file') {
+    actions.push(['Open Read-only', () => openRemoteFile(rel, { readOnly: true })]);
+    actions.push(['Open for Editing', () => openRemoteFile(rel, { readOnly: false })]);
+  } else {
+    actions.push(['Refresh', () => refreshRemoteTree()]);
+  }
+  actions.push(['Download to Workspace', () => downloadRemoteEntry(rel)]);
+  if (rel) actions.push(['Delete from Server', () => deleteRemoteEntry(entry, rel)]);
+  showContextMenu(x, y, actions);
+}
+
+// Server files open in their own tabs; editable ones are saved straight back to the server
+async function openRemoteFile(rel, { readOnly }) {
+  const tabPath = `server:${rel}`;
+  const existing = tabs.find(t => t.path === tabPath);
+  if (existing) {
+    if (existing.readOnly && !readOnly) existing.readOnly = false;
+    activateTab(tabPath);
+    return;
+  }
+
+  const result = await window.api.readRemote(rel);
+  if (!result.success) {
+    updateRunOutput(`Error opening ${rel} from server: ${result.error}`);
+    return;
+  }
+  const name = rel.split('/').pop();
+  const language = detectLanguage(name, result.content);
+  const uri = monaco.Uri.from({ scheme: 'server', path: `/${rel}` });
+  let model = monaco.editor.getModel(uri);
+  if (!model) {
+    model = monaco.editor.createModel(result.content, language, uri);
+  } else {
+    model.setValue(result.content);
+  }
+
+  tabs.push({ path: tabPath, name: `${name} (server)`, model, language, dirty: false, remote: rel, readOnly });
+  activateTab(tabPath);
+  updateTabbar();
+}
+
+async function downloadRemoteEntry(rel) {
+  const target = rel || 'the whole server folder';
+  if (!confirm(`Download ${target} into the workspace?\nLocal files at the same paths are overwritten.`)) return;
+  const result = await window.api.downloadRemote(rel);
+  if (!result.success) {
+    updateRunOutput(`Download error: ${result.error}`);
+    return;
+  }
+  updateRunOutput(`Downloaded ${result.files} file(s) to ${result.localPath}`);
+  if (result.files === 1) await reloadCleanTab(result.localPath);
+}
+
+async function deleteRemoteEntry(entry, rel) {
+  if (!confirm(`Delete ${entry.type} from the server?\n${rel}`)) return;
+  const result = await window.api.deleteRemote(rel);
+  if (!result.success) {
+    updateRunOutput(`Error deleting ${rel} on server: ${result.error}`);
+    return;
+  }
+  updateRunOutput(`Deleted on server: ${rel}`);
+  refreshRemoteTree();
+}
+
+// ===== Session =====
+// Open tabs (with cursor, scroll and folds), the active tab and expanded folders are saved per
+// workspace in the main process and restored when the workspace is opened again.
+let sessionTimer = null;
+const SESSION_SAVE_DELAY = 1000;
+
+async function restoreLastSession() {
+  if (workspaceRoot) return;
+  const res = await window.api.restoreSession();
+  if (res && res.tree) await applyWorkspace(res.rootPath, res.tree);
+}
+
+// Remember the view state of the tab currently in the editor
+function captureViewState() {
+  const tab = tabs.find(t => t.path === activeTabPath);
+  if (tab && editor.getModel() === tab.model) tab.viewState = editor.saveViewState();
+}
+
+function collectSession() {
+  captureViewState();
+  const inWorkspace = p => p === workspaceRoot || p.startsWith(workspaceRoot + '/') || p.startsWith(workspaceRoot + '\\');
+  const saved = tabs.filter(t => !t.remote && inWorkspace(t.path));
+  return {
+    root: workspaceRoot,
+    tabs: saved.map(t => ({ path: t.path, viewState: t.viewState || null })),
+    activeTab: saved.some(t => t.path === activeTabPath) ? activeTabPath : null,
+    expanded: [...expandedPaths].filter(inWorkspace),
+    recentFiles: recentFiles.filter(inWorkspace)
+  };
+}
+
+function scheduleSessionSave() {
+  if (!workspaceRoot) return;
+  clearTimeout(sessionTimer);
+  sessionTimer = setTimeout(() => {
+    window.api.saveWorkspaceSession(collectSession());
+  }, SESSION_SAVE_DELAY);
+}
+
+// Reopen the saved tabs
+async function restoreTabs(session) {
+  const restored = [];
+  for (const saved of session.tabs || []) {
+    if (tabs.some(t => t.path === saved.path)) continue;
+    try {
+      await openFile(saved.path, saved.path.split(/[/\\]/).pop());
+      restored.push(saved);
+    } catch {
+      // Deleted or unreadable since the last session
+    }
+  }
+  // Opening each tab captures the view state of the one before, so apply the saved states last
+  for (const saved of restored) {
+    const tab = tabs.find(t => t.path === saved.path);
+    if (tab && saved.viewState) tab.viewState = saved.viewState;
+  }
+  const active = tabs.find(t => t.path === session.activeTab) || tabs[tabs.length - 1];
+  if (active) {
+    // Re-activate so the restored view state is applied to the editor
+    activeTabPath = null;
+    activateTab(active.path);
+  }
+}
+
+// ===== Tabs =====
+async function openFile(filePath, name) {
+  const existing = tabs.find(t => t.path === filePath);
+  if (existing) {
+    activateTab(existing.path);
+    return;
+  }
+
+  const content = await window.api.readFile(filePath);
+  const language = detectLanguage(name, content);
+  const uri = monaco.Uri.file(filePath);
+
+  let model = monaco.editor.getModel(uri);
+  if (!model) {
+    model = monaco.editor.createModel(content, language, uri);
+  } else {
+    model.setValue(content);
+    monaco.editor.setModelLanguage(model, language);
+  }
+
+  applyRunMarkers(model, filePath);
+
+  const tab = { path: filePath, name, model, language, dirty: false, diskContent: content };
+  tabs.push(tab);
+  activateTab(filePath);
+  updateTabbar();
+  lspOpen(tab);
+  updateGitGutter(tab);
+  renderBreakpoints(tab);
+}
+
+// Activate tab
+function activateTab(filePath) {
+  const tab = tabs.find(t => t.path === filePath);
+  if (!tab) return;
+  captureViewState();
+  activeTabPath = filePath;
+  editor.setModel(tab.model);
+  editor.updateOptions({ readOnly: !!tab.readOnly });
+  if (tab.viewState) editor.restoreViewState(tab.viewState);
+  if (!tab.remote) rememberRecentFile(tab.path);
+  scheduleSessionSave();
+  updateTabbar();
+  updateTitlebar();
+  bindGlobalKeys();
+}
+
+// Close tab
+async function closeTab(filePath) {
+  let idx = tabs.findIndex(t => t.path === filePath);
+  if (idx === -1) return;
+
+  const tab = tabs[idx];
+  // If dirty, offer to save first
+  if (tab.dirty) {
+    const choice = await window.api.confirmUnsaved([tab.name]);
+    if (choice === 'cancel') return;
+    if (choice === 'save' && !(await saveTab(tab))) return;
+  }
+
+  idx = tabs.indexOf(tab);
+  if (idx === -1) return;
+  tabs.splice(idx, 1);
+  lspClose(tab);
+  diskChangeNotified.delete(tab.path);
+
+  // If it was active, activate a neighbor
+  if (activeTabPath === filePath) {
+    const next = tabs[idx] || tabs[idx - 1];
+    activeTabPath = next ? next.path : null;
+    editor.setModel(next ? next.model : null);
+    editor.updateOptions({ readOnly: !!(next && next.readOnly) });
+    if (next && next.viewState) editor.restoreViewState(next.viewState);
+  }
+  scheduleSessionSave();
+  // Server files have no local model to keep around
+  if (tab.remote) tab.model.dispose();
+
+  updateTabbar();
+  updateTitlebar();
+}
+
+// Save active tab
+async function saveActiveTab() {
+  const tab = tabs.find(t => t.path === activeTabPath);
+  if (tab) await saveTab(tab);
+}
+
+// Write a tab to disk (or to the server for server tabs); false when nothing was saved
+async function saveTab(tab) {
+  if (tab.readOnly) return false;
+  const content = tab.model.getValue();
+  // Edits made while the write is in flight keep the tab dirty
+  const version = tab.model.getAlternativeVersionId();
+  try {
+    if (tab.remote) {
+      const result = await window.api.writeRemote(tab.remote, content);
+      if (!result.success) {
+        updateRunOutput(`Error saving ${tab.remote} on server: ${result.error}`);
+        return false;
+      }
+    } else {
+      await window.api.saveFile({ filePath: tab.path, content });
+      tab.diskContent = content;
+      diskChangeNotified.delete(tab.path);
+    }
+  } catch (error) {
+    updateRunOutput(`Error saving ${tab.name}: ${error.message}`);
+    return false;
+  }
+  tab.dirty = tab.model.getAlternativeVersionId() !== version;
+  updateTabbar();
+  updateTitlebar();
+  return true;
+}
+
+// Replace a tab's text with what is on disk (keeping undo history) and mark it clean
+function setTabContent(tab, content) {
+  if (content !== tab.model.getValue()) {
+    tab.model.pushEditOperations([], [{ range: tab.model.getFullModelRange(), text: content }], () => null);
+  }
+  tab.diskContent = content;
+  tab.dirty = false;
+  diskChangeNotified.delete(tab.path);
+  updateTabbar();
+  updateTitlebar();
+}
+
+// ===== Unsaved changes =====
+// App quit: main asks first; dirty tabs are saved or dropped after the prompt, Cancel keeps the window open
+async function confirmAppClose() {
+  const dirty = tabs.filter(t => t.dirty);
+  if (dirty.length) {
+    const choice = await window.api.confirmUnsaved(dirty.map(t => t.name));
+    if (choice === 'cancel') return;
+    if (choice === 'save') {
+      for (const tab of dirty) {
+        if (!(await saveTab(tab))) return;
+      }
+    }
+  }
+  window.api.confirmClose();
+}
+
+// ===== Auto save =====
+// serverSettings.autoSave: 'off', 'delay' (autoSaveDelay seconds after the last edit) or 'focus'
+// (when the editor or the window loses focus). Server tabs are only saved explicitly.
+const DEFAULT_AUTO_SAVE_DELAY = 1;
+let autoSaveTimer = null;
+
+function scheduleAutoSave() {
+  if (serverSettings.autoSave !== 'delay') return;
+  clearTimeout(autoSaveTimer);
+  const delay = Number(serverSettings.autoSaveDelay ?? DEFAULT_AUTO_SAVE_DELAY);
+  autoSaveTimer = setTimeout(saveDirtyTabs, Math.max(0, delay) * 1000);
+}
+
+function parseAutoSaveDelay(value) {
+  const delay = parseFloat(value);
+  return Number.isNaN(delay) || delay < 0 ? DEFAULT_AUTO_SAVE_DELAY : delay;
+}
+
+async function saveDirtyTabs() {
+  for (const tab of tabs.filter(t => t.dirty && !t.remote)) {
+    await saveTab(tab);
+  }
+}
+
+function bindAutoSave() {
+  const onFocusLost = () => {
+    if (serverSettings.autoSave === 'focus') saveDirtyTabs();
+  };
+  editor.onDidBlurEditorText(onFocusLost);
+  window.addEventListener('blur', onFocusLost);
+}
+
+// ===== External changes =====
+// The watcher reports every changed path; open tabs compare the disk with what they last
+// loaded or saved. Clean tabs reload, dirty ones get a link to a diff against the disk version.
+const diskChangeNotified = new Set();
+
+async function handleFileChanged(filePath) {
+  const tab = tabs.find(t => t.path === filePath && !t.remote);
+  if (!tab) return;
+  let content;
+  try {
+    content = await window.api.readFile(filePath);
+  } catch {
+    return;
+  }
+  if (content === tab.diskContent) return;
+
+  if (content === tab.model.getValue()) {
+    setTabContent(tab, content);
+  } else if (!tab.dirty) {
+    setTabContent(tab, content);
+    updateRunOutput(`Reloaded ${toWorkspaceRelative(filePath)} (changed on disk)`);
+  } else if (!diskChangeNotified.has(filePath)) {
+    diskChangeNotified.add(filePath);
+    updateRunOutput(`${toWorkspaceRelative(filePath)} changed on disk but has unsaved edits:`);
+    const item = document.createElement('div');
+    item.className = 'conflict';
+    item.dataset.diskPath = filePath;
+    item.textContent = `Compare ${tab.name} with the version on disk`;
+    appendOutputItem('system', item);
+  }
+}
+
+// Disk version on the left, the editor's text (editable) on the right
+async function openDiskDiff(filePath) {
+  const tab = tabs.find(t => t.path === filePath && !t.remote);
+  if (!tab) return;
+  let disk;
+  try {
+    disk = await window.api.readFile(filePath);
+  } catch (error) {
+    updateRunOutput(`Error reading ${filePath}: ${error.message}`);
+    return;
+  }
+
+  showMergeView({
+    title: `${toWorkspaceRelative(filePath)} - on disk vs editor`,
+    original: disk,
+    modified: tab.model.getValue(),
+    language: tab.language,
+    labels: { local: 'Keep Editor', remote: 'Use Disk Version' },
+    onResolve: async (resolution, merged) => {
+      diskChangeNotified.delete(filePath);
+      if (resolution === 'remote') {
+        setTabContent(tab, disk);
+      } else if (resolution === 'merged') {
+        tab.model.pushEditOperations([], [{ range: tab.model.getFullModelRange(), text: merged }], () => null);
+        await saveTab(tab);
+      } else {
+        // Keep the edits; saving will overwrite the disk version
+        tab.diskContent = disk;
+      }
+      return true;
+    }
+  });
+}
+
+// Tabbar UI
+function updateTabbar() {
+  const bar = document.getElementById('tabbar');
+  bar.innerHTML = '';
+  for (const t of tabs) {
+    const el = document.createElement('div');
+    el.className = 'tab' + (t.path === activeTabPath ? ' active' : '');
+    const title = document.createElement('span');
+    title.textContent = t.dirty ? `${t.name} *` : t.name;
+    const close = document.createElement('span');
+    close.className = 'close';
+    close.textContent = '✕';
+
+    el.onclick = () => activateTab(t.path);
+    close.onclick = (e) => { e.stopPropagation(); closeTab(t.path); };
+
+    el.appendChild(title);
+    el.appendChild(close);
+    bar.appendChild(el);
+  }
+}
+
+// Titlebar label shows workspace and active file
+function updateTitlebar() {
+  const label = document.getElementById('workspace-label');
+  const base = workspaceRoot ? workspaceRoot : 'No folder opened';
+  const active = tabs.find(t => t.path === activeTabPath);
+  label.textContent = active
+    ? `${base} — ${active.path}${active.dirty ? ' *' : ''}`
+    : base;
+}
+
+// Global keys: F2 rename current file, Delete delete current file
+function bindGlobalKeys() {
+  window.onkeydown = async (e) => {
+    if (isTextInput(e.target)) return;
+    const active = tabs.find(t => t.path === activeTabPath);
+    if (!active || active.remote) return;
+
+    if (e.key === 'F2') {
+      e.preventDefault();
+      promptRename(active.path);
+    }
+    if (e.key === 'Delete') {
+      e.preventDefault();
+      promptDelete(active.path, 'file');
+    }
+  };
+}
+
+// Keys typed into a field or an editor (Monaco's own textarea included) belong to it
+function isTextInput(target) {
+  if (!(target instanceof Element)) return false;
+  return target.isContentEditable || target.matches('input, textarea, select') || !!target.closest('.monaco-editor');
+}
+
+// Language detection: by extension + shebang
+function detectLanguage(filename, content) {
+  const f = filename.toLowerCase();
+  if (f.endsWith('.ts')) return 'typescript';
+  if (f.endsWith('.js')) return 'javascript';
+  if (f.endsWith('.jsx')) return 'javascript';
+  if (f.endsWith('.tsx')) return 'typescript';
+  if (f.endsWith('.py')) return 'python';
+  if (f.endsWith('.cpp') || f.endsWith('.cc') || f.endsWith('.cxx')) return 'cpp';
+  if (f.endsWith('.c')) return 'c';
+  if (f.endsWith('.java')) return 'java';
+  if (f.endsWith('.json')) return 'json';
+  if (f.endsWith('.md')) return 'markdown';
+  if (f.endsWith('.html')) return 'html';
+  if (f.endsWith('.css')) return 'css';
+  if (f.endsWith('.sh')) return 'shell';
+  // shebang check
+  if (content && content.startsWith('#!')) {
+    if (content.includes('python')) return 'python';
+    if (content.includes('node')) return 'javascript';
+    if (content.includes('bash') || content.includes('sh')) return 'shell';
+  }
+  return 'plaintext';
+}
+
+// Run code on server
+async function runCodeOnServer(filePath, content, config = null) {
+  if (!workspaceRoot || !currentProfile().host) {
+    updateRunOutput('Error: Workspace not opened or server not configured', 'run');
+    return;
+  }
+  if (activeRun) {
+    updateRunOutput('A program is already running; stop it first', 'run');
+    return;
+  }
+
+  try {
+    // Push only what changed since the last sync before running
+    const syncSuccess = await pushPendingChanges();
+    if (!syncSuccess) {
+      updateRunOutput('Error: Failed to sync with server before running', 'run');
+      return;
+    }
+
+    const projectName = workspaceRoot.split(/[/\\]/).pop();
+    const relativeFilePath = toWorkspaceRelative(filePath);
+    
+    updateRunOutput(config
+      ? `Running configuration "${config.name}": ${relativeFilePath}`
+      : `Running code: ${relativeFilePath}`, 'run');
+    showOutputChannel('run');
+    clearRunDiagnostics();
+    
+    const request = {
+      folderName: projectName,
+      filePath: relativeFilePath,
+      content: content,
+      ...runConfigRequest(config)
+    };
+    if (stdinFilePath) {
+      request.stdinFile = toWorkspaceRelative(stdinFilePath);
+      updateRunOutput(`Reading stdin from: ${request.stdinFile}`, 'run');
+    }
+
+    // Stream output live; fall back to the one-shot runCode action on older servers
+    let runResult = await streamRunOnServer(request);
+    if (runResult && runResult.streamed === false) {
+      runResult = await sendToServer('runCode', request);
+      if (runResult) {
+        if (runResult.build) {
+          updateRunOutput('Build:', 'build');
+          appendRunStream(runResult.build, 'build');
+        }
+        if (runResult.output) {
+          updateRunOutput('Output:', 'run');
+          updateRunOutput(runResult.output, 'run');
+        }
+        if (runResult.error) {
+          updateRunOutput(runResult.success ? 'Warnings:' : 'Error:', 'run');
+          updateRunOutput(runResult.error, 'run');
+        }
+      }
+    }
+
+    if (runResult) {
+      const buildFailed = !runResult.success && runResult.phase === 'build';
+      updateRunOutput(runResult.success ? '\n=== RUN SUCCESS ===' : buildFailed ? '\n=== BUILD FAILED ===' : '\n=== RUN FAILED ===', 'run');
+      if (runResult.stopped) {
+        updateRunOutput('Run stopped by user', 'run');
+      }
+      if (runResult.returncode !== undefined && runResult.returncode !== null) {
+        updateRunOutput(`Return code: ${runResult.returncode}`, 'run');
+      }
+      if (buildFailed) showOutputChannel('build');
+      const diagnosticText = stripAnsi(`${runResult.build || ''}${runResult.error || ''}`);
+      if (diagnosticText) {
+        showRunDiagnostics(parseRunDiagnostics(diagnosticText, resolveServerPath), runResult.build ? 'build' : 'run');
+      }
+    } else {
+      updateRunOutput('Error: Failed to get run result from server', 'run');
+    }
+    // The program may have written files next to its sources
+    refreshRemoteTree();
+  } catch (error) {
+    updateRunOutput(`Run error: ${error.message}`, 'run');
+  }
+}
+
+// Start a streamed run (action runCodeStream). The server answers with text/event-stream:
+// start {runId}, stdout {data}, stderr {data}, exit {returncode}, error {error}.
+// Resolves to { success, output, error, returncode, stopped }, or { streamed: false }
+// when the server does not stream.
+async function streamRunOnServer(data) {
+  const streamId = newStreamId();
+  const result = { success: false, build: '', output: '', error: '', returncode: undefined, phase: null, stopped: false };
+  activeRun = { runId: null, streamId, stopTimer: null };
+  setRunningState(true);
+
+  try {
+    const answer = await streamFromServer(streamId, { action: 'runCodeStream', ...data }, event => handleRunEvent(event, result));
+    if (!answer.success) {
+      updateRunOutput(`Error communicating with server: ${answer.error}`, 'run');
+      return null;
+    }
+    if (!answer.streamed) return { streamed: false };
+    if (answer.aborted) result.stopped = true;
+  } finally {
+    if (activeRun && activeRun.stopTimer) clearTimeout(activeRun.stopTimer);
+    activeRun = null;
+    setRunningState(false);
+  }
+  return result;
+}
+
+function handleRunEvent({ type, payload }, result) {
+  switch (type) {
+    case 'start':
+      if (activeRun) activeRun.runId = payload.runId;
+      setConsoleEnabled(!stdinFilePath);
+      if (payload.build) updateRunOutput(`Project build: ${payload.build.system} (${payload.build.file})`, 'build');
+      break;
+    case 'build':
+      if (!result.build) updateRunOutput('--- Build ---', 'build');
+      result.build += payload.data || '';
+      appendRunStream(payload.data || '', 'build');
+      break;
+    case 'run':
+      updateRunOutput(`--- Program output (${payload.command}) ---`, 'run');
+      break;
+    case 'stdout':
+      result.output += payload.data || '';
+      appendRunStream(payload.data || '', 'stdout');
+      break;
+    case 'stderr':
+      result.error += payload.data || '';
+      appendRunStream(payload.data || '', 'stderr');
+      break;
+    case 'exit':
+      result.returncode = payload.returncode;
+      result.success = payload.returncode === 0;
+      result.phase = payload.phase || null;
+      if (payload.signal) result.stopped = true;
+      break;
+    case 'error':
+      result.error += payload.error || '';
+      updateRunOutput(`Server error: ${payload.error}`, 'run');
+      break;
+  }
+}
+
+// Ask the server to kill the running program (or end the debug session); give up on the stream
+// if it does not answer
+async function stopRun() {
+  if (!activeRun) return;
+  const run = activeRun;
+  if (run.tests) {
+    run.cancelled = true;
+    updateRunOutput('Stopping tests after the current case...', 'run');
+    return;
+  }
+  const debugging = run.debugId !== undefined;
+  updateRunOutput(debugging ? 'Stopping debugger...' : 'Stopping program...', 'run');
+  const id = debugging ? run.debugId : run.runId;
+  if (!id) {
+    window.api.abortRunServerStream(run.streamId);
+    return;
+  }
+  run.stopTimer = setTimeout(() => window.api.abortRunServerStream(run.streamId), 3000);
+  await sendToServer(debugging ? 'debugStop' : 'stopRun', debugging ? { debugId: id } : { runId: id });
+}
+
+function setRunningState(running) {
+  document.getElementById('run-code').disabled = running;
+  document.getElementById('debug-code').disabled = running;
+  document.getElementById('run-tests').disabled = running;
+  document.getElementById('stop-run').disabled = !running;
+  if (!running) setConsoleEnabled(false);
+}
+
+// ===== Debugging =====
+// Debug sessions run on the server (action debugStream) with the same project folder and run
+// configuration as Run. Breakpoints are kept per file, also for files without a tab.
+const DEBUG_LANGUAGES = ['c', 'cpp', 'python'];
+let breakpoints = new Map(); // full path -> sorted line numbers
+let debugSession = null; // { debugId, threadId, frames, frameId, paused }
+let debugLineTab = null; // tab showing the current-line decoration
+
+async function debugOnServer(filePath, content, config = null) {
+  if (!workspaceRoot || !currentProfile().host) {
+    updateRunOutput('Error: Workspace not opened or server not configured', 'run');
+    return;
+  }
+  if (activeRun) {
+    updateRunOutput('A program is already running; stop it first', 'run');
+    return;
+  }
+
+  try {
+    const syncSuccess = await pushPendingChanges();
+    if (!syncSuccess) {
+      updateRunOutput('Error: Failed to sync with server before debugging', 'run');
+      return;
+    }
+
+    const relativeFilePath = toWorkspaceRelative(filePath);
+    updateRunOutput(config
+      ? `Debugging configuration "${config.name}": ${relativeFilePath}`
+      : `Debugging: ${relativeFilePath}`, 'run');
+    showOutputChannel('run');
+    clearRunDiagnostics();
+
+    const request = {
+      folderName: workspaceRoot.split(/[/\\]/).pop(),
+      filePath: relativeFilePath,
+      content,
+      breakpoints: breakpointRequest(),
+      ...runConfigRequest(config)
+    };
+    const result = await streamDebugOnServer(request);
+    if (result) {
+      const buildFailed = !result.success && result.phase === 'build';
+      updateRunOutput(buildFailed ? '\n=== BUILD FAILED ===' : '\n=== DEBUG SESSION ENDED ===', 'run');
+      if (result.stopped) updateRunOutput('Debugging stopped by user', 'run');
+      if (result.returncode !== undefined && result.returncode !== null) {
+        updateRunOutput(`Return code: ${result.returncode}`, 'run');
+      }
+      if (buildFailed) showOutputChannel('build');
+      if (result.build) showRunDiagnostics(parseRunDiagnostics(stripAnsi(result.build), resolveServerPath));
+    }
+    refreshRemoteTree();
+  } catch (error) {
+    updateRunOutput(`Debug error: ${error.message}`, 'run');
+  }
+}
+
+// { rel: [line] } for every workspace file with breakpoints
+function breakpointRequest() {
+  const request = {};
+  for (const [filePath, lines] of breakpoints) {
+    if (lines.length) request[toWorkspaceRelative(filePath)] = lines;
+  }
+  return request;
+}
+
+// Like streamRunOnServer, for action debugStream. Resolves to { success, build, returncode, phase, stopped },
+// or null when the server could not be reached or refused the session.
+async function streamDebugOnServer(data) {
+  const streamId = newStreamId();
+  const result = { success: false, build: '', returncode: undefined, phase: null, stopped: false };
+  activeRun = { debugId: null, streamId, stopTimer: null };
+  setRunningState(true);
+  showDebugPanel();
+
+  try {
+    const answer = await streamFromServer(streamId, { action: 'debugStream', ...data }, event => handleDebugEvent(event, result));
+    if (!answer.success) {
+      updateRunOutput(`Error communicating with server: ${answer.error}`, 'run');
+      return null;
+    }
+    if (!answer.streamed) {
+      updateRunOutput(`Debugging not available: ${answer.answer.error || 'the run server does not support debugging'}`, 'run');
+      return null;
+    }
+    if (answer.aborted) result.stopped = true;
+  } finally {
+    if (activeRun && activeRun.stopTimer) clearTimeout(activeRun.stopTimer);
+    activeRun = null;
+    debugSession = null;
+    setRunningState(false);
+    clearDebugLine();
+    renderDebugPanel();
+  }
+  return result;
+}
+
+function handleDebugEvent({ type, payload }, result) {
+  switch (type) {
+    case 'start':
+      if (activeRun) activeRun.debugId = payload.debugId;
+      debugSession = { debugId: payload.debugId, threadId: null, frames: [], frameId: null, paused: false };
+      if (payload.build) updateRunOutput(`Project build: ${payload.build.system} (${payload.build.file})`, 'build');
+      renderDebugPanel();
+      break;
+    case 'build':
+      if (!result.build) updateRunOutput('--- Build ---', 'build');
+      result.build += payload.data || '';
+      appendRunStream(payload.data || '', 'build');
+      break;
+    case 'output':
+      // Program output comes as stdout/stderr, the debugger's own messages as console
+      appendRunStream(payload.data || '', payload.category === 'stdout' ? 'stdout' : payload.category === 'stderr' ? 'stderr' : 'build', 'run');
+      break;
+    case 'dap':
+      handleDapEvent(payload.event, payload.body || {});
+      break;
+    case 'exit':
+      result.returncode = payload.returncode;
+      result.success = payload.returncode === 0;
+      result.phase = payload.phase || null;
+      if (payload.signal) result.stopped = true;
+      break;
+    case 'error':
+      updateRunOutput(`Server error: ${payload.error}`, 'run');
+      break;
+  }
+}
+
+function handleDapEvent(event, body) {
+  if (!debugSession) return;
+  if (event === 'stopped') {
+    debugSession.paused = true;
+    debugSession.threadId = body.threadId ?? debugSession.threadId;
+    loadCallStack(body.reason);
+  } else if (event === 'continued') {
+    debugSession.paused = false;
+    debugSession.frames = [];
+    debugSession.frameId = null;
+    clearDebugLine();
+    renderDebugPanel();
+  } else if (event === 'breakpoints') {
+    for (const bp of body.breakpoints || []) {
+      if (!bp.verified) updateRunOutput(`Breakpoint not set in ${body.rel}${bp.line ? `:${bp.line}` : ''}${bp.message ? `: ${bp.message}` : ''}`, 'run');
+    }
+  }
+}
+
+// Forward one DAP request to the session; the body of the answer, or null after reporting the error
+async function debugRequest(command, args = {}) {
+  if (!debugSession) return null;
+  const result = await sendToServer('debugRequest', { debugId: debugSession.debugId, command, arguments: args });
+  if (!result) return null;
+  if (!result.success) {
+    updateRunOutput(`Debugger: ${command} failed: ${result.error}`, 'run');
+    return null;
+  }
+  return result.body || {};
+}
+
+async function loadCallStack(reason) {
+  const session = debugSession;
+  const body = await debugRequest('stackTrace', { threadId: session.threadId, startFrame: 0, levels: 50 });
+  if (debugSession !== session || !session.paused) return;
+  session.frames = body ? body.stackFrames || [] : [];
+  session.reason = reason;
+  const first = session.frames.find(f => f.source && f.source.rel) || session.frames[0];
+  if (first) await selectFrame(first.id);
+  else renderDebugPanel();
+}
+
+// Show a frame's line in the editor and its variables in the panel
+async function selectFrame(frameId) {
+  const session = debugSession;
+  if (!session) return;
+  session.frameId = frameId;
+  session.scopes = [];
+  renderDebugPanel();
+
+  const frame = session.frames.find(f => f.id === frameId);
+  if (frame && frame.source && frame.source.rel) {
+    const filePath = workspacePath(frame.source.rel);
+    await openFile(filePath, filePath.split(/[/\\]/).pop());
+    showDebugLine(filePath, frame.line);
+  } else {
+    clearDebugLine();
+  }
+
+  const body = await debugRequest('scopes', { frameId });
+  if (debugSession !== session || session.frameId !== frameId) return;
+  session.scopes = (body ? body.scopes || [] : []).map(scope => ({
+    name: scope.name,
+    variablesReference: scope.variablesReference,
+    expensive: scope.expensive
+  }));
+  renderDebugPanel();
+}
+
+function debugStep(command) {
+  if (!debugSession || !debugSession.paused) return;
+  // Until the next stop there is nothing to step from
+  debugSession.paused = false;
+  renderDebugPanel();
+  debugRequest(command, { threadId: debugSession.threadId });
+}
+
+function debugPause() {
+  if (!debugSession || debugSession.paused) return;
+  debugRequest('pause', { threadId: debugSession.threadId || 1 });
+}
+
+// ----- Breakpoints -----
+
+function canDebug(tab) {
+  return tab && !tab.remote && DEBUG_LANGUAGES.includes(tab.language);
+}
+
+function toggleBreakpoint(tab, line) {
+  if (!canDebug(tab)) return;
+  const lines = breakpointLines(tab);
+  const index = lines.indexOf(line);
+  if (index === -1) lines.push(line);
+  else lines.splice(index, 1);
+  breakpoints.set(tab.path, lines.sort((a, b) => a - b));
+  renderBreakpoints(tab);
+  sendBreakpoints(tab.path);
+}
+
+// Current lines of a tab's breakpoints; decorations move with edits above them
+function breakpointLines(tab) {
+  if (!tab.breakpointDecorations || tab.model.isDisposed()) return [...(breakpoints.get(tab.path) || [])];
+  const lines = tab.breakpointDecorations
+    .map(id => tab.model.getDecorationRange(id))
+    .filter(Boolean)
+    .map(range => range.startLineNumber);
+  return [...new Set(lines)];
+}
+
+function renderBreakpoints(tab) {
+  if (tab.model.isDisposed()) return;
+  tab.breakpointDecorations = tab.model.deltaDecorations(tab.breakpointDecorations || [], (breakpoints.get(tab.path) || []).map(line => ({
+    range: new monaco.Range(line, 1, line, 1),
+    options: {
+      glyphMarginClassName: 'debug-breakpoint',
+      glyphMarginHoverMessage: { value: 'Breakpoint (click to remove)' },
+      stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
+    }
+  })));
+}
+
+// After edits: keep the stored lines in step with the decorations, and with the server
+function updateBreakpointLines(tab) {
+  if (!breakpoints.has(tab.path)) return;
+  const lines = breakpointLines(tab).sort((a, b) => a - b);
+  if (lines.join() === breakpoints.get(tab.path).join()) return;
+  breakpoints.set(tab.path, lines);
+  sendBreakpoints(tab.path);
+}
+
+// The adapter replaces all breakpoints of a file at once
+function sendBreakpoints(filePath) {
+  if (!debugSession) return;
+  const rel = toWorkspaceRelative(filePath);
+  debugRequest('setBreakpoints', {
+    source: { rel },
+    breakpoints: (breakpoints.get(filePath) || []).map(line => ({ line }))
+  }).then((body) => {
+    if (body) handleDapEvent('breakpoints', { rel, breakpoints: body.breakpoints });
+  });
+}
+
+function showDebugLine(filePath, line) {
+  clearDebugLine();
+  const tab = tabs.find(t => t.path === filePath);
+  if (!tab) return;
+  tab.debugLineDecorations = tab.model.deltaDecorations([], [{
+    range: new monaco.Range(line, 1, line, 1),
+    options: { isWholeLine: true, className: 'debug-current-line', glyphMarginClassName: 'debug-current' }
+  }]);
+  debugLineTab = tab;
+  const position = { lineNumber: line, column: 1 };
+  editor.setPosition(position);
+  editor.revealPositionInCenter(position);
+}
+
+function clearDebugLine() {
+  if (!debugLineTab) return;
+  if (!debugLineTab.model.isDisposed()) debugLineTab.model.deltaDecorations(debugLineTab.debugLineDecorations || [], []);
+  debugLineTab.debugLineDecorations = [];
+  debugLineTab = null;
+}
+
+// ----- Debug panel -----
+
+function bindDebugPanel() {
+  document.getElementById('debug-continue').onclick = () => debugStep('continue');
+  document.getElementById('debug-pause').onclick = debugPause;
+  document.getElementById('debug-step-over').onclick = () => debugStep('next');
+  document.getElementById('debug-step-into').onclick = () => debugStep('stepIn');
+  document.getElementById('debug-step-out').onclick = () => debugStep('stepOut');
+  document.getElementById('debug-stop').onclick = stopRun;
+  document.getElementById('debug-close').onclick = () => {
+    document.getElementById('debug-panel').style.display = 'none';
+  };
+
+  document.getElementById('debug-stack').addEventListener('click', (e) => {
+    const row = e.target.closest('.debug-frame');
+    if (row) selectFrame(Number(row.dataset.id));
+  });
+  document.getElementById('debug-variables').addEventListener('click', (e) => {
+    const row = e.target.closest('.debug-variable');
+    if (row && row.dataset.ref !== '0') toggleVariable(row);
+  });
+
+  // Gutter clicks and F9 set breakpoints; F5/F10/F11 drive a paused session
+  editor.onMouseDown((e) => {
+    if (e.target.type !== monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN || !e.target.position) return;
+    toggleBreakpoint(tabs.find(t => t.path === activeTabPath), e.target.position.lineNumber);
+  });
+  editor.addCommand(monaco.KeyCode.F9, () => {
+    const position = editor.getPosition();
+    if (position) toggleBreakpoint(tabs.find(t => t.path === activeTabPath), position.lineNumber);
+  });
+  document.addEventListener('keydown', (e) => {
+    if (!debugSession) return;
+    const keys = {
+      F5: e.shiftKey ? stopRun : () => debugStep('continue'),
+      F6: debugPause,
+      F10: () => debugStep('next'),
+      F11: () => debugStep(e.shiftKey ? 'stepOut' : 'stepIn')
+    };
+    if (!keys[e.key]) return;
+    e.preventDefault();
+    e.stopPropagation();
+    keys[e.key]();
+  }, true);
+}
+
+function showDebugPanel() {
+  document.getElementById('debug-panel').style.display = 'flex';
+  renderDebugPanel();
+}
+
+function renderDebugPanel() {
+  const session = debugSession;
+  const status = !session ? 'Not debugging'
+    : session.paused ? `Paused${session.reason ? ` (${session.reason})` : ''}` : 'Running';
+  document.getElementById('debug-status').textContent = status;
+  const paused = !!(session && session.paused);
+  for (const id of ['debug-continue', 'debug-step-over', 'debug-step-into', 'debug-step-out']) {
+    document.getElementById(id).disabled = !paused;
+  }
+  document.getElementById('debug-pause').disabled = !session || paused;
+  document.getElementById('debug-stop').disabled = !activeRun || activeRun.debugId === undefined;
+
+  const stack = document.getElementById('debug-stack');
+  stack.innerHTML = '';
+  for (const frame of session ? session.frames : []) {
+    const row = document.createElement('div');
+    row.className = 'debug-frame' + (frame.id === session.frameId ? ' active' : '');
+    row.dataset.id = frame.id;
+    const where = frame.source ? `${frame.source.rel || frame.source.name || frame.source.path || ''}:${frame.line}` : '';
+    row.textContent = where ? `${frame.name}  ${where}` : frame.name;
+    if (!frame.source || !frame.source.rel) row.classList.add('external');
+    stack.appendChild(row);
+  }
+
+  const variables = document.getElementById('debug-variables');
+  variables.innerHTML = '';
+  for (const scope of session && session.scopes ? session.scopes : []) {
+    const row = variableRow({ name: scope.name, value: '', variablesReference: scope.variablesReference }, 0);
+    row.classList.add('scope');
+    variables.appendChild(row);
+    if (!scope.expensive) toggleVariable(row);
+  }
+}
+
+function variableRow(variable, depth) {
+  const row = document.createElement('div');
+  row.className = 'debug-variable';
+  row.dataset.ref = String(variable.variablesReference || 0);
+  row.dataset.depth = String(depth);
+  row.style.paddingLeft = `${12 + depth * 14}px`;
+  const toggle = variable.variablesReference ? '▸ ' : '  ';
+  const type = variable.type ? `: ${variable.type}` : '';
+  row.textContent = variable.value ? `${toggle}${variable.name}${type} = ${variable.value}` : `${toggle}${variable.name}`;
+  row.title = variable.value || '';
+  return row;
+}
+
+// Expand (load children) or collapse a scope or structured variable
+async function toggleVariable(row) {
+  const depth = Number(row.dataset.depth);
+  if (row.classList.contains('expanded')) {
+    row.classList.remove('expanded');
+    row.textContent = row.textContent.replace(/^▾/, '▸');
+    while (row.nextSibling && Number(row.nextSibling.dataset.depth) > depth) row.nextSibling.remove();
+    return;
+  }
+  const session = debugSession;
+  row.classList.add('expanded');
+  row.textContent = row.textContent.replace(/^▸/, '▾');
+  const body = await debugRequest('variables', { variablesReference: Number(row.dataset.ref) });
+  if (debugSession !== session || !row.isConnected || !body) return;
+  let after = row;
+  for (const variable of body.variables || []) {
+    const child = variableRow(variable, depth + 1);
+    after.after(child);
+    after = child;
+  }
+}
+
+// ===== Workspace search =====
+// The main process scans the workspace; unsaved tabs are searched as they are in the editor.
+// Replace All only becomes available after a preview with the same options.
+let searchResults = null; // last result from the main process
+let searchPreview = null; // options the previewed replacement was computed with
+
+function bindSearchPanel() {
+  document.getElementById('search-toggle').onclick = () => toggleSearchPane();
+  document.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.code === 'KeyF') {
+      e.preventDefault();
+      e.stopPropagation();
+      toggleSearchPane(true);
+    }
+  }, true);
+
+  document.getElementById('search-run').onclick = () => runSearch(false);
+  document.getElementById('search-preview').onclick = () => runSearch(true);
+  document.getElementById('search-apply').onclick = applyReplace;
+  document.getElementById('search-query').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') runSearch(false);
+  });
+  document.getElementById('search-replace').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') runSearch(true);
+  });
+  // Any change invalidates a previewed replacement
+  document.getElementById('search-pane').addEventListener('input', () => {
+    searchPreview = null;
+    document.getElementById('search-apply').disabled = true;
+  });
+
+  document.getElementById('search-results').addEventListener('click', (e) => {
+    const match = e.target.closest('.search-match');
+    if (match) {
+      openSearchMatch(match.dataset.path, JSON.parse(match.dataset.range));
+      return;
+    }
+    const file = e.target.closest('.search-file');
+    if (file) file.parentElement.classList.toggle('collapsed');
+  });
+}
+
+function toggleSearchPane(show) {
+  const pane = document.getElementById('search-pane');
+  const visible = show ?? pane.style.display === 'none';
+  pane.style.display = visible ? 'block' : 'none';
+  document.getElementById('search-toggle').textContent = visible ? '▾' : '▸';
+  if (visible) {
+    const query = document.getElementById('search-query');
+    const selection = editor.getModel() ? editor.getModel().getValueInRange(editor.getSelection()) : '';
+    if (selection && !selection.includes('\n')) query.value = selection;
+    query.focus();
+    query.select();
+  }
+}
+
+function searchOptions(withReplace) {
+  return {
+    query: document.getElementById('search-query').value,
+    regex: document.getElementById('search-regex').checked,
+    caseSensitive: document.getElementById('search-case').checked,
+    wholeWord: document.getElementById('search-word').checked,
+    include: document.getElementById('search-include').value,
+    exclude: document.getElementById('search-exclude').value,
+    replace: withReplace ? document.getElementById('search-replace').value : undefined
+  };
+}
+
+// Text of dirty local tabs, so results match what the editor shows
+function unsavedBuffers() {
+  const overrides = {};
+  for (const tab of tabs) {
+    if (tab.dirty && !tab.remote) overrides[tab.path] = tab.model.getValue();
+  }
+  return overrides;
+}
+
+async function runSearch(withReplace) {
+  const options = searchOptions(withReplace);
+  const summary = document.getElementById('search-summary');
+  searchPreview = null;
+  document.getElementById('search-apply').disabled = true;
+  if (!options.query) {
+    searchResults = null;
+    summary.textContent = '';
+    renderSearchResults();
+    return;
+  }
+  if (!workspaceRoot) {
+    summary.textContent = 'Open a folder to search.';
+    return;
+  }
+
+  summary.textContent = 'Searching...';
+  const result = await window.api.searchWorkspace(options, unsavedBuffers());
+  if (!result.success) {
+    searchResults = null;
+    summary.textContent = result.error;
+    renderSearchResults();
+    return;
+  }
+
+  searchResults = result;
+  const files = result.files.length;
+  const stopped = result.timedOut ? ' (stopped after the time limit)' : result.truncated ? ' (limit reached)' : '';
+  summary.textContent = result.matchCount
+    ? `${result.matchCount} result${result.matchCount === 1 ? '' : 's'} in ${files} file${files === 1 ? '' : 's'}${stopped}`
+    : `No results${stopped}.`;
+  if (withReplace && result.matchCount) {
+    searchPreview = options;
+    document.getElementById('search-apply').disabled = false;
+  }
+  renderSearchResults();
+}
+
+function renderSearchResults() {
+  const container = document.getElementById('search-results');
+  container.innerHTML = '';
+  if (!searchResults) return;
+
+  for (const file of searchResults.files) {
+    const group = document.createElement('div');
+    group.className = 'search-group';
+    const header = document.createElement('div');
+    header.className = 'search-file';
+    header.title = file.path;
+    header.textContent = `${file.rel} (${file.matches.length})`;
+    group.appendChild(header);
+
+    for (const m of file.matches) {
+      const row = document.createElement('div');
+      row.className = 'search-match';
+      row.dataset.path = file.path;
+      row.dataset.range = JSON.stringify([m.line, m.column, m.endLine, m.endColumn]);
+      row.title = `${file.rel}:${m.line}:${m.column}`;
+
+      const line = document.createElement('span');
+      line.className = 'search-line';
+      line.textContent = `${m.line}`;
+      const hit = document.createElement(m.replacement === undefined ? 'mark' : 'del');
+      hit.textContent = m.text;
+      row.append(line, document.createTextNode(m.before), hit);
+      if (m.replacement !== undefined) {
+        const ins = document.createElement('ins');
+        ins.textContent = m.replacement;
+        row.appendChild(ins);
+      }
+      row.appendChild(document.createTextNode(m.after));
+      group.appendChild(row);
+    }
+    container.appendChild(group);
+  }
+}
+
+async function openSearchMatch(filePath, [line, column, endLine, endColumn]) {
+  await openFile(filePath, filePath.split(/[\\/]/).pop());
+  const selection = new monaco.Range(line, column, endLine, endColumn);
+  editor.setSelection(selection);
+  editor.revealRangeInCenter(selection);
+  editor.focus();
+}
+
+// Write the previewed replacement through save-file and refresh open tabs
+async function applyReplace() {
+  if (!searchPreview || !searchResults) return;
+  const options = searchPreview;
+  const files = searchResults.files.map(f => f.rel);
+  document.getElementById('search-apply').disabled = true;
+
+  const result = await window.api.replaceInWorkspace(options, files, unsavedBuffers());
+  if (!result.success) {
+    document.getElementById('search-summary').textContent = result.error;
+    return;
+  }
+
+  let replaced = 0;
+  for (const change of result.changes) {
+    try {
+      await window.api.saveFile({ filePath: change.path, content: change.content });
+    } catch (error) {
+      updateRunOutput(`Error writing ${change.rel}: ${error.message}`);
+      continue;
+    }
+    replaced += change.count;
+    const tab = tabs.find(t => t.path === change.path && !t.remote);
+    if (tab) setTabContent(tab, change.content);
+  }
+  updateRunOutput(`Replaced ${replaced} occurrence${replaced === 1 ? '' : 's'} in ${result.changes.length} file${result.changes.length === 1 ? '' : 's'}`);
+  await runSearch(false);
+}
+
+// ===== Quick open & command palette =====
+// Ctrl+P: fuzzy finder over the workspace tree, recently opened files first.
+// Ctrl+Shift+P: every app command with its keybinding. Typing ">" in the finder switches to commands.
+const MAX_RECENT_FILES = 50;
+const MAX_QUICK_ITEMS = 200;
+let workspaceTree = null;
+let recentFiles = []; // full paths, most recent first
+let quickMode = 'files';
+let quickItems = []; // { label, detail, keys, positions, run }
+let quickIndex = 0;
+
+function rememberRecentFile(filePath) {
+  recentFiles = [filePath, ...recentFiles.filter(p => p !== filePath)].slice(0, MAX_RECENT_FILES);
+}
+
+function bindQuickOpen() {
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.code !== 'KeyP') return;
+    e.preventDefault();
+    e.stopPropagation();
+    openQuickOpen(e.shiftKey ? 'commands' : 'files');
+  }, true);
+
+  const input = document.getElementById('quick-input');
+  input.addEventListener('input', updateQuickItems);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!quickItems.length) return;
+      quickIndex = (quickIndex + (e.key === 'ArrowDown' ? 1 : -1) + quickItems.length) % quickItems.length;
+      renderQuickItems();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      acceptQuickItem(quickIndex);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      closeQuickOpen();
+    }
+  });
+  input.addEventListener('blur', () => setTimeout(closeQuickOpen, 150));
+  document.getElementById('quick-list').addEventListener('mousedown', (e) => {
+    const row = e.target.closest('.quick-item');
+    if (!row) return;
+    e.preventDefault();
+    acceptQuickItem(Number(row.dataset.index));
+  });
+}
+
+function openQuickOpen(mode) {
+  quickMode = mode;
+  const input = document.getElementById('quick-input');
+  input.value = mode === 'commands' ? '>' : '';
+  input.placeholder = mode === 'commands' ? 'Type a command' : 'Search files by name (type > for commands)';
+  document.getElementById('quick-open').style.display = 'flex';
+  input.focus();
+  updateQuickItems();
+}
+
+function closeQuickOpen() {
+  document.getElementById('quick-open').style.display = 'none';
+  quickItems = [];
+}
+
+function acceptQuickItem(index) {
+  const item = quickItems[index];
+  closeQuickOpen();
+  if (item) item.run();
+  else editor.focus();
+}
+
+function updateQuickItems() {
+  const value = document.getElementById('quick-input').value;
+  quickMode = value.startsWith('>') ? 'commands' : 'files';
+  quickItems = quickMode === 'commands' ? matchCommands(value.slice(1).trim()) : matchFiles(value.trim());
+  quickIndex = 0;
+  renderQuickItems();
+}
+
+// Non-ignored files of the workspace tree as { path, rel, name }
+function workspaceFiles() {
+  const files = [];
+  const visit = (node, rel) => {
+    for (const child of node.children || []) {
+      if (child.ignored) continue;
+      const childRel = rel ? `${rel}/${child.name}` : child.name;
+      if (child.type === 'folder') visit(child, childRel);
+      else files.push({ path: child.path, rel: childRel, name: child.name });
+    }
+  };
+  if (workspaceTree) visit(workspaceTree, '');
+  return files;
+}
+
+// Characters of query in order inside text (case-insensitive, spaces ignored).
+// Returns { score, positions } or null; runs of characters and word starts score higher.
+function fuzzyMatch(query, text) {
+  const lower = text.toLowerCase();
+  const positions = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of query.toLowerCase()) {
+    if (ch === ' ') continue;
+    const found = lower.indexOf(ch, from);
+    if (found === -1) return null;
+    const prev = text[found - 1];
+    if (positions.length && positions[positions.length - 1] === found - 1) score += 5;
+    if (found === 0 || '/\\_-. '.includes(prev) || (prev === prev.toLowerCase() && text[found] !== lower[found])) score += 3;
+    score -= Math.min(found - from, 4);
+    positions.push(found);
+    from = found + 1;
+  }
+  return { score, positions };
+}
+
+function matchFiles(query) {
+  const recentRank = new Map(recentFiles.map((p, i) => [p, i]));
+  const byRecent = (a, b) => (recentRank.get(a.path) ?? Infinity) - (recentRank.get(b.path) ?? Infinity);
+  const toItem = (f, positions = []) => ({
+    label: f.name,
+    detail: f.rel,
+    positions,
+    run: () => openFile(f.path, f.name)
+  });
+
+  const files = workspaceFiles();
+  if (!query) {
+    return files
+      .sort((a, b) => byRecent(a, b) || a.rel.localeCompare(b.rel))
+      .slice(0, MAX_QUICK_ITEMS)
+      .map(f => toItem(f));
+  }
+
+  const scored = [];
+  for (const f of files) {
+    // Prefer hits inside the file name over hits spread across folders
+    const inName = fuzzyMatch(query, f.name);
+    const match = inName ? { score: inName.score + 10, positions: inName.positions } : fuzzyMatch(query, f.rel);
+    if (!match) continue;
+    const recent = recentRank.has(f.path) ? Math.max(1, 10 - recentRank.get(f.path)) : 0;
+    scored.push({ f, score: match.score + recent, positions: inName ? match.positions : [] });
+  }
+  return scored
+    .sort((a, b) => b.score - a.score || byRecent(a.f, b.f) || a.f.rel.length - b.f.rel.length)
+    .slice(0, MAX_QUICK_ITEMS)
+    .map(({ f, positions }) => toItem(f, positions));
+}
+
+// Every command of the app; `when` hides the ones that cannot run right now
+function paletteCommands() {
+  const activeLocal = () => {
+    const tab = tabs.find(t => t.path === activeTabPath);
+    return tab && !tab.remote ? tab : null;
+  };
+  const click = id => () => document.getElementById(id).click();
+  const commands = [
+    { label: 'Go to File', keys: 'Ctrl+P', run: () => openQuickOpen('files') },
+    { label: 'Open Folder...', run: click('open-folder') },
+    { label: 'Save', keys: 'Ctrl+S', run: saveActiveTab },
+    { label: 'Close Tab', when: () => activeTabPath, run: () => closeTab(activeTabPath) },
+    { label: 'Run', run: click('run-code') },
+    { label: 'Debug', run: click('debug-code') },
+    { label: 'Toggle Breakpoint', keys: 'F9', when: () => canDebug(activeLocal()), run: () => toggleBreakpoint(activeLocal(), editor.getPosition().lineNumber) },
+    { label: 'Show Debug Panel', run: showDebugPanel },
+    { label: 'Run Tests', run: click('run-tests') },
+    { label: 'Stop Run', when: () => activeRun, run: stopRun },
+    { label: 'Sync Now', run: syncWorkspace },
+    { label: 'Show Sync History', run: showSyncHistory },
+    { label: 'Search in Workspace', keys: 'Ctrl+Shift+F', run: () => toggleSearchPane(true) },
+    { label: 'Refresh Server Files', run: refreshRemoteTree },
+    { label: 'Source Control', keys: 'Ctrl+Shift+G', run: showScmPanel },
+    { label: 'Open Server Settings', run: openServerSettingsModal },
+    { label: 'Manage Snippets', run: openSnippetManager },
+    { label: 'Rename Active File', keys: 'F2', when: activeLocal, run: () => promptRename(activeLocal().path) },
+    { label: 'Delete Active File', keys: 'Delete', when: activeLocal, run: () => promptDelete(activeLocal().path, 'file') }
+  ];
+  const current = currentProfile();
+  for (const profile of serverSettings.profiles || []) {
+    commands.push({
+      label: `Switch Profile: ${profile.name}`,
+      detail: `${profile.user}@${profile.host}${profile.name === current.name ? ' (current)' : ''}`,
+      run: () => window.api.switchProfile(profile.name)
+    });
+  }
+  return commands.filter(c => !c.when || c.when());
+}
+
+function matchCommands(query) {
+  const commands = paletteCommands();
+  if (!query) return commands.map(c => ({ ...c, positions: [] }));
+  return commands
+    .map(c => ({ c, match: fuzzyMatch(query, c.label) }))
+    .filter(x => x.match)
+    .sort((a, b) => b.match.score - a.match.score)
+    .map(({ c, match }) => ({ ...c, positions: match.positions }));
+}
+
+function renderQuickItems() {
+  const list = document.getElementById('quick-list');
+  list.innerHTML = '';
+  quickItems.forEach((item, index) => {
+    const row = document.createElement('div');
+    row.className = `quick-item${index === quickIndex ? ' selected' : ''}`;
+    row.dataset.index = index;
+
+    // Matched characters in bold
+    const label = document.createElement('span');
+    const positions = new Set(item.positions);
+    [...item.label].forEach((ch, i) => {
+      if (positions.has(i)) {
+        const b = document.createElement('b');
+        b.textContent = ch;
+        label.appendChild(b);
+      } else {
+        label.appendChild(document.createTextNode(ch));
+      }
+    });
+    row.appendChild(label);
+
+    if (item.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'quick-detail';
+      detail.textContent = item.detail;
+      row.appendChild(detail);
+    }
+    if (item.keys) {
+      const keys = document.createElement('kbd');
+      keys.textContent = item.keys;
+      row.appendChild(keys);
+    }
+    list.appendChild(row);
+  });
+  if (!quickItems.length) {
+    const empty = document.createElement('div');
+    empty.className = 'quick-item';
+    empty.textContent = quickMode === 'commands' ? 'No matching commands' : (workspaceRoot ? 'No matching files' : 'Open a folder first');
+    list.appendChild(empty);
+  }
+  const selected = list.querySelector('.selected');
+  if (selected) selected.scrollIntoView({ block: 'nearest' });
+}
+
+// ===== Run console (program stdin) =====
+function setConsoleEnabled(enabled) {
+  const input = document.getElementById('run-input');
+  input.disabled = !enabled;
+  document.getElementById('run-eof').disabled = !enabled;
+  if (enabled) input.focus();
+}
+
+// Forward a line (or EOF) to the running program's stdin
+async function sendRunInput({ data, eof = false }) {
+  if (!activeRun || !activeRun.runId) return;
+  if (data !== undefined) appendRunStream(data, 'stdin');
+  const res = await sendToServer('runInput', { runId: activeRun.runId, data, eof });
+  if (res && !res.success) {
+    updateRunOutput(`Input error: ${res.error}`, 'run');
+  }
+  if (eof) setConsoleEnabled(false);
+}
+
+function bindRunConsole() {
+  const input = document.getElementById('run-input');
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const line = input.value;
+      input.value = '';
+      sendRunInput({ data: `${line}\n` });
+    } else if (e.key === 'd' && e.ctrlKey) {
+      e.preventDefault();
+      // Like a terminal: pending text is sent first, then stdin is closed
+      const rest = input.value;
+      input.value = '';
+      sendRunInput({ data: rest || undefined, eof: true });
+    }
+  });
+  document.getElementById('run-eof').addEventListener('click', () => {
+    sendRunInput({ eof: true });
+  });
+  document.getElementById('stdin-file-label').addEventListener('click', () => {
+    setStdinFile(null);
+  });
+}
+
+// Choose a workspace file as stdin for the next runs (null = interactive console)
+function setStdinFile(filePath) {
+  stdinFilePath = filePath;
+  const label = document.getElementById('stdin-file-label');
+  label.textContent = filePath ? `stdin: ${toWorkspaceRelative(filePath)} ✕` : '';
+  label.title = filePath ? 'Click to type input in the console instead' : '';
+}
+
+function toWorkspaceRelative(filePath) {
+  return filePath.replace(workspaceRoot, '').replace(/^[/\\]/, '').replace(/\\/g, '/');
+}
+
+// ===== Run configurations =====
+// .bobocloud/run-configs.json in the workspace:
+// { "configurations": [{ "name", "entry", "compiler", "flags", "args", "env", "cwd", "build", "target" }] }
+// flags and args may be arrays or command-line strings. build is "auto" (use the nearest Makefile,
+// CMakeLists.txt, pom.xml, build.gradle or pyproject.toml), "none" (single file) or one of
+// "make", "cmake", "maven", "gradle", "python"; target names the program a project build produces.
+const RUN_CONFIG_EDIT = '__edit__';
+let runConfigs = [];
+let selectedRunConfigName = '';
+
+const RUN_CONFIG_TEMPLATE = {
+  configurations: [
+    {
+      name: 'main',
+      entry: 'main.cpp',
+      compiler: 'g++',
+      flags: '-O2 -std=c++20',
+      args: [],
+      env: {},
+      cwd: '.',
+      build: 'auto'
+    }
+  ]
+};
+
+function runConfigPath() {
+  return workspacePath('.bobocloud/run-configs.json');
+}
+
+// Absolute local path for a workspace-relative path
+function workspacePath(rel) {
+  const sep = workspaceRoot.includes('\\') ? '\\' : '/';
+  return workspaceRoot + sep + rel.replace(/^\.\//, '').split('/').join(sep);
+}
+
+async function loadRunConfigs() {
+  runConfigs = [];
+  if (workspaceRoot) {
+    try {
+      const parsed = JSON.parse(await window.api.readFile(runConfigPath()));
+      runConfigs = (parsed.configurations || []).filter(c => c && c.name && c.entry);
+    } catch {
+      // No configuration file (or invalid JSON): Run uses the active file
+    }
+  }
+  if (!runConfigs.some(c => c.name === selectedRunConfigName)) selectedRunConfigName = '';
+  renderRunConfigSelect();
+}
+
+function renderRunConfigSelect() {
+  const select = document.getElementById('run-config');
+  select.innerHTML = '';
+  const addOption = (value, label) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  };
+  addOption('', 'Active file');
+  for (const config of runConfigs) addOption(config.name, config.name);
+  addOption(RUN_CONFIG_EDIT, 'Edit Configurations...');
+  select.value = selectedRunConfigName;
+}
+
+function selectedRunConfig() {
+  return runConfigs.find(c => c.name === selectedRunConfigName) || null;
+}
+
+// Open the configuration file, creating it from a template the first time
+async function editRunConfigs() {
+  if (!workspaceRoot) return;
+  const filePath = runConfigPath();
+  try {
+    await window.api.readFile(filePath);
+  } catch {
+    await window.api.createFolder({ parentDir: workspaceRoot, name: '.bobocloud' });
+    await window.api.saveFile({ filePath, content: JSON.stringify(RUN_CONFIG_TEMPLATE, null, 2) + '\n' });
+  }
+  await openFile(filePath, 'run-configs.json');
+}
+
+async function runWithConfig(config) {
+  const filePath = workspacePath(config.entry);
+  // Unsaved edits of the entry file still go along, as for a plain run
+  const tab = tabs.find(t => t.path === filePath);
+  runCodeOnServer(filePath, tab ? tab.model.getValue() : undefined, config);
+}
+
+// Extra fields sent with runCode/runCodeStream for a configuration
+function runConfigRequest(config) {
+  if (!config) return {};
+  return {
+    compiler: config.compiler || undefined,
+    flags: toArgList(config.flags),
+    args: toArgList(config.args),
+    env: config.env || {},
+    cwd: config.cwd || '.',
+    build: config.build || 'auto',
+    target: config.target || undefined
+  };
+}
+
+function toArgList(value) {
+  if (Array.isArray(value)) return value.map(String);
+  return value ? splitCommandLine(String(value)) : [];
+}
+
+// Split a command line on whitespace, honoring single and double quotes
+function splitCommandLine(line) {
+  const args = [];
+  let current = '';
+  let inArg = false;
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else if (ch === '\\' && quote === '"' && i + 1 < line.length) current += line[++i];
+      else current += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      inArg = true;
+    } else if (/\s/.test(ch)) {
+      if (inArg) args.push(current);
+      current = '';
+      inArg = false;
+    } else {
+      current += ch;
+      inArg = true;
+    }
+  }
+  if (inArg) args.push(current);
+  return args;
+}
+
+// ===== Test cases =====
+// .bobocloud/test-cases.json in the workspace:
+// { "compare": "trailing", "files": { "<source path>": { "compare"?, "cases": [{ "name", "input", "expected" }] } } }
+// compare: "exact", "trailing" (ignore trailing spaces and final blank lines) or "tokens" (any whitespace).
+const TEST_COMPARE_MODES = ['exact', 'trailing', 'tokens'];
+let testResults = []; // { name, status: 'pending'|'pass'|'fail'|'error'|'skipped', input, expected, actual, stderr, returncode, time }
+let testDiffEditor = null;
+
+function testCasePath() {
+  return workspacePath('.bobocloud/test-cases.json');
+}
+
+async function loadTestCases() {
+  try {
+    const parsed = JSON.parse(await window.api.readFile(testCasePath()));
+    return { compare: 'trailing', files: {}, ...parsed };
+  } catch {
+    return null;
+  }
+}
+
+// Open the test case file, adding an example case for filePath when it has none
+async function editTestCases(filePath) {
+  if (!workspaceRoot) return;
+  const rel = toWorkspaceRelative(filePath);
+  let suites = await loadTestCases();
+  if (!suites) {
+    try {
+      await window.api.readFile(testCasePath());
+      // Exists but is not valid JSON: let the user fix it
+      await openFile(testCasePath(), 'test-cases.json');
+      return;
+    } catch {
+      await window.api.createFolder({ parentDir: workspaceRoot, name: '.bobocloud' });
+      suites = { compare: 'trailing', files: {} };
+    }
+  }
+  if (!suites.files[rel]) {
+    suites.files[rel] = { cases: [{ name: 'sample 1', input: '', expected: '' }] };
+    await window.api.saveFile({ filePath: testCasePath(), content: JSON.stringify(suites, null, 2) + '\n' });
+  }
+  await openFile(testCasePath(), 'test-cases.json');
+}
+
+function normalizeOutput(text, mode) {
+  const value = String(text ?? '').replace(/\r\n/g, '\n');
+  if (mode === 'exact') return value;
+  if (mode === 'tokens') return value.split(/\s+/).filter(Boolean).join(' ');
+  return value.split('\n').map(line => line.replace(/\s+$/, '')).join('\n').replace(/\n+$/, '');
+}
+
+// Run every case of a source file on the server (one runCode per case) and compare outputs
+async function runTests(filePath, config = null) {
+  if (!workspaceRoot || !currentProfile().host) {
+    updateRunOutput('Error: Workspace not opened or server not configured', 'run');
+    return;
+  }
+  if (activeRun) {
+    updateRunOutput('A program is already running; stop it first', 'run');
+    return;
+  }
+
+  const rel = toWorkspaceRelative(filePath);
+  const suites = await loadTestCases();
+  const suite = suites && suites.files[rel];
+  if (!suite || !Array.isArray(suite.cases) || !suite.cases.length) {
+    updateRunOutput(`No test cases for ${rel}; right-click the file and choose "Edit Test Cases"`, 'run');
+    return;
+  }
+  const mode = suite.compare || suites.compare;
+  if (!TEST_COMPARE_MODES.includes(mode)) {
+    updateRunOutput(`Unknown compare mode "${mode}"; use one of ${TEST_COMPARE_MODES.join(', ')}`, 'run');
+    return;
+  }
+
+  const run = { tests: true, cancelled: false };
+  activeRun = run;
+  setRunningState(true);
+  testResults = suite.cases.map((c, index) => ({
+    name: c.name || `case ${index + 1}`,
+    status: 'pending',
+    input: String(c.input ?? ''),
+    expected: String(c.expected ?? '')
+  }));
+  showTestPanel(rel, mode);
+
+  try {
+    if (!(await pushPendingChanges())) {
+      updateRunOutput('Error: Failed to sync with server before testing', 'run');
+      return;
+    }
+    clearRunDiagnostics();
+    showOutputChannel('run');
+    updateRunOutput(`Running ${testResults.length} test case(s) for ${rel} (compare: ${mode})`, 'run');
+
+    const tab = tabs.find(t => t.path === filePath);
+    const request = {
+      folderName: workspaceRoot.split(/[/\\]/).pop(),
+      filePath: rel,
+      content: tab ? tab.model.getValue() : undefined,
+      ...runConfigRequest(config)
+    };
+
+    for (const result of testResults) {
+      if (run.cancelled) {
+        result.status = 'skipped';
+        continue;
+      }
+      const started = performance.now();
+      const response = await sendToServer('runCode', { ...request, input: result.input });
+      result.time = Math.round(performance.now() - started);
+
+      if (!response) {
+        result.status = 'error';
+        result.stderr = 'No response from server';
+      } else {
+        result.actual = response.output || '';
+        result.stderr = response.error || '';
+        result.returncode = response.returncode;
+        if (response.returncode !== 0) {
+          result.status = 'error';
+        } else {
+          result.status = normalizeOutput(result.actual, mode) === normalizeOutput(result.expected, mode) ? 'pass' : 'fail';
+        }
+        // A build error fails every case the same way: report it once and stop
+        if (result.status === 'error' && response.phase === 'build') {
+          result.stderr = response.build || result.stderr;
+          showRunDiagnostics(parseRunDiagnostics(stripAnsi(result.stderr), resolveServerPath));
+          showOutputChannel('build');
+          run.cancelled = true;
+        }
+      }
+      renderTestResults();
+    }
+
+    const count = status => testResults.filter(r => r.status === status).length;
+    updateRunOutput(`Tests: ${count('pass')} passed, ${count('fail')} failed, ${count('error')} errors` +
+      (count('skipped') ? `, ${count('skipped')} skipped` : '') + ` of ${testResults.length}`, 'run');
+  } catch (error) {
+    updateRunOutput(`Test error: ${error.message}`, 'run');
+  } finally {
+    activeRun = null;
+    setRunningState(false);
+    renderTestResults();
+  }
+}
+
+function bindTestPanel() {
+  document.getElementById('test-close').onclick = () => {
+    document.getElementById('test-panel').style.display = 'none';
+    disposeTestDiff();
+  };
+  document.getElementById('test-list').addEventListener('click', (e) => {
+    const row = e.target.closest('.test-case');
+    if (row) showTestDetail(Number(row.dataset.index));
+  });
+}
+
+function showTestPanel(rel, mode) {
+  document.getElementById('test-title').textContent = `Tests: ${rel} (${mode})`;
+  document.getElementById('test-panel').style.display = 'flex';
+  disposeTestDiff();
+  document.getElementById('test-stderr').textContent = '';
+  renderTestResults();
+}
+
+function renderTestResults() {
+  const list = document.getElementById('test-list');
+  list.innerHTML = '';
+  testResults.forEach((r, index) => {
+    const row = document.createElement('div');
+    row.className = `test-case ${r.status}`;
+    row.dataset.index = index;
+    const time = r.time !== undefined ? ` (${r.time} ms)` : '';
+    const code = r.status === 'error' && r.returncode !== undefined ? `, exit code ${r.returncode}` : '';
+    row.textContent = `${r.status.toUpperCase()}  ${r.name}${time}${code}`;
+    list.appendChild(row);
+  });
+  const passed = testResults.filter(r => r.status === 'pass').length;
+  document.getElementById('test-summary').textContent = `${passed}/${testResults.length} passed`;
+}
+
+// Expected output (left) against the actual output (right), plus stderr
+function showTestDetail(index) {
+  const r = testResults[index];
+  if (!r || r.actual === undefined && !r.stderr) return;
+  disposeTestDiff();
+  testDiffEditor = monaco.editor.createDiffEditor(document.getElementById('test-diff'), {
+    theme: 'vs-dark',
+    automaticLayout: true,
+    readOnly: true,
+    renderSideBySide: true
+  });
+  testDiffEditor.setModel({
+    original: monaco.editor.createModel(r.expected, 'plaintext'),
+    modified: monaco.editor.createModel(r.actual || '', 'plaintext')
+  });
+  document.getElementById('test-stderr').textContent = r.stderr || '';
+}
+
+function disposeTestDiff() {
+  if (!testDiffEditor) return;
+  const { original, modified } = testDiffEditor.getModel();
+  testDiffEditor.dispose();
+  original.dispose();
+  modified.dispose();
+  testDiffEditor = null;
+}
+
+// ===== Run diagnostics =====
+// gcc/g++/clang: file:line[:col]: error|warning|note: message
+const GCC_DIAGNOSTIC_RE = /^(.+?):(\d+):(?:(\d+):)? (fatal error|error|warning|note): (.*)$/;
+// javac: File.java:line: error|warning: message, followed by the source line and a caret line
+const JAVAC_DIAGNOSTIC_RE = /^(.+\.java):(\d+): (error|warning): (.*)$/;
+// Python traceback frame and the final "SomeError: message" line
+const PY_FRAME_RE = /^\s*File "(.+)", line (\d+)/;
+const PY_ERROR_RE = /^([A-Za-z_][\w.]*(?:Error|Exception|Exit|Interrupt|Warning))(?:: (.*))?$/;
+
+// Parse compiler and interpreter output into { path, line, column, severity, message }.
+// resolvePath maps a path as printed on the server to a local path, or null when the
+// file is not part of the workspace (system headers, the Python stdlib, ...).
+function parseRunDiagnostics(text, resolvePath) {
+  const diagnostics = [];
+  const lines = text.split(/\r?\n/);
+  let pyFrames = null;
+  let pyColumn = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let m;
+
+    if ((m = line.match(JAVAC_DIAGNOSTIC_RE))) {
+      const local = resolvePath(m[1]);
+      // The caret sits under the offending column two lines below
+      const caret = lines[i + 2] || '';
+      const column = /^\s*\^\s*$/.test(caret) ? caret.indexOf('^') + 1 : 1;
+      if (local) {
+        diagnostics.push({ path: local, line: +m[2], column, severity: m[3], message: m[4] });
+      }
+      continue;
+    }
+
+    if ((m = line.match(GCC_DIAGNOSTIC_RE))) {
+      const local = resolvePath(m[1]);
+      if (local) {
+        const severity = m[4] === 'fatal error' ? 'error' : m[4];
+        diagnostics.push({ path: local, line: +m[2], column: m[3] ? +m[3] : 1, severity, message: m[5] });
+      }
+      continue;
+    }
+
+    if ((m = line.match(PY_FRAME_RE))) {
+      (pyFrames = pyFrames || []).push({ file: m[1], line: +m[2] });
+      pyColumn = null;
+      continue;
+    }
+
+    if (pyFrames && /^\s+\^+\s*$/.test(line)) {
+      // Column relative to the (dedented) source line printed just above
+      const source = lines[i - 1] || '';
+      const indent = source.length - source.trimStart().length;
+      pyColumn = Math.max(1, line.indexOf('^') - indent + 1);
+      continue;
+    }
+
+    if (pyFrames && (m = line.match(PY_ERROR_RE))) {
+      // Report at the innermost frame that belongs to the workspace
+      for (let f = pyFrames.length - 1; f >= 0; f--) {
+        const local = resolvePath(pyFrames[f].file);
+        if (!local) continue;
+        const column = f === pyFrames.length - 1 && pyColumn ? pyColumn : 1;
+        diagnostics.push({ path: local, line: pyFrames[f].line, column, severity: 'error', message: line.trim() });
+        break;
+      }
+      pyFrames = null;
+      pyColumn = null;
+    }
+  }
+  return diagnostics;
+}
+
+// Map a path printed by the server (absolute under the project folder, or project-relative)
+// to the matching local path inside workspaceRoot
+function resolveServerPath(serverPath) {
+  if (!workspaceRoot || !serverPath || serverPath.startsWith('<')) return null;
+  const projectName = workspaceRoot.split(/[/\\]/).pop();
+  let rel = serverPath.replace(/\\/g, '/');
+  const marker = `/${projectName}/`;
+  const idx = rel.lastIndexOf(marker);
+  if (idx !== -1) {
+    rel = rel.slice(idx + marker.length);
+  } else if (rel.startsWith('/') || /^[A-Za-z]:\//.test(rel)) {
+    return null;
+  }
+  rel = rel.replace(/^\.\//, '');
+  const sep = workspaceRoot.includes('\\') ? '\\' : '/';
+  return workspaceRoot + sep + rel.split('/').join(sep);
+}
+
+function markerSeverity(severity) {
+  if (severity === 'error') return monaco.MarkerSeverity.Error;
+  if (severity === 'warning') return monaco.MarkerSeverity.Warning;
+  return monaco.MarkerSeverity.Info;
+}
+
+// Set the stored run diagnostics for filePath as markers on its model
+function applyRunMarkers(model, filePath) {
+  const list = runDiagnostics.get(filePath) || [];
+  const markers = list.map((d) => {
+    const line = Math.min(d.line, model.getLineCount());
+    const word = model.getWordAtPosition({ lineNumber: line, column: d.column });
+    return {
+      severity: markerSeverity(d.severity),
+      message: d.message,
+      source: 'run',
+      startLineNumber: line,
+      startColumn: word ? word.startColumn : d.column,
+      endLineNumber: line,
+      endColumn: word ? word.endColumn : model.getLineMaxColumn(line)
+    };
+  });
+  monaco.editor.setModelMarkers(model, 'run', markers);
+}
+
+function clearRunDiagnostics() {
+  runDiagnostics = new Map();
+  runDiagnosticList = [];
+  for (const model of monaco.editor.getModels()) {
+    monaco.editor.setModelMarkers(model, 'run', []);
+  }
+}
+
+// Store diagnostics, mark open models and list them as clickable lines in an output channel
+function showRunDiagnostics(diagnostics, channel = 'build') {
+  clearRunDiagnostics();
+  if (!diagnostics.length) return;
+
+  runDiagnosticList = diagnostics;
+  for (const d of diagnostics) {
+    if (!runDiagnostics.has(d.path)) runDiagnostics.set(d.path, []);
+    runDiagnostics.get(d.path).push(d);
+  }
+  for (const [filePath] of runDiagnostics) {
+    const model = monaco.editor.getModel(monaco.Uri.file(filePath));
+    if (model) applyRunMarkers(model, filePath);
+  }
+
+  updateRunOutput(`Problems (${diagnostics.length}):`, channel);
+  diagnostics.forEach((d, index) => {
+    const item = document.createElement('div');
+    item.className = `diagnostic ${d.severity}`;
+    item.dataset.index = index;
+    item.textContent = `${toWorkspaceRelative(d.path)}:${d.line}:${d.column}: ${d.severity}: ${d.message}`;
+    appendOutputItem(channel, item);
+  });
+}
+
+// Clicks are delegated from #run-log, which holds the entries of every channel
+function bindDiagnosticLinks() {
+  document.getElementById('run-log').addEventListener('click', (e) => {
+    const item = e.target.closest('.diagnostic');
+    if (!item) return;
+    const d = runDiagnosticList[Number(item.dataset.index)];
+    if (d) revealDiagnostic(d);
+  });
+}
+
+// Open the file of a diagnostic and jump to its position
+async function revealDiagnostic(d) {
+  await openFile(d.path, d.path.split(/[/\\]/).pop());
+  const position = { lineNumber: d.line, column: d.column };
+  editor.setPosition(position);
+  editor.revealPositionInCenter(position);
+  editor.focus();
+}
+
+// Setup auto sync: the main process pushes watcher changes after this many seconds of quiet
+function setupAutoSync() {
+  const delay = serverSettings.syncInterval ?? DEFAULT_SYNC_DELAY;
+  window.api.setAutoSync(delay);
+  if (delay > 0) {
+    updateRunOutput(`Auto sync: pushing changes ${delay} seconds after the last edit`, 'sync');
+  } else {
+    updateRunOutput('Auto sync disabled; changes are pushed before each run', 'sync');
+  }
+}
+
+function parseSyncDelay(value) {
+  const delay = parseInt(value, 10);
+  return Number.isNaN(delay) || delay < 0 ? DEFAULT_SYNC_DELAY : delay;
+}
+
+// Push queued watcher changes (falls back to a full sync the first time)
+async function pushPendingChanges() {
+  try {
+    const result = await window.api.flushSyncQueue();
+    if (!result.success) {
+      updateRunOutput(`Sync error: ${result.error}`, 'sync');
+      return false;
+    }
+    if (result.uploaded || result.deleted || result.downloaded) {
+      updateRunOutput(`Sync summary: ${syncSummaryText(result)}, ${result.skipped} unchanged`, 'sync');
+    }
+    if (result.conflicts && result.conflicts.length) showSyncConflicts(result.conflicts);
+    return true;
+  } catch (error) {
+    updateRunOutput(`Sync exception: ${error.message}`, 'sync');
+    return false;
+  }
+}
+
+function syncSummaryText(result) {
+  const parts = [`${result.uploaded} uploaded`];
+  if (result.downloaded) parts.push(`${result.downloaded} downloaded`);
+  parts.push(`${result.deleted} deleted`);
+  return parts.join(', ');
+}
+
+// ===== Sync status =====
+// The status bar mirrors the main process: profile and connection state, last successful sync,
+// queued changes and the transfer in flight. Clicking it opens the history of this session's syncs.
+let syncStatus = null;
+const expandedSyncRuns = new Set();
+
+function bindSyncStatus() {
+  window.api.onSyncStatus(renderSyncStatus);
+  document.getElementById('sync-status').onclick = showSyncHistory;
+  document.getElementById('sync-history-close').onclick = () => {
+    document.getElementById('sync-history').style.display = 'none';
+  };
+  document.getElementById('sync-history-list').addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    const run = e.target.closest('.sync-run');
+    if (!run) return;
+    const id = Number(run.dataset.id);
+    if (button) {
+      retrySync(id);
+      return;
+    }
+    if (expandedSyncRuns.has(id)) expandedSyncRuns.delete(id);
+    else expandedSyncRuns.add(id);
+    refreshSyncHistory();
+  });
+  refreshSyncStatus();
+}
+
+async function refreshSyncStatus() {
+  renderSyncStatus(await window.api.getSyncStatus());
+}
+
+function renderSyncStatus(status) {
+  const previous = syncStatus;
+  syncStatus = status;
+  const state = document.getElementById('sync-state');
+  const profileName = status.profile ? status.profile.name || status.profile.host : '';
+  if (!status.workspace) {
+    state.textContent = 'No folder opened';
+    state.className = 'idle';
+  } else if (!status.configured) {
+    state.textContent = 'Server not configured';
+    state.className = 'idle';
+  } else if (status.syncing) {
+    state.textContent = `⟳ ${profileName}: syncing`;
+    state.className = 'syncing';
+  } else if (status.lastResult && !status.lastResult.success) {
+    state.textContent = `✕ ${profileName}: sync failed`;
+    state.className = 'error';
+  } else if (status.lastResult) {
+    state.textContent = `● ${profileName}: connected`;
+    state.className = 'connected';
+  } else {
+    state.textContent = `○ ${profileName}: not synced yet`;
+    state.className = 'idle';
+  }
+  const lastError = status.lastResult && !status.lastResult.success ? status.lastResult.error : '';
+  document.getElementById('sync-status').title = lastError
+    ? `Last sync failed: ${lastError}\nClick for the sync history`
+    : 'Click for the sync history';
+
+  document.getElementById('sync-last').textContent = status.lastSuccessAt
+    ? `Last sync ${new Date(status.lastSuccessAt).toLocaleTimeString()}`
+    : '';
+  document.getElementById('sync-pending').textContent = status.pending ? `${status.pending} pending` : '';
+
+  const progress = status.syncing ? status.progress : null;
+  const bar = document.getElementById('sync-progress-bar');
+  bar.style.display = progress ? '' : 'none';
+  if (progress) {
+    bar.max = progress.total;
+    bar.value = progress.index;
+  }
+  document.getElementById('sync-progress').textContent = progress
+    ? `${progress.index}/${progress.total} ${progress.action} ${progress.path}`
+    : '';
+
+  // An open history follows new runs and finished ones
+  const historyOpen = document.getElementById('sync-history').style.display === 'flex';
+  if (historyOpen && (!previous || previous.lastRunId !== status.lastRunId || previous.syncing !== status.syncing)) {
+    refreshSyncHistory();
+  }
+}
+
+function showSyncHistory() {
+  document.getElementById('sync-history').style.display = 'flex';
+  refreshSyncHistory();
+}
+
+async function refreshSyncHistory() {
+  const runs = await window.api.getSyncHistory();
+  const list = document.getElementById('sync-history-list');
+  list.innerHTML = '';
+  if (!runs.length) {
+    const empty = document.createElement('div');
+    empty.className = 'sync-empty';
+    empty.textContent = 'No syncs yet in this session';
+    list.appendChild(empty);
+    return;
+  }
+  for (const run of runs) list.appendChild(syncRunElement(run));
+}
+
+const SYNC_TRIGGERS = { manual: 'manual', auto: 'auto sync', run: 'before run', retry: 'retry' };
+
+function syncRunElement(run) {
+  const el = document.createElement('div');
+  el.className = 'sync-run';
+  el.dataset.id = run.id;
+
+  const header = document.createElement('div');
+  header.className = 'sync-run-header';
+  const status = document.createElement('span');
+  status.className = run.finishedAt ? (run.success ? 'ok' : 'failed') : 'running';
+  status.textContent = run.finishedAt ? (run.success ? '✓' : '✕') : '⟳';
+  const title = document.createElement('span');
+  title.className = 'sync-run-title';
+  const kind = run.kind === 'full' ? `Full sync (${run.mode})` : `${(run.paths || []).length} changed path(s)`;
+  const outcome = !run.finishedAt ? 'running'
+    : run.success ? `${syncSummaryText(run)}, ${run.skipped} unchanged${run.conflicts.length ? `, ${run.conflicts.length} conflict(s)` : ''}`
+      : run.error;
+  title.textContent = `${new Date(run.startedAt).toLocaleTimeString()}  ${kind}, ${SYNC_TRIGGERS[run.trigger] || run.trigger} [${run.profile}]: ${outcome}`;
+  title.title = run.root;
+  header.append(status, title);
+  if (run.finishedAt) {
+    const retry = document.createElement('button');
+    retry.textContent = 'Retry';
+    retry.title = run.kind === 'full' ? 'Run a full sync again' : 'Push these paths again';
+    header.appendChild(retry);
+  }
+  el.appendChild(header);
+
+  if (expandedSyncRuns.has(run.id)) {
+    const details = document.createElement('div');
+    details.className = 'sync-run-files';
+    const lines = run.files.map(f => `${f.action.padEnd(8)} ${f.path}`);
+    if (run.moreFiles) lines.push(`... and ${run.moreFiles} more`);
+    for (const conflict of run.conflicts) lines.push(`conflict ${conflict.path} (${conflict.reason})`);
+    if (!lines.length) lines.push(run.finishedAt ? 'Nothing transferred' : 'Waiting for the first file...');
+    if (run.error) lines.push(`error    ${run.error}`);
+    details.textContent = lines.join('\n');
+    el.appendChild(details);
+  }
+  return el;
+}
+
+async function retrySync(id) {
+  const result = await window.api.retrySync(id);
+  if (!result.success) {
+    updateRunOutput(`Sync retry failed: ${result.error}`, 'sync');
+    return;
+  }
+  updateRunOutput(`Sync retry: ${syncSummaryText(result)}, ${result.skipped} unchanged`, 'sync');
+  if (result.conflicts && result.conflicts.length) showSyncConflicts(result.conflicts);
+}
+
+// ===== Sync conflicts =====
+// Files changed on both sides are never overwritten; they are listed in the output and
+// settled one by one in the merge view.
+let syncConflicts = [];
+let mergeEditor = null;
+let mergeResolve = null; // (resolution, mergedText) => Promise<boolean>, set while the merge view is open
+
+function showSyncConflicts(conflicts) {
+  syncConflicts = conflicts;
+  updateRunOutput(`Conflicts (${conflicts.length}) - click to compare and merge:`, 'sync');
+  conflicts.forEach((c, index) => {
+    const item = document.createElement('div');
+    item.className = 'conflict';
+    item.dataset.conflict = index;
+    item.textContent = `${c.path}: ${c.reason}`;
+    appendOutputItem('sync', item);
+  });
+  showOutputChannel('sync');
+}
+
+function bindMergeView() {
+  document.getElementById('run-log').addEventListener('click', (e) => {
+    const item = e.target.closest('.conflict');
+    if (!item) return;
+    if (item.dataset.diskPath) {
+      openDiskDiff(item.dataset.diskPath);
+      return;
+    }
+    const c = syncConflicts[Number(item.dataset.conflict)];
+    if (c) openMergeView(c.path);
+  });
+  document.getElementById('merge-keep-local').onclick = () => resolveMerge('local');
+  document.getElementById('merge-keep-remote').onclick = () => resolveMerge('remote');
+  document.getElementById('merge-save').onclick = () => resolveMerge('merged');
+  document.getElementById('merge-close').onclick = closeMergeView;
+}
+
+// Diff of the server version (left, read-only) against the local file (right, editable)
+async function openMergeView(rel) {
+  const versions = await window.api.getConflictVersions(rel);
+  if (!versions.success) {
+    updateRunOutput(`Error loading conflict ${rel}: ${versions.error}`, 'sync');
+    return;
+  }
+
+  showMergeView({
+    title: `${rel} - server${versions.remote === null ? ' (deleted)' : ''} vs local${versions.local === null ? ' (deleted)' : ''}`,
+    original: versions.remote || '',
+    modified: versions.local || '',
+    language: detectLanguage(rel.split('/').pop(), versions.local || versions.remote || ''),
+    labels: { local: 'Keep Local', remote: 'Keep Server' },
+    onResolve: (resolution, merged) => resolveConflict(rel, resolution, merged)
+  });
+}
+
+// Read-only original on the left, editable text on the right. onResolve gets 'local', 'remote'
+// or 'merged' (with the edited text) and returns whether the view can close.
+function showMergeView({ title, original, modified, language, labels, onResolve }) {
+  closeMergeView();
+  mergeResolve = onResolve;
+  document.getElementById('merge-title').textContent = title;
+  document.getElementById('merge-keep-local').textContent = labels.local;
+  document.getElementById('merge-keep-remote').textContent = labels.remote;
+  document.getElementById('merge-view').style.display = 'flex';
+
+  mergeEditor = monaco.editor.createDiffEditor(document.getElementById('merge-editor'), {
+    theme: 'vs-dark',
+    automaticLayout: true,
+    originalEditable: false
+  });
+  mergeEditor.setModel({
+    original: monaco.editor.createModel(original, language),
+    modified: monaco.editor.createModel(modified, language)
+  });
+}
+
+function closeMergeView() {
+  if (mergeEditor) {
+    const { original, modified } = mergeEditor.getModel();
+    mergeEditor.dispose();
+    original.dispose();
+    modified.dispose();
+    mergeEditor = null;
+  }
+  mergeResolve = null;
+  document.getElementById('merge-view').style.display = 'none';
+}
+
+async function resolveMerge(resolution) {
+  if (!mergeResolve) return;
+  const content = resolution === 'merged' ? mergeEditor.getModel().modified.getValue() : undefined;
+  if (await mergeResolve(resolution, content)) closeMergeView();
+}
+
+async function resolveConflict(rel, resolution, content) {
+  const result = await window.api.resolveConflict(rel, resolution, content);
+  if (!result.success) {
+    updateRunOutput(`Error resolving conflict ${rel}: ${result.error}`, 'sync');
+    return false;
+  }
+  syncConflicts = syncConflicts.filter(c => c.path !== rel);
+  updateRunOutput(`Conflict resolved (${resolution === 'remote' ? 'server' : resolution}): ${rel}`, 'sync');
+  await reloadCleanTab(workspacePath(rel));
+  return true;
+}
+
+// Refresh an open tab from disk after a conflict was resolved underneath it
+async function reloadCleanTab(filePath) {
+  const tab = tabs.find(t => t.path === filePath);
+  if (!tab || tab.dirty) return;
+  try {
+    setTabContent(tab, await window.api.readFile(filePath));
+  } catch {
+    // Gone from disk
+  }
+}
+
+// ===== Git =====
+// Status comes from the local git through the main process. The tree shows a letter per
+// changed file, the gutter marks lines changed against HEAD, and the source-control
+// panel stages, unstages, commits and switches branches.
+const GIT_REFRESH_DELAY = 500;
+const GIT_GUTTER_DELAY = 300;
+const GIT_DIFF_LIMIT = 4000000; // line pairs compared exactly; bigger changes are marked as one block
+const GIT_LETTER_CLASSES = { M: 'modified', A: 'added', D: 'deleted', R: 'renamed', U: 'untracked', '!': 'conflict' };
+let gitState = { isRepo: false, branch: null, files: [] };
+let gitStatusByPath = new Map(); // full path -> status letter
+let gitDirtyFolders = new Set();
+const gitHeadCache = new Map(); // full path -> text at HEAD (null when not committed)
+let gitRefreshTimer = null;
+let gitStatusError = null; // last failure reported, so polling does not repeat it
+let gitDiffEditor = null;
+
+async function refreshGitStatus() {
+  if (!workspaceRoot) return;
+  const result = await window.api.gitStatus();
+  gitState = result.success ? result : { isRepo: false, branch: null, files: [] };
+  if (!result.success && result.error !== gitStatusError) updateRunOutput(`git status failed: ${result.error}`);
+  gitStatusError = result.success ? null : result.error;
+
+  gitStatusByPath = new Map(gitState.files.map(f => [f.path, f.letter]));
+  gitDirtyFolders = new Set();
+  for (const f of gitState.files) {
+    let dir = f.path.slice(0, Math.max(f.path.lastIndexOf('/'), f.path.lastIndexOf('\\')));
+    while (dir.length > workspaceRoot.length && !gitDirtyFolders.has(dir)) {
+      gitDirtyFolders.add(dir);
+      dir = dir.slice(0, Math.max(dir.lastIndexOf('/'), dir.lastIndexOf('\\')));
+    }
+  }
+
+  document.querySelectorAll('#file-tree .item').forEach(decorateTreeRow);
+  gitHeadCache.clear();
+  for (const tab of tabs) updateGitGutter(tab);
+  if (document.getElementById('scm-panel').style.display === 'flex') renderScmPanel();
+}
+
+function scheduleGitRefresh() {
+  clearTimeout(gitRefreshTimer);
+  gitRefreshTimer = setTimeout(refreshGitStatus, GIT_REFRESH_DELAY);
+}
+
+function decorateTreeRow(row) {
+  row.classList.remove(...Object.values(GIT_LETTER_CLASSES).map(c => `git-${c}`), 'git-dirty');
+  const old = row.querySelector('.git-badge');
+  if (old) old.remove();
+
+  const letter = gitStatusByPath.get(row.dataset.path);
+  if (!letter && !gitDirtyFolders.has(row.dataset.path)) return;
+  const badge = document.createElement('span');
+  badge.className = 'git-badge';
+  if (letter) {
+    row.classList.add(`git-${GIT_LETTER_CLASSES[letter]}`);
+    badge.textContent = letter;
+  } else {
+    row.classList.add('git-dirty');
+    badge.textContent = '•';
+  }
+  row.appendChild(badge);
+}
+
+// ----- Gutter -----
+async function gitHeadText(filePath) {
+  if (!gitHeadCache.has(filePath)) {
+    const result = await window.api.gitShow(filePath, 'HEAD');
+    gitHeadCache.set(filePath, result.success ? result.content : null);
+  }
+  return gitHeadCache.get(filePath);
+}
+
+function scheduleGitGutter(tab) {
+  clearTimeout(tab.gitGutterTimer);
+  tab.gitGutterTimer = setTimeout(() => updateGitGutter(tab), GIT_GUTTER_DELAY);
+}
+
+async function updateGitGutter(tab) {
+  if (tab.remote || tab.model.isDisposed()) return;
+  let hunks = [];
+  if (gitState.isRepo) {
+    const head = await gitHeadText(tab.path);
+    const letter = gitStatusByPath.get(tab.path);
+    if (head !== null) {
+      hunks = lineHunks(head, tab.model.getValue());
+    } else if (letter === 'U' || letter === 'A') {
+      hunks = [{ type: 'added', start: 1, end: tab.model.getLineCount() }];
+    }
+  }
+  if (tab.model.isDisposed()) return;
+  tab.gitDecorations = tab.model.deltaDecorations(tab.gitDecorations || [], hunks.map(h => ({
+    range: new monaco.Range(h.start, 1, h.end, 1),
+    options: { isWholeLine: true, linesDecorationsClassName: `git-gutter-${h.type}` }
+  })));
+}
+
+// Changed line ranges of text against base, as 1-based lines of text:
+// [{ type: 'added' | 'modified' | 'deleted', start, end }]
+function lineHunks(base, text) {
+  const a = base.split('\n').map(l => l.replace(/\r$/, ''));
+  const b = text.split('\n').map(l => l.replace(/\r$/, ''));
+  if (base.endsWith('\n')) a.pop();
+  if (text.endsWith('\n')) b.pop();
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix
+    && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+  const ops = diffLines(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix));
+
+  const hunks = [];
+  let line = prefix + 1; // next line of text
+  let deleted = 0;
+  let insertStart = 0;
+  let inserted = 0;
+  const flush = () => {
+    if (inserted) {
+      hunks.push({ type: deleted ? 'modified' : 'added', start: insertStart, end: insertStart + inserted - 1 });
+    } else if (deleted) {
+      const at = Math.max(1, Math.min(line - 1, b.length || 1));
+      hunks.push({ type: 'deleted', start: at, end: at });
+    }
+    deleted = 0;
+    inserted = 0;
+  };
+  for (const op of [...ops, '=']) {
+    if (op === '=') {
+      flush();
+      line++;
+    } else if (op === '-') {
+      deleted++;
+    } else {
+      if (!inserted) insertStart = line;
+      inserted++;
+      line++;
+    }
+  }
+  return hunks;
+}
+
+// Edit script between two line arrays: '=' keep, '-' delete from a, '+' insert from b (LCS)
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n * m > GIT_DIFF_LIMIT) return [...a.map(() => '-'), ...b.map(() => '+')];
+  // lcs[i * (m + 1) + j]: longest common subsequence of a[i..] and b[j..]
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] = a[i] === b[j]
+        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) {
+      ops.push('=');
+      i++;
+      j++;
+    } else if (j >= m || (i < n && lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) {
+      ops.push('-');
+      i++;
+    } else {
+      ops.push('+');
+      j++;
+    }
+  }
+  return ops;
+}
+
+// ----- Source control panel -----
+function bindScmPanel() {
+  document.getElementById('open-scm').onclick = showScmPanel;
+  document.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.code === 'KeyG') {
+      e.preventDefault();
+      e.stopPropagation();
+      showScmPanel();
+    }
+  }, true);
+  document.getElementById('scm-close').onclick = () => {
+    document.getElementById('scm-panel').style.display = 'none';
+    disposeGitDiff();
+  };
+  document.getElementById('scm-refresh').onclick = refreshGitStatus;
+  document.getElementById('scm-commit-btn').onclick = commitStaged;
+  document.getElementById('scm-message').addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+      e.preventDefault();
+      commitStaged();
+    }
+  });
+  document.getElementById('scm-branch').addEventListener('change', (e) => switchBranch(e.target.value));
+  window.addEventListener('focus', scheduleGitRefresh);
+
+  document.getElementById('scm-lists').addEventListener('click', async (e) => {
+    const row = e.target.closest('.scm-file');
+    const button = e.target.closest('button');
+    if (button && button.dataset.action) {
+      const all = button.dataset.action.endsWith('-all');
+      await changeStaging(button.dataset.action, all ? null : [row.dataset.rel]);
+      return;
+    }
+    if (row) showGitDiff(row.dataset.rel, row.dataset.staged === 'true');
+  });
+}
+
+async function showScmPanel() {
+  if (!workspaceRoot) {
+    updateRunOutput('Open a folder to use source control');
+    return;
+  }
+  document.getElementById('scm-panel').style.display = 'flex';
+  await refreshGitStatus();
+  await loadBranches();
+}
+
+function renderScmPanel() {
+  const lists = document.getElementById('scm-lists');
+  lists.innerHTML = '';
+  document.getElementById('scm-commit').style.display = gitState.isRepo ? '' : 'none';
+  if (!gitState.isRepo) {
+    lists.textContent = 'The workspace is not inside a git repository.';
+    return;
+  }
+
+  // A file can be in both lists when only part of its changes is staged
+  const staged = gitState.files.filter(f => f.index !== ' ' && f.index !== '?');
+  const changes = gitState.files.filter(f => f.worktree !== ' ');
+  const section = (title, files, isStaged) => {
+    const header = document.createElement('div');
+    header.className = 'scm-section';
+    const label = document.createElement('span');
+    label.textContent = `${title} (${files.length})`;
+    header.appendChild(label);
+    if (files.length) header.appendChild(scmButton(isStaged ? 'unstage-all' : 'stage-all', isStaged ? 'Unstage All' : 'Stage All'));
+    lists.appendChild(header);
+
+    for (const f of files) {
+      const row = document.createElement('div');
+      row.className = `scm-file git-${GIT_LETTER_CLASSES[isStaged ? statusLetterOf(f.index) : f.letter]}`;
+      row.dataset.rel = f.rel;
+      row.dataset.staged = isStaged;
+      row.title = f.from ? `${f.from} → ${f.rel}` : f.rel;
+      const name = document.createElement('span');
+      name.className = 'scm-name';
+      name.textContent = f.rel;
+      const letter = document.createElement('span');
+      letter.className = 'git-badge';
+      letter.textContent = isStaged ? statusLetterOf(f.index) : f.letter;
+      row.append(name, scmButton(isStaged ? 'unstage' : 'stage', isStaged ? '−' : '+'), letter);
+      lists.appendChild(row);
+    }
+  };
+  section('Staged Changes', staged, true);
+  section('Changes', changes, false);
+}
+
+// Letter for one porcelain column of a staged entry
+function statusLetterOf(code) {
+  return GIT_LETTER_CLASSES[code] ? code : 'M';
+}
+
+function scmButton(action, text) {
+  const button = document.createElement('button');
+  button.dataset.action = action;
+  button.textContent = text;
+  button.title = { stage: 'Stage', unstage: 'Unstage', 'stage-all': 'Stage all changes', 'unstage-all': 'Unstage everything' }[action];
+  return button;
+}
+
+async function changeStaging(action, rels) {
+  const unstage = action.startsWith('unstage');
+  const targets = rels || gitState.files
+    .filter(f => (unstage ? f.index !== ' ' && f.index !== '?' : f.worktree !== ' '))
+    .map(f => f.rel);
+  if (!targets.length) return;
+  const result = unstage ? await window.api.gitUnstage(targets) : await window.api.gitStage(targets);
+  if (!result.success) updateRunOutput(`git: ${result.error}`);
+  await refreshGitStatus();
+}
+
+async function commitStaged() {
+  const input = document.getElementById('scm-message');
+  const message = input.value.trim();
+  if (!message) {
+    input.focus();
+    return;
+  }
+  if (!gitState.files.some(f => f.index !== ' ' && f.index !== '?')) {
+    updateRunOutput('git: nothing staged to commit');
+    return;
+  }
+  const result = await window.api.gitCommit(message);
+  if (!result.success) {
+    updateRunOutput(`git commit failed: ${result.error}`);
+    return;
+  }
+  input.value = '';
+  updateRunOutput(`git: ${result.summary}`);
+  disposeGitDiff();
+  await refreshGitStatus();
+}
+
+async function loadBranches() {
+  const select = document.getElementById('scm-branch');
+  select.innerHTML = '';
+  if (!gitState.isRepo) return;
+  const result = await window.api.gitBranches();
+  if (!result.success) return;
+  for (const branch of result.branches) {
+    const option = document.createElement('option');
+    option.value = branch;
+    option.textContent = branch;
+    option.selected = branch === result.current;
+    select.appendChild(option);
+  }
+}
+
+// Unsaved tabs are saved first so the checkout sees (and protects) the edits
+async function switchBranch(branch) {
+  if (!branch || branch === gitState.branch) return;
+  const dirty = tabs.filter(t => t.dirty && !t.remote);
+  if (dirty.length) {
+    const choice = await window.api.confirmUnsaved(dirty.map(t => t.name));
+    if (choice === 'cancel') {
+      await loadBranches();
+      return;
+    }
+    if (choice === 'save') {
+      for (const tab of dirty) await saveTab(tab);
+    }
+  }
+  const result = await window.api.gitCheckout(branch);
+  if (!result.success) updateRunOutput(`git checkout ${branch} failed: ${result.error}`);
+  else updateRunOutput(`git: switched to ${branch}`);
+  await refreshGitStatus();
+  await loadBranches();
+}
+
+// Staged: HEAD against the index. Unstaged: the index against the working file.
+async function showGitDiff(rel, staged) {
+  const filePath = workspacePath(rel);
+  const show = async (ref) => {
+    const result = await window.api.gitShow(filePath, ref);
+    return result.success && result.content !== null ? result.content : '';
+  };
+  const original = await show(staged ? 'HEAD' : 'index');
+  let modified = '';
+  if (staged) {
+    modified = await show('index');
+  } else {
+    try {
+      modified = await window.api.readFile(filePath);
+    } catch {
+      modified = ''; // deleted in the working tree
+    }
+  }
+
+  disposeGitDiff();
+  const language = detectLanguage(rel.split('/').pop(), modified || original);
+  gitDiffEditor = monaco.editor.createDiffEditor(document.getElementById('scm-diff'), {
+    theme: 'vs-dark',
+    automaticLayout: true,
+    readOnly: true
+  });
+  gitDiffEditor.setModel({
+    original: monaco.editor.createModel(original, language),
+    modified: monaco.editor.createModel(modified, language)
+  });
+}
+
+function disposeGitDiff() {
+  if (!gitDiffEditor) return;
+  const { original, modified } = gitDiffEditor.getModel();
+  gitDiffEditor.dispose();
+  original.dispose();
+  modified.dispose();
+  gitDiffEditor = null;
+}
+
+// ===== Language servers =====
+// Local C/C++, Python and Java tabs are mirrored to language servers in the main process
+// (clangd, pyright-langserver or pylsp, jdtls); their answers feed Monaco's providers.
+const LSP_LANGUAGES = ['c', 'cpp', 'python', 'java'];
+const LSP_CHANGE_DELAY = 300;
+const LSP_SEVERITIES = [null, 'Error', 'Warning', 'Info', 'Hint'];
+// LSP CompletionItemKind numbers use the same names as Monaco's enum
+const LSP_COMPLETION_KINDS = [null, 'Text', 'Method', 'Function', 'Constructor', 'Field', 'Variable', 'Class',
+  'Interface', 'Module', 'Property', 'Unit', 'Value', 'Enum', 'Keyword', 'Snippet', 'Color', 'File', 'Reference',
+  'Folder', 'EnumMember', 'Constant', 'Struct', 'Event', 'Operator', 'TypeParameter'];
+const lspDocuments = new Map(); // file path -> { timer } for documents open on a server
+const lspReported = new Set(); // servers whose failure is already in the output
+
+async function lspOpen(tab) {
+  if (tab.remote || !LSP_LANGUAGES.includes(tab.language)) return;
+  const result = await window.api.lspOpen(tab.path, tab.language, tab.model.getValue());
+  // Failures arrive as lsp-status events
+  if (result.success && result.enabled && tabs.includes(tab)) lspDocuments.set(tab.path, { timer: null });
+}
+
+function lspScheduleChange(tab) {
+  const doc = lspDocuments.get(tab.path);
+  if (!doc) return;
+  clearTimeout(doc.timer);
+  doc.timer = setTimeout(() => lspFlush(tab.path), LSP_CHANGE_DELAY);
+}
+
+// Send a pending change right away, so a request sees the current text
+async function lspFlush(filePath) {
+  const doc = lspDocuments.get(filePath);
+  if (!doc || !doc.timer) return;
+  clearTimeout(doc.timer);
+  doc.timer = null;
+  const tab = tabs.find(t => t.path === filePath && !t.remote);
+  if (tab) await window.api.lspChange(filePath, tab.model.getValue());
+}
+
+function lspClose(tab) {
+  const doc = lspDocuments.get(tab.path);
+  if (!doc) return;
+  clearTimeout(doc.timer);
+  lspDocuments.delete(tab.path);
+  window.api.lspClose(tab.path);
+  monaco.editor.setModelMarkers(tab.model, 'lsp', []);
+}
+
+async function lspRequest(model, method, params) {
+  const tab = tabs.find(t => t.model === model && !t.remote);
+  if (!tab || !lspDocuments.has(tab.path)) return null;
+  await lspFlush(tab.path);
+  const result = await window.api.lspRequest(tab.path, method, params);
+  return result.success ? result.result : null;
+}
+
+function toLspPosition(position) {
+  return { line: position.lineNumber - 1, character: position.column - 1 };
+}
+
+function toMonacoRange(range) {
+  return new monaco.Range(range.start.line + 1, range.start.character + 1, range.end.line + 1, range.end.character + 1);
+}
+
+// MarkupContent, MarkedString or a plain string as Monaco markdown
+function lspMarkdown(content) {
+  if (!content) return undefined;
+  if (typeof content === 'string') return { value: content };
+  if (content.kind === 'plaintext') return { value: '```\n' + content.value + '\n```' };
+  if (content.language) return { value: '```' + content.language + '\n' + content.value + '\n```' };
+  return { value: content.value };
+}
+
+function lspCompletionItem(item, defaultRange) {
+  const edit = item.textEdit;
+  let range = defaultRange;
+  if (edit && edit.range) range = toMonacoRange(edit.range);
+  else if (edit && edit.insert) range = { insert: toMonacoRange(edit.insert), replace: toMonacoRange(edit.replace) };
+  const kind = monaco.languages.CompletionItemKind[LSP_COMPLETION_KINDS[item.kind]];
+  return {
+    label: item.label,
+    kind: kind ?? monaco.languages.CompletionItemKind.Text,
+    detail: item.detail,
+    documentation: lspMarkdown(item.documentation),
+    insertText: edit ? edit.newText : (item.insertText || item.label),
+    insertTextRules: item.insertTextFormat === 2 ? monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet : undefined,
+    range,
+    sortText: item.sortText,
+    filterText: item.filterText,
+    preselect: item.preselect,
+    additionalTextEdits: (item.additionalTextEdits || []).map(e => ({ range: toMonacoRange(e.range), text: e.newText }))
+  };
+}
+
+function registerLanguageServerProviders() {
+  for (const language of LSP_LANGUAGES) {
+    monaco.languages.registerCompletionItemProvider(language, {
+      triggerCharacters: ['.', ':', '>', '"', '/', '<'],
+      provideCompletionItems: async (model, position) => {
+        const result = await lspRequest(model, 'textDocument/completion', { position: toLspPosition(position) });
+        if (!result) return { suggestions: [] };
+        const word = model.getWordUntilPosition(position);
+        const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+        const items = Array.isArray(result) ? result : result.items || [];
+        return { suggestions: items.map(item => lspCompletionItem(item, range)), incomplete: !!result.isIncomplete };
+      }
+    });
+
+    monaco.languages.registerHoverProvider(language, {
+      provideHover: async (model, position) => {
+        const result = await lspRequest(model, 'textDocument/hover', { position: toLspPosition(position) });
+        if (!result || !result.contents) return null;
+        const contents = (Array.isArray(result.contents) ? result.contents : [result.contents]).map(lspMarkdown).filter(Boolean);
+        return { contents, range: result.range ? toMonacoRange(result.range) : undefined };
+      }
+    });
+
+    monaco.languages.registerDefinitionProvider(language, {
+      provideDefinition: async (model, position) => {
+        const locations = await lspRequest(model, 'textDocument/definition', { position: toLspPosition(position) });
+        return (locations || []).map(loc => ({ uri: monaco.Uri.file(loc.path), range: toMonacoRange(loc.range) }));
+      }
+    });
+
+    monaco.languages.registerSignatureHelpProvider(language, {
+      signatureHelpTriggerCharacters: ['(', ','],
+      signatureHelpRetriggerCharacters: [')'],
+      provideSignatureHelp: async (model, position) => {
+        const result = await lspRequest(model, 'textDocument/signatureHelp', { position: toLspPosition(position) });
+        if (!result || !result.signatures || !result.signatures.length) return null;
+        return {
+          value: {
+            signatures: result.signatures.map(sig => ({
+              label: sig.label,
+              documentation: lspMarkdown(sig.documentation),
+              parameters: (sig.parameters || []).map(p => ({ label: p.label, documentation: lspMarkdown(p.documentation) }))
+            })),
+            activeSignature: result.activeSignature || 0,
+            activeParameter: result.activeParameter || 0
+          },
+          dispose: () => {}
+        };
+      }
+    });
+  }
+
+  // Go to definition in another file opens it as a tab
+  monaco.editor.registerEditorOpener({
+    openCodeEditor: async (_source, resource, selectionOrPosition) => {
+      if (resource.scheme !== 'file') return false;
+      const existing = tabs.find(t => t.model.uri.toString() === resource.toString());
+      if (existing) activateTab(existing.path);
+      else await openFile(resource.fsPath, resource.fsPath.split(/[\\/]/).pop());
+      if (selectionOrPosition && 'startLineNumber' in selectionOrPosition) {
+        editor.setSelection(selectionOrPosition);
+        editor.revealRangeInCenter(selectionOrPosition);
+      } else if (selectionOrPosition) {
+        editor.setPosition(selectionOrPosition);
+        editor.revealPositionInCenter(selectionOrPosition);
+      }
+      return true;
+    }
+  });
+
+  window.api.onLspDiagnostics(({ path, diagnostics }) => {
+    const model = monaco.editor.getModel(monaco.Uri.file(path));
+    if (!model) return;
+    monaco.editor.setModelMarkers(model, 'lsp', diagnostics.map(d => ({
+      severity: monaco.MarkerSeverity[LSP_SEVERITIES[d.severity || 1]],
+      message: d.message,
+      source: d.source,
+      code: d.code !== undefined ? String(d.code) : undefined,
+      startLineNumber: d.range.start.line + 1,
+      startColumn: d.range.start.character + 1,
+      endLineNumber: d.range.end.line + 1,
+      endColumn: d.range.end.character + 1
+    })));
+  });
+
+  window.api.onLspStatus(({ server, state, message, stderr }) => {
+    if (state === 'ready') {
+      lspReported.delete(server);
+      updateRunOutput(`Language server: ${message}`);
+      return;
+    }
+    if (lspReported.has(server)) return;
+    lspReported.add(server);
+    updateRunOutput(`Language server ${server}: ${message}. Set its path in Server Settings.`);
+    if (stderr) appendRunStream(stderr.endsWith('\n') ? stderr : `${stderr}\n`, 'stderr', 'system');
+  });
+
+  // Paths changed in the settings: the main process stopped every server
+  window.api.onLspRestarted(() => {
+    lspReported.clear();
+    for (const tab of tabs) {
+      if (!lspDocuments.has(tab.path)) continue;
+      lspDocuments.delete(tab.path);
+      monaco.editor.setModelMarkers(tab.model, 'lsp', []);
+    }
+    for (const tab of tabs) lspOpen(tab);
+  });
+}
+
+// ===== Snippets =====
+// User (userData) and workspace (.bobocloud/snippets.json) libraries from the main process,
+// keyed by language id with '*' for every language; they reload whenever either file changes.
+let snippetLibraries = {
+  user: { path: null, snippets: {}, error: null },
+  workspace: { path: null, snippets: {}, error: null }
+};
+let snippetDrafts = null; // { user, workspace } copies edited by the snippet manager
+let snippetScope = 'user';
+let snippetLanguage = '';
+let snippetName = null;
+
+async function loadSnippets() {
+  snippetLibraries = await window.api.loadSnippets();
+  for (const scope of ['user', 'workspace']) {
+    const lib = snippetLibraries[scope];
+    if (lib.error) updateRunOutput(`Snippets: cannot read ${lib.path}: ${lib.error}`);
+  }
+}
+
+// Workspace snippets replace user snippets with the same language and name
+function snippetsFor(language) {
+  const merged = new Map();
+  for (const scope of ['user', 'workspace']) {
+    const lib = snippetLibraries[scope].snippets;
+    for (const key of ['*', language]) {
+      for (const [name, snippet] of Object.entries(lib[key] || {})) merged.set(`${key}\n${name}`, { name, ...snippet });
+    }
+  }
+  return [...merged.values()];
+}
+
+// One provider per Monaco language reads the current libraries on every request
+function registerSnippetProviders() {
+  for (const { id } of monaco.languages.getLanguages()) {
+    monaco.languages.registerCompletionItemProvider(id, {
+      provideCompletionItems: (model, position) => {
+        const before = model.getValueInRange(new monaco.Range(position.lineNumber, 1, position.lineNumber, position.column));
+        const word = model.getWordUntilPosition(position);
+        const suggestions = snippetsFor(id).map((snippet) => {
+          // Prefixes like "#include" start with non-word characters the word range leaves out
+          let startColumn = word.startColumn;
+          for (let k = Math.min(snippet.prefix.length, before.length); k > 0; k--) {
+            if (before.endsWith(snippet.prefix.slice(0, k))) {
+              startColumn = Math.min(startColumn, position.column - k);
+              break;
+            }
+          }
+          return {
+            label: snippet.prefix,
+            kind: monaco.languages.CompletionItemKind.Snippet,
+            detail: snippet.description || snippet.name,
+            documentation: { value: '```\n' + snippet.body + '\n```' },
+            insertText: snippet.body,
+            insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+            range: new monaco.Range(position.lineNumber, startColumn, position.lineNumber, position.column)
+          };
+        });
+        return { suggestions };
+      }
+    });
+  }
+
+  window.api.onSnippetsChanged(async () => {
+    await loadSnippets();
+    // Keep unsaved edits in the manager; only pick up the new files when nothing was changed there
+    if (snippetDrafts && !snippetDraftsChanged()) openSnippetManager();
+  });
+}
+
+// ----- Snippet manager -----
+function bindSnippetManager() {
+  window.api.onOpenSnippetManager(openSnippetManager);
+  const languages = document.getElementById('snippet-languages');
+  for (const id of ['*', ...monaco.languages.getLanguages().map(l => l.id)]) {
+    const option = document.createElement('option');
+    option.value = id;
+    languages.appendChild(option);
+  }
+
+  document.getElementById('snippet-scope').onchange = (e) => {
+    storeSnippetForm();
+    snippetScope = e.target.value;
+    snippetName = null;
+    renderSnippetManager();
+  };
+  document.getElementById('snippet-language').onchange = (e) => {
+    storeSnippetForm();
+    snippetLanguage = e.target.value.trim();
+    snippetName = null;
+    renderSnippetManager();
+  };
+  document.getElementById('snippet-select').onchange = (e) => {
+    storeSnippetForm();
+    snippetName = e.target.value;
+    renderSnippetManager();
+  };
+  document.getElementById('snippet-new').onclick = () => {
+    storeSnippetForm();
+    if (!snippetLanguage) {
+      alert('Choose a language first (or * for every language).');
+      return;
+    }
+    const entries = snippetDrafts[snippetScope][snippetLanguage] = snippetDrafts[snippetScope][snippetLanguage] || {};
+    let name = 'New snippet';
+    for (let i = 2; entries[name]; i++) name = `New snippet ${i}`;
+    entries[name] = { prefix: '', body: '${0}', description: '' };
+    snippetName = name;
+    renderSnippetManager();
+  };
+  document.getElementById('snippet-delete').onclick = () => {
+    const entries = snippetDrafts[snippetScope][snippetLanguage];
+    if (!entries || !snippetName) return;
+    delete entries[snippetName];
+    if (!Object.keys(entries).length) delete snippetDrafts[snippetScope][snippetLanguage];
+    snippetName = null;
+    renderSnippetManager();
+  };
+  document.getElementById('snippet-open-file').onclick = async () => {
+    const file = snippetLibraries[snippetScope].path;
+    if (!file) return;
+    closeSnippetManager();
+    try {
+      await openFile(file, file.split(/[/\\]/).pop());
+    } catch {
+      // Workspace library not created yet
+      updateRunOutput(`${file} does not exist yet; add a snippet and save first`);
+    }
+  };
+  document.getElementById('snippet-save').onclick = saveSnippetDrafts;
+  document.getElementById('snippet-close').onclick = closeSnippetManager;
+}
+
+function openSnippetManager() {
+  snippetDrafts = {
+    user: JSON.parse(JSON.stringify(snippetLibraries.user.snippets)),
+    workspace: JSON.parse(JSON.stringify(snippetLibraries.workspace.snippets))
+  };
+  if (!workspaceRoot) snippetScope = 'user';
+  if (!snippetLanguage) {
+    const tab = tabs.find(t => t.path === activeTabPath);
+    snippetLanguage = tab ? tab.language : 'python';
+  }
+  document.querySelector('#snippet-scope option[value="workspace"]').disabled = !workspaceRoot;
+  document.getElementById('snippet-modal').style.display = 'block';
+  renderSnippetManager();
+}
+
+function closeSnippetManager() {
+  document.getElementById('snippet-modal').style.display = 'none';
+  snippetDrafts = null;
+}
+
+function snippetDraftsChanged() {
+  return ['user', 'workspace'].some(scope => JSON.stringify(snippetDrafts[scope]) !== JSON.stringify(snippetLibraries[scope].snippets));
+}
+
+function renderSnippetManager() {
+  document.getElementById('snippet-scope').value = snippetScope;
+  document.getElementById('snippet-language').value = snippetLanguage;
+  document.getElementById('snippet-path').textContent = snippetLibraries[snippetScope].path || '';
+
+  const entries = snippetDrafts[snippetScope][snippetLanguage] || {};
+  const names = Object.keys(entries);
+  if (!entries[snippetName]) snippetName = names[0] || null;
+  const select = document.getElementById('snippet-select');
+  select.innerHTML = '';
+  for (const name of names) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = `${entries[name].prefix || name} - ${name}`;
+    option.selected = name === snippetName;
+    select.appendChild(option);
+  }
+
+  const snippet = entries[snippetName] || { prefix: '', body: '', description: '' };
+  document.getElementById('snippet-name').value = snippetName || '';
+  document.getElementById('snippet-prefix').value = snippet.prefix;
+  document.getElementById('snippet-description').value = snippet.description || '';
+  document.getElementById('snippet-body').value = snippet.body;
+  for (const id of ['snippet-name', 'snippet-prefix', 'snippet-description', 'snippet-body', 'snippet-delete']) {
+    document.getElementById(id).disabled = !snippetName;
+  }
+}
+
+// Copy the form back into the selected draft (renaming it when the name changed)
+function storeSnippetForm() {
+  const entries = snippetDrafts && snippetDrafts[snippetScope][snippetLanguage];
+  if (!entries || !entries[snippetName]) return;
+  const name = document.getElementById('snippet-name').value.trim() || snippetName;
+  const snippet = {
+    prefix: document.getElementById('snippet-prefix').value.trim() || name,
+    body: document.getElementById('snippet-body').value,
+    description: document.getElementById('snippet-description').value.trim()
+  };
+  if (name !== snippetName) {
+    if (entries[name]) {
+      alert(`A ${snippetLanguage} snippet named "${name}" already exists.`);
+      return;
+    }
+    delete entries[snippetName];
+    snippetName = name;
+  }
+  entries[name] = snippet;
+}
+
+async function saveSnippetDrafts() {
+  storeSnippetForm();
+  for (const scope of ['user', 'workspace']) {
+    if (JSON.stringify(snippetDrafts[scope]) === JSON.stringify(snippetLibraries[scope].snippets)) continue;
+    const result = await window.api.saveSnippets(scope, snippetDrafts[scope]);
+    if (!result.success) {
+      alert(`Could not save ${scope} snippets: ${result.error}`);
+      return;
+    }
+  }
+  await loadSnippets();
+  closeSnippetManager();
+}
+
+// ===== Server profiles editor =====
+const PROFILE_DEFAULTS = { name: '', host: '', port: 22, user: '', auth: 'password', keyPath: '', remoteRoot: '/shareOnling', httpPort: 3100 };
+// Profiles being edited in the modal: { originalName, profile }
+let profileDrafts = [];
+let selectedProfileIndex = 0;
+
+function openServerSettingsModal() {
+  profileDrafts = (serverSettings.profiles || []).map(p => ({ originalName: p.name, profile: { ...p } }));
+  if (!profileDrafts.length) {
+    profileDrafts.push({ originalName: null, profile: { ...PROFILE_DEFAULTS, name: 'Default' } });
+  }
+  const current = currentProfile();
+  selectedProfileIndex = Math.max(0, profileDrafts.findIndex(d => d.profile.name === current.name));
+  renderProfileSelect();
+  fillProfileForm(profileDrafts[selectedProfileIndex].profile);
+  document.getElementById('rclone-path').value = serverSettings.rclonePath || '';
+  document.getElementById('sync-interval').value = serverSettings.syncInterval ?? DEFAULT_SYNC_DELAY;
+  document.getElementById('sync-mode').value = serverSettings.syncMode || 'mirror';
+  document.getElementById('auto-save').value = serverSettings.autoSave || 'off';
+  document.getElementById('auto-save-delay').value = serverSettings.autoSaveDelay ?? DEFAULT_AUTO_SAVE_DELAY;
+  const languageServers = serverSettings.languageServers || {};
+  document.getElementById('lsp-clangd').value = languageServers.clangd || '';
+  document.getElementById('lsp-python').value = languageServers.python || '';
+  document.getElementById('lsp-jdtls').value = languageServers.jdtls || '';
+  document.getElementById('server-modal').style.display = 'block';
+}
+
+function renderProfileSelect() {
+  const select = document.getElementById('profile-select');
+  select.innerHTML = '';
+  profileDrafts.forEach((draft, index) => {
+    const option = document.createElement('option');
+    option.value = index;
+    option.textContent = draft.profile.name || '(unnamed)';
+    select.appendChild(option);
+  });
+  select.value = selectedProfileIndex;
+}
+
+function fillProfileForm(profile) {
+  document.getElementById('profile-name').value = profile.name || '';
+  document.getElementById('server-ip').value = profile.host || '';
+  document.getElementById('server-port').value = profile.port || 22;
+  document.getElementById('server-user').value = profile.user || '';
+  document.getElementById('server-auth').value = profile.auth || 'password';
+  document.getElementById('server-key').value = profile.keyPath || '';
+  // Saved secrets never reach the renderer; an empty field keeps them
+  fillSecretInput('server-pass', profile.pass, profile.hasPass);
+  fillSecretInput('server-passphrase', profile.passphrase, profile.hasPassphrase);
+  updateAuthFields();
+  document.getElementById('remote-root').value = profile.remoteRoot || '';
+  document.getElementById('http-port').value = profile.httpPort || 3100;
+}
+
+// Copy the form back into the selected draft
+function storeProfileForm() {
+  const draft = profileDrafts[selectedProfileIndex];
+  if (!draft) return;
+  draft.profile = {
+    ...draft.profile,
+    name: document.getElementById('profile-name').value.trim(),
+    host: document.getElementById('server-ip').value.trim(),
+    port: parseInt(document.getElementById('server-port').value, 10) || 22,
+    user: document.getElementById('server-user').value.trim(),
+    auth: document.getElementById('server-auth').value,
+    keyPath: document.getElementById('server-key').value.trim(),
+    pass: document.getElementById('server-pass').value,
+    passphrase: document.getElementById('server-passphrase').value,
+    remoteRoot: document.getElementById('remote-root').value.trim() || PROFILE_DEFAULTS.remoteRoot,
+    httpPort: parseInt(document.getElementById('http-port').value, 10) || 3100
+  };
+  renderProfileSelect();
+}
+
+function fillSecretInput(id, value, saved) {
+  const input = document.getElementById(id);
+  input.value = value || '';
+  input.placeholder = saved ? 'Saved (leave empty to keep)' : '';
+}
+
+// Show only the fields the chosen authentication method needs
+function updateAuthFields() {
+  const auth = document.getElementById('server-auth').value;
+  document.getElementById('auth-password-row').style.display = auth === 'password' ? '' : 'none';
+  document.getElementById('auth-key-row').style.display = auth === 'key' ? '' : 'none';
+}
+
+function uniqueProfileName(base) {
+  let name = base;
+  for (let i = 2; profileDrafts.some(d => d.profile.name === name); i++) name = `${base} ${i}`;
+  return name;
+}
+
+// Settings object from the drafts: renamed profiles keep their workspace bindings,
+// and the profile being edited becomes the one for the open workspace
+function buildSettingsFromDrafts() {
+  const renamed = new Map(profileDrafts.filter(d => d.originalName).map(d => [d.originalName, d.profile.name]));
+  const names = new Set(profileDrafts.map(d => d.profile.name));
+  const workspaceProfiles = {};
+  for (const [root, name] of Object.entries(serverSettings.workspaceProfiles || {})) {
+    const next = renamed.get(name) || name;
+    if (names.has(next)) workspaceProfiles[root] = next;
+  }
+
+  const selected = profileDrafts[selectedProfileIndex];
+  let activeProfile = renamed.get(serverSettings.activeProfile) || serverSettings.activeProfile;
+  if (selected && workspaceRoot) {
+    workspaceProfiles[workspaceRoot] = selected.profile.name;
+  } else if (selected) {
+    activeProfile = selected.profile.name;
+  }
+  if (!names.has(activeProfile)) activeProfile = profileDrafts.length ? profileDrafts[0].profile.name : null;
+
+  return {
+    ...serverSettings,
+    rclonePath: document.getElementById('rclone-path').value || '',
+    syncInterval: parseSyncDelay(document.getElementById('sync-interval').value),
+    syncMode: document.getElementById('sync-mode').value,
+    autoSave: document.getElementById('auto-save').value,
+    autoSaveDelay: parseAutoSaveDelay(document.getElementById('auto-save-delay').value),
+    languageServers: {
+      clangd: document.getElementById('lsp-clangd').value.trim(),
+      python: document.getElementById('lsp-python').value.trim(),
+      jdtls: document.getElementById('lsp-jdtls').value.trim()
+    },
+    activeProfile,
+    profiles: profileDrafts.map(d => d.profile),
+    workspaceProfiles
+  };
+}
+
+// Connect to server (placeholder)
+function connectServer(config) {
+  updateRunOutput(`Connecting to server ${config.name || ''}...`);
+  // This function can be expanded for additional connection logic if needed
+}
+
+// Sync workspace (placeholder)
+function syncWorkspace() {
+  syncWithServer();
+}
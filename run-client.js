@@ -0,0 +1,128 @@
+const { readRemoteFile } = require('./sftp-sync');
+
+// Client for the run server (server/run-server.js). Requests go out from the main process
+// with the server's token, which the server writes to <remoteRoot>/.bobo-token and the
+// editor reads over SFTP; the page never sees it.
+const TOKEN_FILE = '.bobo-token';
+const TOKEN_HEADER = 'X-Bobo-Token';
+
+const tokens = new Map(); // server key -> token
+const streams = new Map(); // stream id -> AbortController
+
+function serverKey(profile) {
+  return `${profile.user}@${profile.host}:${profile.port}|${profile.remoteRoot}`;
+}
+
+function serverUrl(profile) {
+  return `http://${profile.host}:${profile.httpPort || 3100}`;
+}
+
+async function serverToken(profile, refresh = false) {
+  const key = serverKey(profile);
+  if (refresh) tokens.delete(key);
+  if (!tokens.has(key)) {
+    const remotePath = `${profile.remoteRoot}/${TOKEN_FILE}`;
+    const token = await readRemoteFile({ profile, remotePath });
+    if (!token) throw new Error(`${remotePath} not found on the server; is the run server running?`);
+    tokens.set(key, token.trim());
+  }
+  return tokens.get(key);
+}
+
+// POST one action; a server restarted since the token was read answers 401, so retry once
+// with a fresh token
+async function post(profile, payload, { accept = 'application/json', signal } = {}) {
+  const send = async token => fetch(serverUrl(profile), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': accept,
+      [TOKEN_HEADER]: token
+    },
+    body: JSON.stringify(payload),
+    signal
+  });
+  const response = await send(await serverToken(profile));
+  if (response.status !== 401) return response;
+  return send(await serverToken(profile, true));
+}
+
+async function responseError(response) {
+  const body = await response.json().catch(() => null);
+  return new Error((body && body.error) || `HTTP error! status: ${response.status}`);
+}
+
+// JSON answer of a one-shot action
+async function requestServer(profile, payload) {
+  const response = await post(profile, payload);
+  if (!response.ok) throw await responseError(response);
+  return response.json();
+}
+
+// Parse one server-sent event block ("event: x\ndata: {...}")
+function parseServerEvent(block) {
+  let type = 'message';
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) type = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+  }
+  let payload = {};
+  try {
+    payload = data.length ? JSON.parse(data.join('\n')) : {};
+  } catch {
+    payload = { data: data.join('\n') };
+  }
+  return { type, payload };
+}
+
+// Hand each server-sent event of a streamed answer to onEvent until the server ends it
+async function readServerEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+    let sep;
+    while ((sep = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, sep);
+      buffer = buffer.slice(sep + 2);
+      onEvent(parseServerEvent(block));
+    }
+  }
+}
+
+// Streamed action (runCodeStream, debugStream). Resolves to { streamed: true, aborted } once the
+// server ends the stream or abortStream(id) is called, or { streamed: false, answer } when the
+// server answered with plain JSON instead.
+async function streamServer(profile, id, payload, onEvent) {
+  const controller = new AbortController();
+  streams.set(id, controller);
+  try {
+    const response = await post(profile, payload, { accept: 'text/event-stream', signal: controller.signal });
+    if (!response.ok) throw await responseError(response);
+    if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+      return { streamed: false, answer: await response.json().catch(() => ({})) };
+    }
+    await readServerEvents(response, onEvent);
+    return { streamed: true, aborted: false };
+  } catch (error) {
+    if (error.name === 'AbortError') return { streamed: true, aborted: true };
+    throw error;
+  } finally {
+    streams.delete(id);
+  }
+}
+
+function abortStream(id) {
+  const controller = streams.get(id);
+  if (controller) controller.abort();
+}
+
+module.exports = {
+  requestServer,
+  streamServer,
+  abortStream
+};
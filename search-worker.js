@@ -0,0 +1,11 @@
+const { parentPort, workerData } = require('worker_threads');
+const { searchWorkspace } = require('./workspace-search');
+const { loadIgnore } = require('./sync-ignore');
+
+// Runs one workspace search for searchInWorker and posts { result } or { error } back
+const { root, options, overrides } = workerData;
+try {
+  parentPort.postMessage({ result: searchWorkspace(root, options, { ignore: loadIgnore(root), overrides }) });
+} catch (error) {
+  parentPort.postMessage({ error: error.message });
+}
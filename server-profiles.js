@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { REMOTE_BASE } = require('./sftp-sync');
+const { encryptSecret, decryptSecret } = require('./credential-store');
+
+// Fields every server profile carries. auth is 'password', 'key' (keyPath + passphrase) or 'agent'.
+const PROFILE_DEFAULTS = {
+  id: '',
+  name: 'Default',
+  host: '',
+  port: 22,
+  user: '',
+  auth: 'password',
+  keyPath: '',
+  remoteRoot: REMOTE_BASE,
+  httpPort: 3100
+};
+
+// Secrets never stay in plain text: on disk they live in <field>Enc, and the renderer
+// only learns whether one is set (hasPass, hasPassphrase)
+const SECRET_FIELDS = ['pass', 'passphrase'];
+
+function encField(field) {
+  return `${field}Enc`;
+}
+
+function hasField(field) {
+  return `has${field[0].toUpperCase()}${field.slice(1)}`;
+}
+
+function normalizeProfile(profile) {
+  const merged = { ...PROFILE_DEFAULTS, ...profile };
+  merged.id = merged.id || crypto.randomUUID();
+  merged.port = Number(merged.port) || PROFILE_DEFAULTS.port;
+  merged.httpPort = Number(merged.httpPort) || PROFILE_DEFAULTS.httpPort;
+  merged.remoteRoot = (merged.remoteRoot || REMOTE_BASE).replace(/\/+$/, '') || '/';
+  return merged;
+}
+
+// Bring settings into the profile layout:
+// { rclonePath, syncInterval, activeProfile, profiles: [...], workspaceProfiles: { root: name } }
+// Older files hold a single { ip, user, pass } server, which becomes the "Default" profile.
+function normalizeSettings(raw = {}) {
+  const { ip, user, pass, profiles, workspaceProfiles, activeProfile, ...rest } = raw;
+  let list = Array.isArray(profiles) ? profiles.map(normalizeProfile) : [];
+  if (!list.length && (ip || user)) {
+    list = [normalizeProfile({ name: 'Default', host: ip, user, pass })];
+  }
+  return {
+    ...rest,
+    activeProfile: activeProfile || (list[0] && list[0].name) || null,
+    profiles: list,
+    workspaceProfiles: { ...(workspaceProfiles || {}) }
+  };
+}
+
+// Encrypt secrets for saving. A profile arriving without a new secret keeps the one
+// saved before under the same id.
+function sealSettings(settings, saved) {
+  const previous = new Map(((saved && saved.profiles) || []).map(p => [p.id, p]));
+  return {
+    ...settings,
+    profiles: settings.profiles.map((profile) => {
+      const prev = previous.get(profile.id) || {};
+      const sealed = { ...profile };
+      for (const field of SECRET_FIELDS) {
+        const value = profile[field];
+        sealed[encField(field)] = value ? encryptSecret(value) : (profile[encField(field)] || prev[encField(field)] || '');
+        delete sealed[field];
+        delete sealed[hasField(field)];
+      }
+      return sealed;
+    })
+  };
+}
+
+// Settings as shown to the renderer: no secrets, only whether each one is set
+function publicSettings(settings) {
+  return {
+    ...settings,
+    profiles: settings.profiles.map((profile) => {
+      const open = { ...profile };
+      for (const field of SECRET_FIELDS) {
+        open[hasField(field)] = !!(profile[encField(field)] || profile[field]);
+        delete open[field];
+        delete open[encField(field)];
+      }
+      return open;
+    })
+  };
+}
+
+// Profile with its secrets decrypted, for connecting
+function unsealProfile(profile) {
+  if (!profile) return null;
+  const open = { ...profile };
+  for (const field of SECRET_FIELDS) {
+    open[field] = profile[field] || decryptSecret(profile[encField(field)]);
+  }
+  return open;
+}
+
+// The profile a workspace is bound to, else the active one, else the first
+function profileForWorkspace(settings, root) {
+  const bound = root && settings.workspaceProfiles[root];
+  return settings.profiles.find(p => p.name === bound)
+    || settings.profiles.find(p => p.name === settings.activeProfile)
+    || settings.profiles[0]
+    || null;
+}
+
+// Point a workspace (or the default, when no workspace is open) at a profile
+function bindProfile(settings, root, name) {
+  if (root) {
+    settings.workspaceProfiles[root] = name;
+  } else {
+    settings.activeProfile = name;
+  }
+  return settings;
+}
+
+module.exports = {
+  PROFILE_DEFAULTS,
+  normalizeSettings,
+  sealSettings,
+  publicSettings,
+  unsealProfile,
+  profileForWorkspace,
+  bindProfile
+};
@@ -0,0 +1,969 @@
+// Reference run server for BOBOCloud Editor.
+//
+// Answers the JSON actions the editor POSTs to port 3100:
+//   checkFolder    { folderName }                        -> { success, folderPath }
+//   runCode        { folderName, filePath, stdinFile?,   -> { success, build, output, error, returncode }
+//                    input?, compiler?, flags?, args?,
+//                    env?, cwd?, build?, target? }
+//   runCodeStream  same as runCode, answered as text/event-stream
+//                  (start {runId, build}, build {data}, run {command}, stdout/stderr {data},
+//                   exit {returncode, signal, phase}, error {error})
+//   runInput       { runId, data?, eof? }                -> { success }
+//   stopRun        { runId }                             -> { success }
+//   debugStream    same as runCodeStream plus breakpoints? { rel: [line] } and stopOnEntry?;
+//                  builds with debug info and starts gdb (C/C++, gdb 14+) or debugpy (Python)
+//                  as a Debug Adapter Protocol server, answered as text/event-stream
+//                  (start {debugId, build}, build {data}, output {category, data},
+//                   dap {event, body}, exit {returncode, signal, phase}, error {error})
+//   debugRequest   { debugId, command, arguments }       -> { success, body }
+//   debugStop      { debugId }                           -> { success }
+//
+// Debug sessions speak DAP with server paths; a source given as { rel } is resolved inside the
+// project folder, and sources inside it come back with rel added.
+//
+// Projects live in <root>/<folderName>, the folder the editor syncs to over SFTP.
+// A Makefile, CMakeLists.txt, pom.xml, build.gradle or pyproject.toml next to the file (or in
+// a folder above it) builds the whole project; build: 'none' runs the single file instead.
+// Usage: node server/run-server.js [--root /shareOnling] [--host 127.0.0.1] [--port 3100] [--timeout 60]
+//                                   [--token secret]
+// Listens on 127.0.0.1 unless --host says otherwise (0.0.0.0 to serve editors on other machines).
+// Every request must carry the server's token in X-Bobo-Token and a JSON Content-Type. The token
+// is random per start unless given, and written to <root>/.bobo-token (owner-only) where the
+// editor reads it over SFTP. Requests with an Origin header come from a browser and are refused.
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+// Command line options with environment fallbacks
+function readOptions(argv) {
+  const options = {
+    root: process.env.BOBO_ROOT || '/shareOnling',
+    host: process.env.BOBO_HOST || '127.0.0.1',
+    port: Number(process.env.BOBO_PORT) || 3100,
+    timeout: Number(process.env.BOBO_TIMEOUT) || 60,
+    token: process.env.BOBO_TOKEN || ''
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    if (argv[i] === '--root') { options.root = value; i++; }
+    else if (argv[i] === '--host') { options.host = value; i++; }
+    else if (argv[i] === '--port') { options.port = Number(value); i++; }
+    else if (argv[i] === '--timeout') { options.timeout = Number(value); i++; }
+    else if (argv[i] === '--token') { options.token = value; i++; }
+  }
+  options.root = path.resolve(options.root);
+  options.token = options.token || crypto.randomBytes(24).toString('hex');
+  return options;
+}
+
+const options = readOptions(process.argv.slice(2));
+
+// Compiled artifacts go to <root>/.bobo-build/<folderName>, outside the synced
+// project folder so a full sync from the editor does not delete them
+const BUILD_DIR = '.bobo-build';
+// Output kept for one-shot runCode answers
+const MAX_OUTPUT = 1024 * 1024;
+
+// Running programs by runId
+const runs = new Map();
+// Debug sessions by debugId
+const debugs = new Map();
+const DEBUG_REQUEST_TIMEOUT = 10000;
+const DEBUG_LAUNCH_TIMEOUT = 30000;
+// Adapter stderr kept to explain a failed start
+const DEBUG_STDERR_TAIL = 4000;
+
+// How each language is compiled (optional) and run. config carries the run configuration
+// fields: compiler (or interpreter), flags, args, and debug when building for the debugger.
+// Plans that can be debugged name their adapter in debugger (see DEBUG_ADAPTERS).
+const LANGUAGES = [
+  {
+    name: 'c',
+    extensions: ['.c'],
+    plan: (src, build, config) => {
+      const out = path.join(build, path.basename(src, '.c'));
+      return {
+        compile: [[config.compiler || 'gcc', [...debugFlags(config), ...config.flags, src, '-o', out, '-lm']]],
+        run: [out, config.args],
+        debugger: 'gdb'
+      };
+    }
+  },
+  {
+    name: 'cpp',
+    extensions: ['.cpp', '.cc', '.cxx'],
+    plan: (src, build, config) => {
+      const out = path.join(build, path.basename(src, path.extname(src)));
+      // User flags come last so their -std wins over the default
+      return {
+        compile: [[config.compiler || 'g++', ['-std=c++17', ...debugFlags(config), ...config.flags, src, '-o', out]]],
+        run: [out, config.args],
+        debugger: 'gdb'
+      };
+    }
+  },
+  {
+    name: 'java',
+    extensions: ['.java'],
+    plan: (src, build, config) => {
+      const classes = path.join(build, 'java');
+      const className = javaMainClass(src);
+      return {
+        compile: [[config.compiler || 'javac', [...config.flags, '-d', classes, src]]],
+        run: ['java', ['-cp', classes, className, ...config.args]]
+      };
+    }
+  },
+  {
+    name: 'python',
+    extensions: ['.py'],
+    plan: (src, build, config) => ({
+      compile: [],
+      run: [config.compiler || 'python3', ['-u', ...config.flags, src, ...config.args]],
+      debugger: 'debugpy'
+    })
+  },
+  {
+    name: 'javascript',
+    extensions: ['.js', '.mjs', '.cjs'],
+    plan: (src, build, config) => ({
+      compile: [],
+      run: [config.compiler || 'node', [...config.flags, src, ...config.args]]
+    })
+  }
+];
+
+// Multi-file projects. plan({ dir, src, build, config }) gets the folder holding the build file,
+// the entry file, an incremental build folder kept between runs and the run configuration
+// (config.target names the program to launch when it cannot be guessed).
+// make, Maven and Gradle build inside the project; add their outputs to .bobocloudignore so a
+// sync from the editor keeps them.
+const BUILD_SYSTEMS = [
+  {
+    name: 'cmake',
+    files: ['CMakeLists.txt'],
+    plan: ({ dir, build, config }) => {
+      const target = config.target || cmakeTarget(path.join(dir, 'CMakeLists.txt'));
+      if (!target) throw new Error('No add_executable() in CMakeLists.txt; set "target" in the run configuration');
+      return {
+        compile: [
+          ['cmake', ['-S', dir, '-B', build, '-DCMAKE_BUILD_TYPE=Debug', ...config.flags]],
+          ['cmake', ['--build', build, '--parallel']]
+        ],
+        run: [path.resolve(build, target), config.args],
+        debugger: 'gdb'
+      };
+    }
+  },
+  {
+    name: 'make',
+    files: ['GNUmakefile', 'makefile', 'Makefile'],
+    plan: ({ dir, config }, file) => {
+      const target = config.target || makeTarget(file);
+      if (!target) throw new Error(`No target found in ${path.basename(file)}; set "target" in the run configuration`);
+      return {
+        compile: [['make', ['-C', dir, ...config.flags]]],
+        run: [path.resolve(dir, target), config.args],
+        debugger: 'gdb'
+      };
+    }
+  },
+  {
+    name: 'maven',
+    files: ['pom.xml'],
+    plan: ({ dir, src, config }) => {
+      const pom = path.join(dir, 'pom.xml');
+      const mainClass = config.target || (src.endsWith('.java') ? javaMainClass(src) : null);
+      if (!mainClass) throw new Error('Open the main class or set "target" in the run configuration');
+      return {
+        compile: [['mvn', ['-q', '-B', '-f', pom, ...config.flags, 'compile']]],
+        run: ['mvn', ['-q', '-B', '-f', pom, 'exec:java', `-Dexec.mainClass=${mainClass}`,
+          `-Dexec.args=${config.args.map(quoteArg).join(' ')}`]]
+      };
+    }
+  },
+  {
+    name: 'gradle',
+    files: ['build.gradle', 'build.gradle.kts'],
+    plan: ({ dir, src, config }) => {
+      const wrapper = path.join(dir, process.platform === 'win32' ? 'gradlew.bat' : 'gradlew');
+      const gradle = fs.existsSync(wrapper) ? wrapper : 'gradle';
+      const mainClass = config.target || (src.endsWith('.java') ? javaMainClass(src) : null);
+      if (!mainClass) throw new Error('Open the main class or set "target" in the run configuration');
+      const classpath = [path.join(dir, 'build', 'classes', 'java', 'main'), path.join(dir, 'build', 'resources', 'main')];
+      return {
+        compile: [[gradle, ['-p', dir, '--console=plain', '-q', ...config.flags, 'classes']]],
+        run: ['java', ['-cp', classpath.join(path.delimiter), mainClass, ...config.args]]
+      };
+    }
+  },
+  {
+    name: 'python',
+    files: ['pyproject.toml'],
+    plan: ({ dir, src, build, config }) => {
+      // The package is installed (editable) into a virtualenv of its own, again only when pyproject.toml changes
+      const venv = path.join(build, 'venv');
+      const python = process.platform === 'win32' ? path.join(venv, 'Scripts', 'python.exe') : path.join(venv, 'bin', 'python');
+      const stamp = path.join(build, '.installed');
+      const compile = [];
+      if (!fs.existsSync(python)) compile.push([config.compiler || 'python3', ['-m', 'venv', venv]]);
+      if (!fs.existsSync(stamp) || fs.statSync(stamp).mtimeMs < fs.statSync(path.join(dir, 'pyproject.toml')).mtimeMs) {
+        compile.push([python, ['-m', 'pip', 'install', '-q', '--disable-pip-version-check', ...config.flags, '-e', dir]]);
+        compile.push([process.execPath, ['-e', `require('fs').writeFileSync(${JSON.stringify(stamp)}, '')`]]);
+      }
+      return {
+        compile,
+        run: [python, ['-u', src, ...config.args]],
+        debugger: 'debugpy'
+      };
+    }
+  }
+];
+
+// Nearest folder from the entry file up to the project folder that holds a build file
+function detectBuildSystem(projectRoot, src, only) {
+  const systems = only ? BUILD_SYSTEMS.filter(system => system.name === only) : BUILD_SYSTEMS;
+  if (only && !systems.length) throw new Error(`Unknown build system: ${only}`);
+  for (let dir = path.dirname(src); ; dir = path.dirname(dir)) {
+    for (const system of systems) {
+      const file = system.files.map(name => path.join(dir, name)).find(f => fs.existsSync(f));
+      if (file) return { system, dir, file };
+    }
+    if (dir === projectRoot || !dir.startsWith(projectRoot)) return null;
+  }
+}
+
+// First add_executable() target of a CMakeLists.txt
+function cmakeTarget(file) {
+  const match = fs.readFileSync(file, 'utf-8').match(/^\s*add_executable\s*\(\s*([\w.+-]+)/im);
+  return match ? match[1] : null;
+}
+
+// Default goal of a Makefile; an "all" goal stands for its first prerequisite
+function makeTarget(file) {
+  const rules = [...fs.readFileSync(file, 'utf-8').matchAll(/^([\w./-]+)\s*:(?!=)([^\n]*)/gm)]
+    .filter(m => !m[1].startsWith('.') && !m[1].includes('%'));
+  if (!rules.length) return null;
+  const [, goal, prerequisites] = rules[0];
+  if (goal !== 'all') return goal;
+  return prerequisites.trim().split(/\s+/)[0] || null;
+}
+
+// No optimization, so every line can take a breakpoint and every local can be shown
+function debugFlags(config) {
+  return config.debug ? ['-g', '-O0'] : [];
+}
+
+function quoteArg(arg) {
+  return /[\s"']/.test(arg) ? `"${arg.replace(/(["\\])/g, '\\$1')}"` : arg;
+}
+
+function detectLanguage(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return LANGUAGES.find(lang => lang.extensions.includes(ext)) || null;
+}
+
+// Fully qualified class name, honoring a package declaration
+function javaMainClass(src) {
+  const name = path.basename(src, '.java');
+  let source = '';
+  try { source = fs.readFileSync(src, 'utf-8'); } catch {}
+  const match = source.match(/^\s*package\s+([\w.]+)\s*;/m);
+  return match ? `${match[1]}.${name}` : name;
+}
+
+// Resolve a path below base, refusing anything that escapes it
+function resolveInside(base, rel) {
+  const full = path.resolve(base, rel || '');
+  if (full !== base && !full.startsWith(base + path.sep)) {
+    throw new Error(`Path escapes project folder: ${rel}`);
+  }
+  return full;
+}
+
+function projectDir(folderName) {
+  if (!folderName || /[/\\]/.test(folderName) || folderName === '..' || folderName === '.') {
+    throw new Error(`Invalid folder name: ${folderName}`);
+  }
+  return resolveInside(options.root, folderName);
+}
+
+// Work out the compile steps and the program command for a run request
+function planRun(request) {
+  const dir = projectDir(request.folderName);
+  const src = resolveInside(dir, request.filePath);
+  const project = request.build === 'none'
+    ? null
+    : detectBuildSystem(dir, src, request.build && request.build !== 'auto' ? request.build : null);
+  const language = detectLanguage(src);
+  if (!language && !project) {
+    throw new Error(`Unsupported file type: ${path.extname(src) || request.filePath}`);
+  }
+
+  // Only fall back to the content sent by the editor when the file was not synced
+  if (!fs.existsSync(src)) {
+    if (typeof request.content !== 'string') throw new Error(`File not found: ${request.filePath}`);
+    fs.mkdirSync(path.dirname(src), { recursive: true });
+    fs.writeFileSync(src, request.content, 'utf-8');
+  }
+
+  const config = {
+    compiler: typeof request.compiler === 'string' && request.compiler ? request.compiler : null,
+    flags: stringList(request.flags),
+    args: stringList(request.args),
+    target: typeof request.target === 'string' && request.target ? request.target : null,
+    debug: !!request.debug
+  };
+  let plan;
+  let buildInfo = null;
+  if (project) {
+    // One incremental build folder per build system and project folder
+    const rel = path.relative(dir, project.dir);
+    const build = path.join(options.root, BUILD_DIR, request.folderName, project.system.name, rel);
+    fs.mkdirSync(build, { recursive: true });
+    plan = project.system.plan({ dir: project.dir, src, build, config }, project.file);
+    buildInfo = { system: project.system.name, file: path.relative(dir, project.file).split(path.sep).join('/') };
+  } else {
+    const build = path.join(options.root, BUILD_DIR, request.folderName);
+    fs.mkdirSync(build, { recursive: true });
+    plan = language.plan(src, build, config);
+  }
+
+  const stdinFile = request.stdinFile ? resolveInside(dir, request.stdinFile) : null;
+  const cwd = resolveInside(dir, request.cwd || '.');
+  const env = { ...process.env };
+  for (const [key, value] of Object.entries(request.env || {})) env[key] = String(value);
+  return {
+    dir,
+    src,
+    cwd,
+    env,
+    compile: plan.compile,
+    run: plan.run,
+    args: config.args,
+    compiler: config.compiler,
+    debugger: plan.debugger || null,
+    stdinFile,
+    build: buildInfo
+  };
+}
+
+function stringList(value) {
+  return Array.isArray(value) ? value.map(String) : [];
+}
+
+// Run the compile steps, then the program. handlers: onOutput(stream, data), onExit({ returncode, signal, phase }),
+// onRun(command) when the program starts, interactive (keep stdin open) and input (text written to stdin first).
+// Everything the compile steps print arrives on the 'build' stream, each step announced by its command line.
+// Returns a handle used by runInput/stopRun.
+function startRun(plan, handlers) {
+  const run = {
+    id: crypto.randomUUID(),
+    child: null,
+    stopped: false,
+    pendingInput: handlers.input ? [{ data: handlers.input }] : [],
+    stdinClosed: false
+  };
+  runs.set(run.id, run);
+
+  let phase = 'build';
+  const finish = (result) => {
+    runs.delete(run.id);
+    handlers.onExit({ ...result, phase });
+  };
+
+  (async () => {
+    // Let the caller announce the run before any output
+    await null;
+    const failed = await compilePlan(plan, run, data => handlers.onOutput('build', data));
+    if (failed) return finish(failed);
+
+    phase = 'run';
+    if (handlers.onRun) handlers.onRun([plan.run[0], ...plan.run[1]].map(quoteArg).join(' '));
+    const stdin = plan.stdinFile ? fs.openSync(plan.stdinFile, 'r') : 'pipe';
+    const exited = spawnStep(plan, run, plan.run, [stdin, 'pipe', 'pipe'],
+      data => handlers.onOutput('stdout', data), data => handlers.onOutput('stderr', data));
+    if (typeof stdin === 'number') {
+      fs.closeSync(stdin);
+      run.stdinClosed = true;
+    } else {
+      run.child.stdin.on('error', () => {});
+      for (const input of run.pendingInput) writeInput(run, input);
+      run.pendingInput = [];
+      if (!handlers.interactive) closeInput(run);
+    }
+    finish(await exited);
+  })().catch((error) => {
+    handlers.onOutput(phase === 'build' ? 'build' : 'stderr', `${error.message}\n`);
+    finish({ returncode: 1, signal: null });
+  });
+
+  return run;
+}
+
+// Start one command of a plan as job.child. Own process group so stopRun also kills anything
+// the program started. Resolves to { returncode, signal } when it ends.
+function spawnStep(plan, job, [cmd, args], stdio, onStdout, onStderr) {
+  const child = spawn(cmd, args, { cwd: plan.cwd, env: plan.env, stdio, detached: process.platform !== 'win32' });
+  job.child = child;
+  child.stdout.on('data', chunk => onStdout(chunk.toString()));
+  child.stderr.on('data', chunk => onStderr(chunk.toString()));
+  return new Promise((resolve) => {
+    child.on('error', (error) => {
+      onStderr(`Failed to start ${cmd}: ${error.message}\n`);
+      resolve({ returncode: 127, signal: null });
+    });
+    child.on('close', (code, signal) => resolve({ returncode: code, signal }));
+  });
+}
+
+// Run the compile steps in order, each announced by its command line. Resolves to the result
+// of the step that failed (or of the stop), or null once everything is built.
+async function compilePlan(plan, job, onOutput) {
+  for (const step of plan.compile) {
+    if (job.stopped) return { returncode: null, signal: 'SIGKILL' };
+    onOutput(`$ ${[step[0], ...step[1]].map(quoteArg).join(' ')}\n`);
+    const result = await spawnStep(plan, job, step, ['ignore', 'pipe', 'pipe'], onOutput, onOutput);
+    if (result.returncode !== 0) return result;
+  }
+  return job.stopped ? { returncode: null, signal: 'SIGKILL' } : null;
+}
+
+function writeInput(run, { data, eof }) {
+  if (run.stdinClosed) return;
+  // Input typed while still compiling is delivered once the program starts
+  if (!run.child || !run.child.stdin) {
+    run.pendingInput.push({ data, eof });
+    return;
+  }
+  if (data) run.child.stdin.write(data);
+  if (eof) closeInput(run);
+}
+
+function closeInput(run) {
+  if (run.stdinClosed) return;
+  run.stdinClosed = true;
+  if (run.child && run.child.stdin) run.child.stdin.end();
+}
+
+function stopRun(run) {
+  run.stopped = true;
+  killProcessGroup(run.child);
+}
+
+function killProcessGroup(child) {
+  if (!child || child.exitCode !== null || child.signalCode !== null) return;
+  try {
+    if (process.platform === 'win32') child.kill('SIGKILL');
+    else process.kill(-child.pid, 'SIGKILL');
+  } catch {
+    child.kill('SIGKILL');
+  }
+}
+
+// ===== Debugging =====
+
+// Debug adapters speaking DAP over stdio. command(plan) starts the adapter, launch(plan, stopOnEntry)
+// builds the arguments of its launch request.
+const DEBUG_ADAPTERS = {
+  gdb: {
+    command: () => ['gdb', ['--quiet', '--interpreter=dap']],
+    launch: (plan, stopOnEntry) => ({
+      program: plan.run[0],
+      args: plan.run[1],
+      cwd: plan.cwd,
+      stopAtBeginningOfMainSubprogram: stopOnEntry
+    }),
+    missing: 'gdb 14 or later is needed to debug C/C++ (gdb --interpreter=dap)'
+  },
+  debugpy: {
+    // The adapter runs on the configured interpreter, the program on the one it runs with
+    // (a project virtualenv does not need debugpy installed)
+    command: plan => [plan.compiler || 'python3', ['-m', 'debugpy.adapter']],
+    launch: (plan, stopOnEntry) => ({
+      program: plan.src,
+      args: plan.args,
+      python: [plan.run[0]],
+      cwd: plan.cwd,
+      console: 'internalConsole',
+      justMyCode: true,
+      stopOnEntry
+    }),
+    missing: 'debugpy is needed to debug Python (pip install debugpy)'
+  }
+};
+
+// Requests the editor may forward to a running session
+const DEBUG_COMMANDS = ['continue', 'next', 'stepIn', 'stepOut', 'pause', 'threads', 'stackTrace',
+  'scopes', 'variables', 'setBreakpoints', 'evaluate'];
+
+// DAP with Content-Length framing over the adapter's stdin/stdout; events go to onEvent(event, body)
+function createDapConnection(child, onEvent) {
+  let buffer = Buffer.alloc(0);
+  let seq = 1;
+  const pending = new Map();
+
+  const send = (message) => {
+    const json = JSON.stringify({ seq: seq++, ...message });
+    child.stdin.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`);
+  };
+
+  const dispatch = (message) => {
+    if (message.type === 'event') {
+      onEvent(message.event, message.body || {});
+    } else if (message.type === 'response' && pending.has(message.request_seq)) {
+      const { resolve, reject, timer } = pending.get(message.request_seq);
+      pending.delete(message.request_seq);
+      clearTimeout(timer);
+      if (message.success) resolve(message.body || {});
+      else reject(new Error(message.message || `${message.command} failed`));
+    } else if (message.type === 'request') {
+      // Reverse requests (runInTerminal, startDebugging) are not supported
+      send({ type: 'response', request_seq: message.seq, command: message.command, success: false, message: 'Not supported' });
+    }
+  };
+
+  child.stdout.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    for (;;) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+      const match = /Content-Length:\s*(\d+)/i.exec(buffer.subarray(0, headerEnd).toString('ascii'));
+      if (!match) {
+        buffer = buffer.subarray(headerEnd + 4);
+        continue;
+      }
+      const start = headerEnd + 4;
+      const end = start + Number(match[1]);
+      if (buffer.length < end) return;
+      const body = buffer.subarray(start, end).toString('utf-8');
+      buffer = buffer.subarray(end);
+      try {
+        dispatch(JSON.parse(body));
+      } catch (error) {
+        console.error('Invalid debug adapter message:', error);
+      }
+    }
+  });
+
+  const request = (command, args, timeout = DEBUG_REQUEST_TIMEOUT) => new Promise((resolve, reject) => {
+    const id = seq;
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      reject(new Error(`${command} timed out`));
+    }, timeout);
+    pending.set(id, { resolve, reject, timer });
+    send({ type: 'request', command, arguments: args || {} });
+  });
+
+  const dropPending = (reason) => {
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(new Error(reason));
+    }
+    pending.clear();
+  };
+
+  return { request, dropPending };
+}
+
+// Sources inside the project folder get their project-relative path as rel
+function addSourceRels(session, body) {
+  const mark = (source) => {
+    if (!source || !source.path) return;
+    const rel = path.relative(session.dir, source.path);
+    if (rel && !rel.startsWith('..') && !path.isAbsolute(rel)) source.rel = rel.split(path.sep).join('/');
+  };
+  if (!body) return body;
+  for (const frame of body.stackFrames || []) mark(frame.source);
+  for (const breakpoint of body.breakpoints || []) mark(breakpoint.source);
+  if (body.breakpoint) mark(body.breakpoint.source);
+  mark(body.source);
+  return body;
+}
+
+function setBreakpoints(session, rel, lines) {
+  return session.connection.request('setBreakpoints', {
+    source: { path: resolveInside(session.dir, rel) },
+    breakpoints: lines.map(line => ({ line: Number(line) }))
+  });
+}
+
+// Build the program with debug info, then start its adapter and run the DAP handshake:
+// initialize, launch, wait for 'initialized', breakpoints, configurationDone. handlers: onOutput(stream, data)
+// with stream 'build' or a DAP output category, onEvent(event, body), onExit({ returncode, signal, phase }).
+function startDebug(plan, request, handlers) {
+  const adapter = DEBUG_ADAPTERS[plan.debugger];
+  const session = {
+    id: crypto.randomUUID(),
+    dir: plan.dir,
+    child: null,
+    connection: null,
+    stopped: false,
+    ending: false,
+    exitCode: null
+  };
+  debugs.set(session.id, session);
+
+  let phase = 'build';
+  let finished = false;
+  const finish = (result) => {
+    if (finished) return;
+    finished = true;
+    debugs.delete(session.id);
+    handlers.onExit({ ...result, phase });
+  };
+
+  (async () => {
+    await null;
+    const failed = await compilePlan(plan, session, data => handlers.onOutput('build', data));
+    if (failed) return finish(failed);
+
+    phase = 'run';
+    let initialized;
+    const ready = new Promise((resolve, reject) => { initialized = { resolve, reject }; });
+    ready.catch(() => {});
+    let stderr = '';
+    const [cmd, args] = adapter.command(plan);
+    const child = spawn(cmd, args, { cwd: plan.cwd, env: plan.env, stdio: ['pipe', 'pipe', 'pipe'], detached: process.platform !== 'win32' });
+    session.child = child;
+    child.stdin.on('error', () => {});
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-DEBUG_STDERR_TAIL);
+    });
+    session.connection = createDapConnection(child, (event, body) => {
+      if (event === 'initialized') initialized.resolve();
+      else if (event === 'output') {
+        if (body.category !== 'telemetry') handlers.onOutput(body.category || 'console', body.output || '');
+      }
+      else if (event === 'exited') session.exitCode = body.exitCode;
+      else if (event === 'terminated') endDebug(session);
+      else handlers.onEvent(event, addSourceRels(session, body));
+    });
+    child.on('close', (code, signal) => {
+      session.closed = true;
+      session.connection.dropPending('Debugger exited');
+      initialized.reject(new Error('Debugger exited'));
+      if (!session.launched && !session.stopped && !finished) handlers.onOutput('stderr', `${stderr || `${cmd} exited`}\n${adapter.missing}\n`);
+      if (session.exitCode !== null) finish({ returncode: session.exitCode, signal: null });
+      else finish({ returncode: code, signal: signal || (session.stopped ? 'SIGKILL' : null) });
+    });
+    await new Promise((resolve, reject) => {
+      child.once('spawn', resolve);
+      child.once('error', error => reject(new Error(`Failed to start ${cmd}: ${error.message}. ${adapter.missing}`)));
+    });
+
+    const connection = session.connection;
+    await connection.request('initialize', {
+      clientID: 'bobocloud',
+      adapterID: plan.debugger,
+      pathFormat: 'path',
+      linesStartAt1: true,
+      columnsStartAt1: true,
+      supportsVariableType: true
+    });
+    // debugpy answers launch only after configurationDone
+    const launched = connection.request('launch', adapter.launch(plan, !!request.stopOnEntry), DEBUG_LAUNCH_TIMEOUT);
+    launched.catch(() => {});
+    await ready;
+    for (const [rel, lines] of Object.entries(request.breakpoints || {})) {
+      if (!Array.isArray(lines) || !lines.length) continue;
+      try {
+        handlers.onEvent('breakpoints', addSourceRels(session, { rel, ...await setBreakpoints(session, rel, lines) }));
+      } catch (error) {
+        handlers.onOutput('stderr', `Breakpoints in ${rel}: ${error.message}\n`);
+      }
+    }
+    await connection.request('configurationDone');
+    await launched;
+    session.launched = true;
+  })().catch((error) => {
+    // An adapter that exited has already said why
+    if (session.closed) return;
+    if (!session.stopped) handlers.onOutput('stderr', `${error.message}\n`);
+    if (phase === 'run' && session.child && session.child.pid) killProcessGroup(session.child);
+    else finish({ returncode: 1, signal: null });
+  });
+
+  return session;
+}
+
+// Let the adapter end the program, killing whatever is left when it does not answer
+function endDebug(session) {
+  if (session.ending) return;
+  session.ending = true;
+  if (!session.connection) {
+    killProcessGroup(session.child);
+    return;
+  }
+  const timer = setTimeout(() => killProcessGroup(session.child), 2000);
+  session.connection.request('disconnect', { terminateDebuggee: true }, 2000)
+    .catch(() => {})
+    .then(() => {
+      clearTimeout(timer);
+      killProcessGroup(session.child);
+    });
+}
+
+function stopDebug(session) {
+  session.stopped = true;
+  endDebug(session);
+}
+
+// ===== Actions =====
+
+function checkFolder(request) {
+  const dir = projectDir(request.folderName);
+  fs.mkdirSync(dir, { recursive: true });
+  return { success: true, folderPath: dir };
+}
+
+// One-shot run: stdin is fed from stdinFile or the input text, then closed; the result is returned at the end
+function runCode(request) {
+  const plan = planRun(request);
+  return new Promise((resolve) => {
+    let build = '';
+    let output = '';
+    let error = '';
+    const run = startRun(plan, {
+      interactive: false,
+      input: typeof request.input === 'string' ? request.input : null,
+      onOutput: (stream, data) => {
+        if (stream === 'build') build = (build + data).slice(-MAX_OUTPUT);
+        else if (stream === 'stdout') output = (output + data).slice(-MAX_OUTPUT);
+        else error = (error + data).slice(-MAX_OUTPUT);
+      },
+      onExit: ({ returncode, signal, phase }) => {
+        clearTimeout(timer);
+        if (signal) error += `\nProcess killed (${signal})`;
+        resolve({ success: returncode === 0, build, output, error, returncode, phase });
+      }
+    });
+    const timer = options.timeout > 0
+      ? setTimeout(() => {
+        error += `\nTime limit of ${options.timeout}s exceeded`;
+        stopRun(run);
+      }, options.timeout * 1000)
+      : null;
+  });
+}
+
+// Streamed run: output is written as server-sent events until the program exits
+function runCodeStream(request, res) {
+  let plan;
+  try {
+    plan = planRun(request);
+  } catch (error) {
+    sendJson(res, { success: false, error: error.message });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  const send = (event, payload) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  const run = startRun(plan, {
+    interactive: !plan.stdinFile,
+    onOutput: (stream, data) => send(stream, { data }),
+    onRun: command => send('run', { command }),
+    onExit: ({ returncode, signal, phase }) => {
+      clearTimeout(timer);
+      send('exit', { returncode, signal, phase });
+      res.end();
+    }
+  });
+  send('start', { runId: run.id, build: plan.build });
+  const timer = options.timeout > 0
+    ? setTimeout(() => {
+      send('stderr', { data: `\nTime limit of ${options.timeout}s exceeded\n` });
+      stopRun(run);
+    }, options.timeout * 1000)
+    : null;
+
+  // Editor went away (Stop without an answer, window closed): don't leave the program running
+  res.on('close', () => {
+    if (runs.has(run.id)) stopRun(run);
+  });
+}
+
+function runInput(request) {
+  const run = runs.get(request.runId);
+  if (!run) return { success: false, error: 'No such run' };
+  writeInput(run, { data: request.data, eof: !!request.eof });
+  return { success: true };
+}
+
+function stopRunAction(request) {
+  const run = runs.get(request.runId);
+  if (!run) return { success: false, error: 'No such run' };
+  stopRun(run);
+  return { success: true };
+}
+
+// Debug session: events are written as server-sent events until the debugger exits
+function debugStream(request, res) {
+  let plan;
+  try {
+    plan = planRun({ ...request, debug: true });
+    if (!plan.debugger) throw new Error('Debugging is supported for C, C++ and Python programs');
+  } catch (error) {
+    sendJson(res, { success: false, error: error.message });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  const send = (event, payload) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  const session = startDebug(plan, request, {
+    onOutput: (stream, data) => (stream === 'build' ? send('build', { data }) : send('output', { category: stream, data })),
+    onEvent: (event, body) => send('dap', { event, body }),
+    onExit: ({ returncode, signal, phase }) => {
+      send('exit', { returncode, signal, phase });
+      res.end();
+    }
+  });
+  send('start', { debugId: session.id, build: plan.build });
+
+  res.on('close', () => {
+    if (debugs.has(session.id)) stopDebug(session);
+  });
+}
+
+async function debugRequest(request) {
+  const session = debugs.get(request.debugId);
+  if (!session || !session.connection) return { success: false, error: 'No such debug session' };
+  if (!DEBUG_COMMANDS.includes(request.command)) {
+    return { success: false, error: `Unsupported debug command: ${request.command}` };
+  }
+  const args = { ...(request.arguments || {}) };
+  if (args.source && args.source.rel) args.source = { path: resolveInside(session.dir, args.source.rel) };
+  const body = await session.connection.request(request.command, args);
+  return { success: true, body: addSourceRels(session, body) };
+}
+
+function debugStopAction(request) {
+  const session = debugs.get(request.debugId);
+  if (!session) return { success: false, error: 'No such debug session' };
+  stopDebug(session);
+  return { success: true };
+}
+
+const ACTIONS = {
+  checkFolder,
+  runCode,
+  runInput,
+  stopRun: stopRunAction,
+  debugRequest,
+  debugStop: debugStopAction
+};
+
+// ===== HTTP =====
+
+// Read by the editor over SFTP; only the server's user (the SFTP login) can read it
+const TOKEN_FILE = '.bobo-token';
+const TOKEN_HEADER = 'x-bobo-token';
+
+function validToken(req) {
+  const given = Buffer.from(String(req.headers[TOKEN_HEADER] || ''));
+  const expected = Buffer.from(options.token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function writeTokenFile() {
+  const file = path.join(options.root, TOKEN_FILE);
+  fs.writeFileSync(file, options.token, { mode: 0o600 });
+  fs.chmodSync(file, 0o600);
+  return file;
+}
+
+function sendJson(res, body, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+async function handleRequest(req, res) {
+  // The editor talks to the server from its main process; browsers always send an Origin
+  if (req.headers.origin !== undefined) {
+    sendJson(res, { success: false, error: 'Browser requests are not accepted' }, 403);
+    return;
+  }
+  if (req.method !== 'POST') {
+    sendJson(res, { success: false, error: 'Use POST with a JSON body' }, 405);
+    return;
+  }
+  if (!validToken(req)) {
+    sendJson(res, { success: false, error: `Missing or wrong token; see ${TOKEN_FILE} in the server root` }, 401);
+    return;
+  }
+  if (!/^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '')) {
+    sendJson(res, { success: false, error: 'Content-Type must be application/json' }, 415);
+    return;
+  }
+
+  let request;
+  try {
+    request = JSON.parse(await readBody(req) || '{}');
+  } catch {
+    sendJson(res, { success: false, error: 'Invalid JSON' }, 400);
+    return;
+  }
+
+  if (request.action === 'runCodeStream') {
+    runCodeStream(request, res);
+    return;
+  }
+  if (request.action === 'debugStream') {
+    debugStream(request, res);
+    return;
+  }
+
+  const action = ACTIONS[request.action];
+  if (!action) {
+    sendJson(res, { success: false, error: `Unknown action: ${request.action}` });
+    return;
+  }
+  try {
+    sendJson(res, await action(request));
+  } catch (error) {
+    sendJson(res, { success: false, error: error.message });
+  }
+}
+
+if (require.main === module) {
+  fs.mkdirSync(options.root, { recursive: true });
+  const tokenFile = writeTokenFile();
+  http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      console.error('Request failed:', error);
+      if (!res.headersSent) sendJson(res, { success: false, error: error.message }, 500);
+    });
+  }).listen(options.port, options.host, () => {
+    console.log(`BOBOCloud run server on ${options.host}:${options.port}, projects in ${options.root}`);
+    console.log(`Token written to ${tokenFile}`);
+  });
+}
+
+module.exports = { handleRequest, planRun, detectLanguage };
@@ -0,0 +1,96 @@
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+
+// userData/session.json:
+// { lastWorkspace, recent: [root, ...],
+//   workspaces: { root: { tabs: [{ path, viewState }], activeTab, expanded, recentFiles } } }
+const SESSION_FILE = 'session.json';
+const MAX_RECENT = 10;
+const MAX_RECENT_FILES = 50;
+
+function sessionPath() {
+  return path.join(app.getPath('userData'), SESSION_FILE);
+}
+
+function readSession() {
+  try {
+    const session = JSON.parse(fs.readFileSync(sessionPath(), 'utf-8'));
+    return {
+      lastWorkspace: session.lastWorkspace || null,
+      recent: Array.isArray(session.recent) ? session.recent : [],
+      workspaces: session.workspaces || {}
+    };
+  } catch {
+    return { lastWorkspace: null, recent: [], workspaces: {} };
+  }
+}
+
+// Only workspaces still listed as recent keep their saved state
+function writeSession(session) {
+  const workspaces = {};
+  for (const root of session.recent) {
+    if (session.workspaces[root]) workspaces[root] = session.workspaces[root];
+  }
+  try {
+    fs.writeFileSync(sessionPath(), JSON.stringify({ ...session, workspaces }), 'utf-8');
+  } catch (error) {
+    console.error('Error writing session:', error);
+  }
+}
+
+// Move root to the top of the recent list and reopen it on the next launch
+function rememberWorkspace(root) {
+  const session = readSession();
+  session.lastWorkspace = root;
+  session.recent = [root, ...session.recent.filter(p => p !== root)].slice(0, MAX_RECENT);
+  writeSession(session);
+}
+
+function forgetWorkspace(root) {
+  const session = readSession();
+  session.recent = session.recent.filter(p => p !== root);
+  if (session.lastWorkspace === root) session.lastWorkspace = null;
+  writeSession(session);
+}
+
+function clearRecent() {
+  const session = readSession();
+  session.recent = session.lastWorkspace ? [session.lastWorkspace] : [];
+  writeSession(session);
+}
+
+function recentWorkspaces() {
+  return readSession().recent;
+}
+
+function lastWorkspace() {
+  return readSession().lastWorkspace;
+}
+
+// Tabs (with Monaco view state), active tab, expanded folders and recently opened files of one workspace
+function workspaceState(root) {
+  return readSession().workspaces[root] || null;
+}
+
+function saveWorkspaceState(root, state) {
+  const session = readSession();
+  if (!session.recent.includes(root)) return;
+  session.workspaces[root] = {
+    tabs: Array.isArray(state.tabs) ? state.tabs : [],
+    activeTab: state.activeTab || null,
+    expanded: Array.isArray(state.expanded) ? state.expanded : [],
+    recentFiles: Array.isArray(state.recentFiles) ? state.recentFiles.slice(0, MAX_RECENT_FILES) : []
+  };
+  writeSession(session);
+}
+
+module.exports = {
+  rememberWorkspace,
+  forgetWorkspace,
+  clearRecent,
+  recentWorkspaces,
+  lastWorkspace,
+  workspaceState,
+  saveWorkspaceState
+};
@@ -0,0 +1,633 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const SftpClient = require('ssh2-sftp-client');
+
+// Every project lives under this folder on the server
+const REMOTE_BASE = '/shareOnling';
+
+// Build ssh2 connection options from an unsealed server profile
+function connectionOptions(profile) {
+  const options = {
+    host: profile.host,
+    port: profile.port || 22,
+    username: profile.user,
+    readyTimeout: 20000
+  };
+  if (profile.auth === 'key') {
+    options.privateKey = fs.readFileSync(expandHome(profile.keyPath));
+    if (profile.passphrase) options.passphrase = profile.passphrase;
+  } else if (profile.auth === 'agent') {
+    options.agent = process.platform === 'win32' ? 'pageant' : process.env.SSH_AUTH_SOCK;
+    if (!options.agent) throw new Error('SSH agent not available (SSH_AUTH_SOCK is not set)');
+  } else {
+    options.password = profile.pass;
+  }
+  return options;
+}
+
+function expandHome(p) {
+  if (!p) throw new Error('No private key file configured');
+  return p.startsWith('~') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+// Remote project folder for a local workspace
+function remoteRootFor(localRoot, base = REMOTE_BASE) {
+  return path.posix.join(base, path.basename(localRoot));
+}
+
+// Collect local files and folders keyed by posix relative path.
+// skip(rel, isDir) leaves out excluded entries (and everything inside excluded folders).
+function walkLocal(root, skip = () => false) {
+  const files = new Map();
+  const dirs = new Set();
+
+  const visit = (dir, rel) => {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      entries = [];
+    }
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      const childRel = rel ? `${rel}/${entry.name}` : entry.name;
+      if (skip(childRel, entry.isDirectory())) continue;
+      if (entry.isDirectory()) {
+        dirs.add(childRel);
+        visit(full, childRel);
+      } else if (entry.isFile()) {
+        let stat;
+        try { stat = fs.statSync(full); } catch { continue; }
+        let hash = null;
+        files.set(childRel, {
+          full,
+          size: stat.size,
+          mtime: stat.mtimeMs,
+          hash: () => hash || (hash = hashFile(full))
+        });
+      }
+    }
+  };
+
+  visit(root, '');
+  return { files, dirs };
+}
+
+// Collect remote files and folders keyed by posix relative path; excluded ones are never touched
+async function walkRemote(client, root, skip = () => false) {
+  const files = new Map();
+  const dirs = new Set();
+
+  const visit = async (dir, rel) => {
+    const entries = await client.list(dir);
+    for (const entry of entries) {
+      const full = `${dir}/${entry.name}`;
+      const childRel = rel ? `${rel}/${entry.name}` : entry.name;
+      if (skip(childRel, entry.type === 'd')) continue;
+      if (entry.type === 'd') {
+        dirs.add(childRel);
+        await visit(full, childRel);
+      } else {
+        files.set(childRel, { size: entry.size, mtime: entry.modifyTime });
+      }
+    }
+  };
+
+  if (await client.exists(root)) {
+    await visit(root, '');
+  }
+  return { files, dirs };
+}
+
+// Content hash used by the sync manifest
+function hashFile(full) {
+  return crypto.createHash('sha1').update(fs.readFileSync(full)).digest('hex');
+}
+
+// Manifest of { relPath: { hash, size, remoteSize, remoteMtime } } as last pushed to the server.
+// Folders known on both sides are kept as { 'relPath/': { dir: true } }.
+function loadManifest(manifestPath) {
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+function saveManifest(manifestPath, manifest) {
+  try {
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest), 'utf-8');
+  } catch (error) {
+    console.error('Error writing sync manifest:', error);
+  }
+}
+
+// A file is uploaded when it is missing remotely, differs in size or in content hash.
+// Without a manifest entry any difference in modification time (SFTP keeps whole seconds)
+// counts, so a newer server copy of the same size is replaced too.
+function needsUpload(local, remote, known) {
+  if (!remote) return true;
+  if (remote.size !== local.size) return true;
+  if (known) return known.hash !== local.hash();
+  return Math.floor(local.mtime / 1000) !== Math.floor(remote.mtime / 1000);
+}
+
+// True if rel lies inside one of the given folders
+function isInside(rel, folders) {
+  for (const dir of folders) {
+    if (rel.startsWith(`${dir}/`)) return true;
+  }
+  return false;
+}
+
+// skip() for the walkers from an ignore matcher (see sync-ignore.js)
+function skipper(ignore) {
+  return ignore ? (rel, isDir) => ignore.ignores(rel, isDir) : () => false;
+}
+
+// Add the server side of a just-written file to its manifest entry, so two-way
+// sync can later tell whether the file was changed on the server
+async function rememberRemote(client, remotePath, entry) {
+  const stat = await client.stat(remotePath);
+  return { ...entry, remoteSize: stat.size, remoteMtime: stat.modifyTime };
+}
+
+// True if the server copy no longer matches what was last synced. Entries written by
+// one-way sync before the server side was tracked only know the size.
+function remoteChanged(remote, known) {
+  if (!remote) return !!known;
+  if (!known) return true;
+  if (known.remoteMtime === undefined) return remote.size !== known.size;
+  return remote.size !== known.remoteSize || remote.mtime !== known.remoteMtime;
+}
+
+function folderKey(rel) {
+  return `${rel}/`;
+}
+
+// Drop manifest entries for rel and everything below it
+function forgetPath(manifest, rel) {
+  for (const key of Object.keys(manifest)) {
+    if (key === rel || key.startsWith(`${rel}/`)) delete manifest[key];
+  }
+}
+
+// Make remoteRoot mirror localRoot: create folders, upload changed files, delete stale entries.
+// onProgress receives { action, path, index, total } for every remote operation.
+// The manifest is updated in place with the hash of every file now known to be on the server.
+// Paths excluded by ignore are neither uploaded nor deleted on the server.
+async function syncDirectory({ profile, localRoot, remoteRoot, manifest = {}, ignore = null, onProgress = () => {} }) {
+  const client = new SftpClient('bobocloud-sync');
+  const summary = { remoteRoot, uploaded: 0, deleted: 0, skipped: 0 };
+
+  try {
+    await client.connect(connectionOptions(profile));
+    await client.mkdir(remoteRoot, true);
+
+    const local = walkLocal(localRoot, skipper(ignore));
+    const remote = await walkRemote(client, remoteRoot, skipper(ignore));
+
+    // Only remove the topmost stale folders; their contents go with them
+    const staleDirs = [...remote.dirs]
+      .filter(dir => !local.dirs.has(dir))
+      .sort();
+    const topStaleDirs = staleDirs.filter(dir => !isInside(dir, staleDirs));
+    const staleFiles = [...remote.files.keys()]
+      .filter(rel => !local.files.has(rel) && !isInside(rel, topStaleDirs));
+    const newDirs = [...local.dirs]
+      .filter(dir => !remote.dirs.has(dir))
+      .sort();
+    const uploads = [...local.files]
+      .filter(([rel, info]) => needsUpload(info, remote.files.get(rel), manifest[rel]));
+
+    summary.skipped = local.files.size - uploads.length;
+    const total = staleFiles.length + topStaleDirs.length + newDirs.length + uploads.length;
+    let index = 0;
+    const report = (action, rel) => onProgress({ action, path: rel, index: ++index, total });
+
+    for (const rel of staleFiles) {
+      await client.delete(`${remoteRoot}/${rel}`, true);
+      forgetPath(manifest, rel);
+      summary.deleted++;
+      report('delete', rel);
+    }
+    for (const rel of topStaleDirs) {
+      await client.rmdir(`${remoteRoot}/${rel}`, true);
+      forgetPath(manifest, rel);
+      summary.deleted++;
+      report('delete', rel);
+    }
+    for (const rel of newDirs) {
+      await client.mkdir(`${remoteRoot}/${rel}`, true);
+      report('mkdir', rel);
+    }
+    const uploaded = new Set();
+    for (const [rel, info] of uploads) {
+      await client.fastPut(info.full, `${remoteRoot}/${rel}`);
+      manifest[rel] = await rememberRemote(client, `${remoteRoot}/${rel}`, { hash: info.hash(), size: info.size });
+      uploaded.add(rel);
+      summary.uploaded++;
+      report('upload', rel);
+    }
+
+    // Files left alone are identical on both sides; remember them too
+    for (const [rel, info] of local.files) {
+      if (uploaded.has(rel)) continue;
+      const remoteInfo = remote.files.get(rel);
+      manifest[rel] = {
+        ...(manifest[rel] || { hash: info.hash(), size: info.size }),
+        remoteSize: remoteInfo.size,
+        remoteMtime: remoteInfo.mtime
+      };
+    }
+    for (const rel of Object.keys(manifest)) {
+      if (!local.files.has(rel)) delete manifest[rel];
+    }
+    for (const dir of local.dirs) manifest[folderKey(dir)] = { dir: true };
+
+    return summary;
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+// Push only the given workspace-relative paths. Existing files are uploaded unless
+// their hash matches the manifest, folders are pushed with their contents and
+// paths that no longer exist locally are removed from the server.
+// With twoWay, a server copy changed since the last sync is never overwritten or
+// deleted; the path is reported in summary.conflicts instead. Paths excluded by ignore are left alone.
+async function syncPaths({ profile, localRoot, remoteRoot, paths, manifest = {}, twoWay = false, ignore = null, onProgress = () => {} }) {
+  const client = new SftpClient('bobocloud-sync');
+  const summary = { remoteRoot, uploaded: 0, deleted: 0, skipped: 0, conflicts: [] };
+  const knownDirs = new Set([remoteRoot]);
+
+  // Expand folders into their files so the total is known up front
+  const uploads = new Map();
+  const removals = [];
+  const newDirs = new Set();
+  const skip = skipper(ignore);
+  for (const rel of paths) {
+    const full = path.join(localRoot, ...rel.split('/'));
+    let stat;
+    try { stat = fs.statSync(full); } catch { stat = null; }
+    // A removed path was a folder unless the manifest knows it as a file
+    if (skip(rel, stat ? stat.isDirectory() : !manifest[rel])) continue;
+    if (!stat) {
+      removals.push(rel);
+    } else if (stat.isDirectory()) {
+      newDirs.add(rel);
+      const inner = walkLocal(full, (sub, isDir) => skip(`${rel}/${sub}`, isDir));
+      for (const dir of inner.dirs) newDirs.add(`${rel}/${dir}`);
+      for (const [fileRel, info] of inner.files) uploads.set(`${rel}/${fileRel}`, info);
+    } else if (stat.isFile()) {
+      let hash = null;
+      uploads.set(rel, {
+        full,
+        size: stat.size,
+        mtime: stat.mtimeMs,
+        hash: () => hash || (hash = hashFile(full))
+      });
+    }
+  }
+
+  const changed = [...uploads].filter(([rel, info]) => {
+    const known = manifest[rel];
+    return !known || known.size !== info.size || known.hash !== info.hash();
+  });
+  summary.skipped = uploads.size - changed.length;
+
+  const total = removals.length + newDirs.size + changed.length;
+  if (!total) return summary;
+  let index = 0;
+  const report = (action, rel) => onProgress({ action, path: rel, index: ++index, total });
+
+  const ensureDir = async (dir) => {
+    if (knownDirs.has(dir)) return;
+    await client.mkdir(dir, true);
+    knownDirs.add(dir);
+  };
+
+  // Server state of a file, or null when it does not exist there
+  const statRemote = async (remotePath) => {
+    try {
+      const stat = await client.stat(remotePath);
+      return stat.isFile ? { size: stat.size, mtime: stat.modifyTime } : null;
+    } catch {
+      return null;
+    }
+  };
+
+  try {
+    await client.connect(connectionOptions(profile));
+
+    for (const rel of removals) {
+      const remotePath = `${remoteRoot}/${rel}`;
+      const type = await client.exists(remotePath);
+      if (twoWay && type === '-' && remoteChanged(await statRemote(remotePath), manifest[rel])) {
+        summary.conflicts.push({ path: rel, reason: 'deleted locally, changed on server' });
+        report('conflict', rel);
+        continue;
+      }
+      if (type === 'd') {
+        await client.rmdir(remotePath, true);
+      } else if (type) {
+        await client.delete(remotePath, true);
+      }
+      forgetPath(manifest, rel);
+      summary.deleted++;
+      report('delete', rel);
+    }
+    for (const rel of [...newDirs].sort()) {
+      await ensureDir(`${remoteRoot}/${rel}`);
+      manifest[folderKey(rel)] = { dir: true };
+      report('mkdir', rel);
+    }
+    for (const [rel, info] of changed) {
+      const remotePath = `${remoteRoot}/${rel}`;
+      if (twoWay) {
+        const remote = await statRemote(remotePath);
+        if (remote && remoteChanged(remote, manifest[rel])) {
+          summary.conflicts.push({ path: rel, reason: 'changed locally and on server' });
+          report('conflict', rel);
+          continue;
+        }
+      }
+      await ensureDir(path.posix.dirname(remotePath));
+      await client.fastPut(info.full, remotePath);
+      manifest[rel] = await rememberRemote(client, remotePath, { hash: info.hash(), size: info.size });
+      summary.uploaded++;
+      report('upload', rel);
+    }
+
+    return summary;
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+// Two-way reconcile against the last-synced state in the manifest: one-sided changes,
+// additions and deletions are carried over in either direction. Files changed on both
+// sides (or deleted on one side and changed on the other) are left untouched on both
+// and reported in summary.conflicts.
+async function syncTwoWay({ profile, localRoot, remoteRoot, manifest = {}, ignore = null, onProgress = () => {} }) {
+  const client = new SftpClient('bobocloud-sync');
+  const summary = { remoteRoot, uploaded: 0, downloaded: 0, deleted: 0, skipped: 0, conflicts: [] };
+
+  try {
+    await client.connect(connectionOptions(profile));
+    await client.mkdir(remoteRoot, true);
+
+    const local = walkLocal(localRoot, skipper(ignore));
+    const remote = await walkRemote(client, remoteRoot, skipper(ignore));
+    const knownFiles = Object.keys(manifest).filter(rel => !manifest[rel].dir);
+    const paths = new Set([...local.files.keys(), ...remote.files.keys(), ...knownFiles]);
+
+    const plan = [];
+    for (const rel of [...paths].sort()) {
+      const l = local.files.get(rel);
+      const r = remote.files.get(rel);
+      const base = manifest[rel];
+      const localDirty = l ? !base || base.size !== l.size || base.hash !== l.hash() : !!base;
+      const remoteDirty = remoteChanged(r, base);
+
+      if (!l && !r) {
+        delete manifest[rel];
+      } else if (!localDirty && !remoteDirty) {
+        if (r && base.remoteMtime === undefined) manifest[rel] = { ...base, remoteSize: r.size, remoteMtime: r.mtime };
+        summary.skipped++;
+      } else if (localDirty && !remoteDirty) {
+        plan.push({ rel, action: l ? 'upload' : 'delete-remote' });
+      } else if (!localDirty && remoteDirty) {
+        plan.push({ rel, action: r ? 'download' : 'delete-local' });
+      } else if (l && r && !base && l.size === r.size) {
+        // Same file created on both sides: compare contents before calling it a conflict
+        plan.push({ rel, action: 'compare' });
+      } else {
+        const reason = !l ? 'deleted locally, changed on server'
+          : !r ? 'changed locally, deleted on server'
+            : 'changed locally and on server';
+        summary.conflicts.push({ path: rel, reason });
+      }
+    }
+
+    const total = plan.length;
+    let index = 0;
+    const report = (action, rel) => onProgress({ action, path: rel, index: ++index, total });
+
+    for (const { rel, action } of plan) {
+      const remotePath = `${remoteRoot}/${rel}`;
+      const localPath = path.join(localRoot, ...rel.split('/'));
+      const l = local.files.get(rel);
+
+      if (action === 'upload') {
+        await client.mkdir(path.posix.dirname(remotePath), true);
+        await client.fastPut(l.full, remotePath);
+        manifest[rel] = await rememberRemote(client, remotePath, { hash: l.hash(), size: l.size });
+        summary.uploaded++;
+      } else if (action === 'download') {
+        await downloadFile(client, remotePath, localPath, manifest, rel);
+        summary.downloaded++;
+      } else if (action === 'delete-remote') {
+        await client.delete(remotePath, true);
+        delete manifest[rel];
+        summary.deleted++;
+      } else if (action === 'delete-local') {
+        fs.rmSync(localPath, { force: true });
+        delete manifest[rel];
+        summary.deleted++;
+      } else if (action === 'compare') {
+        const content = await client.get(remotePath);
+        if (crypto.createHash('sha1').update(content).digest('hex') === l.hash()) {
+          manifest[rel] = await rememberRemote(client, remotePath, { hash: l.hash(), size: l.size });
+          summary.skipped++;
+        } else {
+          summary.conflicts.push({ path: rel, reason: 'created locally and on server' });
+        }
+      }
+      report(action === 'compare' ? 'check' : action, rel);
+    }
+
+    // A folder on one side only is new when the manifest does not know it, otherwise it was
+    // deleted on the other side. Deleted folders are removed deepest first and only once empty,
+    // so files kept back as conflicts (or just downloaded into them) keep their folder.
+    const removedDirs = new Set();
+    for (const dir of [...remote.dirs].sort().reverse()) {
+      const localDir = path.join(localRoot, ...dir.split('/'));
+      if (local.dirs.has(dir) || fs.existsSync(localDir)) continue;
+      if (!manifest[folderKey(dir)]) {
+        fs.mkdirSync(localDir, { recursive: true });
+        continue;
+      }
+      try {
+        await client.rmdir(`${remoteRoot}/${dir}`);
+        removedDirs.add(dir);
+      } catch {}
+    }
+    for (const dir of [...local.dirs].sort().reverse()) {
+      if (remote.dirs.has(dir) || !manifest[folderKey(dir)]) continue;
+      try {
+        fs.rmdirSync(path.join(localRoot, ...dir.split('/')));
+        removedDirs.add(dir);
+      } catch {}
+    }
+    for (const dir of [...local.dirs].sort()) {
+      if (!remote.dirs.has(dir) && !manifest[folderKey(dir)]) await client.mkdir(`${remoteRoot}/${dir}`, true);
+    }
+    // Everything else now exists on both sides, or keeps its entry until it can be removed
+    const dirs = new Set([...local.dirs, ...remote.dirs]);
+    for (const key of Object.keys(manifest)) {
+      if (manifest[key].dir && (!dirs.has(key.slice(0, -1)) || removedDirs.has(key.slice(0, -1)))) delete manifest[key];
+    }
+    for (const dir of dirs) {
+      if (!removedDirs.has(dir)) manifest[folderKey(dir)] = { dir: true };
+    }
+
+    return summary;
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+async function downloadFile(client, remotePath, localPath, manifest, rel) {
+  fs.mkdirSync(path.dirname(localPath), { recursive: true });
+  await client.fastGet(remotePath, localPath);
+  const stat = fs.statSync(localPath);
+  manifest[rel] = await rememberRemote(client, remotePath, { hash: hashFile(localPath), size: stat.size });
+}
+
+// Run task with a connected client and always close the connection afterwards
+async function withClient(profile, task) {
+  const client = new SftpClient('bobocloud-sync');
+  try {
+    await client.connect(connectionOptions(profile));
+    return await task(client);
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+// Text of a server file, or null when it does not exist there
+function readRemoteFile({ profile, remotePath }) {
+  return withClient(profile, async (client) => {
+    if (!(await client.exists(remotePath))) return null;
+    return (await client.get(remotePath)).toString('utf-8');
+  });
+}
+
+function writeRemoteFile({ profile, remotePath, content }) {
+  return withClient(profile, async (client) => {
+    await client.put(Buffer.from(content, 'utf-8'), remotePath);
+  });
+}
+
+// Entries of one server folder, folders first: [{ name, type: 'folder' | 'file', size, mtime }]
+function listRemoteDir({ profile, remotePath }) {
+  return withClient(profile, async (client) => {
+    if (!(await client.exists(remotePath))) return [];
+    const entries = await client.list(remotePath);
+    return entries
+      .map(entry => ({
+        name: entry.name,
+        type: entry.type === 'd' ? 'folder' : 'file',
+        size: entry.size,
+        mtime: entry.modifyTime
+      }))
+      .sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'folder' ? -1 : 1));
+  });
+}
+
+// Remove a server file or folder; the manifest forgets it so a later sync can push it again
+function deleteRemotePath({ profile, remotePath, rel, manifest = {} }) {
+  return withClient(profile, async (client) => {
+    const type = await client.exists(remotePath);
+    if (type === 'd') {
+      await client.rmdir(remotePath, true);
+    } else if (type) {
+      await client.delete(remotePath, true);
+    }
+    forgetPath(manifest, rel);
+  });
+}
+
+// Copy a server file or folder into the workspace at the same relative path.
+// Downloaded files are recorded as in sync. Returns the number of files written.
+function downloadRemotePath({ profile, localRoot, remoteRoot, rel, manifest = {} }) {
+  return withClient(profile, async (client) => {
+    const remotePath = `${remoteRoot}/${rel}`;
+    const localPath = path.join(localRoot, ...rel.split('/'));
+    const type = await client.exists(remotePath);
+    if (!type) throw new Error(`${rel} does not exist on the server`);
+    if (type !== 'd') {
+      await downloadFile(client, remotePath, localPath, manifest, rel);
+      return 1;
+    }
+
+    const remote = await walkRemote(client, remotePath);
+    fs.mkdirSync(localPath, { recursive: true });
+    for (const dir of remote.dirs) {
+      fs.mkdirSync(path.join(localPath, ...dir.split('/')), { recursive: true });
+    }
+    for (const sub of remote.files.keys()) {
+      await downloadFile(client, `${remotePath}/${sub}`, path.join(localPath, ...sub.split('/')), manifest, `${rel}/${sub}`);
+    }
+    return remote.files.size;
+  });
+}
+
+// Settle a conflict. resolution: 'local' pushes the local file (or deletes the server copy
+// when the local one is gone), 'remote' takes the server copy (or deletes the local file),
+// 'merged' writes content locally and pushes it.
+async function resolveConflict({ profile, localRoot, remoteRoot, rel, resolution, content, manifest }) {
+  const client = new SftpClient('bobocloud-sync');
+  const remotePath = `${remoteRoot}/${rel}`;
+  const localPath = path.join(localRoot, ...rel.split('/'));
+
+  try {
+    await client.connect(connectionOptions(profile));
+    if (resolution === 'merged') {
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+      fs.writeFileSync(localPath, content, 'utf-8');
+    }
+
+    if (resolution === 'remote') {
+      if (await client.exists(remotePath)) {
+        await downloadFile(client, remotePath, localPath, manifest, rel);
+      } else {
+        fs.rmSync(localPath, { force: true });
+        delete manifest[rel];
+      }
+    } else if (fs.existsSync(localPath)) {
+      await client.mkdir(path.posix.dirname(remotePath), true);
+      await client.fastPut(localPath, remotePath);
+      const stat = fs.statSync(localPath);
+      manifest[rel] = await rememberRemote(client, remotePath, { hash: hashFile(localPath), size: stat.size });
+    } else {
+      await client.delete(remotePath, true);
+      delete manifest[rel];
+    }
+  } finally {
+    try { await client.end(); } catch {}
+  }
+}
+
+module.exports = {
+  REMOTE_BASE,
+  connectionOptions,
+  expandHome,
+  remoteRootFor,
+  loadManifest,
+  saveManifest,
+  walkLocal,
+  syncDirectory,
+  syncPaths,
+  syncTwoWay,
+  readRemoteFile,
+  writeRemoteFile,
+  listRemoteDir,
+  deleteRemotePath,
+  downloadRemotePath,
+  resolveConflict
+};
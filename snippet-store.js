@@ -0,0 +1,112 @@
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+
+// Snippet libraries in the VS Code layout, keyed by Monaco language id ('*' = every language):
+// { "python": { "Function": { "prefix": "def", "body": "def ${1:name}():\n\t${0}", "description": "" } } }
+// body may also be an array of lines. The user library lives in userData, the workspace one
+// in .bobocloud/snippets.json; workspace snippets replace user snippets of the same name.
+const USER_SNIPPETS_FILE = 'snippets.json';
+const WORKSPACE_SNIPPETS_FILE = path.join('.bobocloud', 'snippets.json');
+const WATCH_INTERVAL = 1000;
+
+// Written to the user library the first time it is loaded
+const DEFAULT_SNIPPETS = {
+  python: {
+    'Function': { prefix: 'def', body: 'def ${1:name}(${2:args}):\n\t${0}', description: 'Function definition' },
+    'Class': { prefix: 'class', body: 'class ${1:Name}:\n\tdef __init__(self${2}):\n\t\t${0}', description: 'Class definition' },
+    'Print': { prefix: 'print', body: 'print(${1})', description: 'print()' },
+    'Main guard': { prefix: 'ifmain', body: "if __name__ == '__main__':\n\t${0}", description: "if __name__ == '__main__'" }
+  },
+  cpp: {
+    'Include iostream': { prefix: '#include <iostream>', body: '#include <iostream>\nusing namespace std;\n', description: 'iostream and using namespace std' },
+    'Main': { prefix: 'main', body: 'int main(){\n\t${0}\n\treturn 0;\n}', description: 'main function' }
+  },
+  java: {
+    'Main': { prefix: 'main', body: 'public static void main(String[] args){\n\t${0}\n}', description: 'main method' }
+  }
+};
+
+let watchedFiles = [];
+
+function userSnippetsPath() {
+  return path.join(app.getPath('userData'), USER_SNIPPETS_FILE);
+}
+
+function snippetsPath(scope, root) {
+  return scope === 'workspace' ? path.join(root, WORKSPACE_SNIPPETS_FILE) : userSnippetsPath();
+}
+
+// Keep well-formed entries only; bodies become strings
+function normalizeSnippets(raw) {
+  const result = {};
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return result;
+  for (const [language, entries] of Object.entries(raw)) {
+    if (!entries || typeof entries !== 'object') continue;
+    for (const [name, snippet] of Object.entries(entries)) {
+      if (!snippet || (typeof snippet.body !== 'string' && !Array.isArray(snippet.body))) continue;
+      result[language] = result[language] || {};
+      result[language][name] = {
+        prefix: typeof snippet.prefix === 'string' && snippet.prefix ? snippet.prefix : name,
+        body: Array.isArray(snippet.body) ? snippet.body.join('\n') : snippet.body,
+        description: typeof snippet.description === 'string' ? snippet.description : ''
+      };
+    }
+  }
+  return result;
+}
+
+// { path, snippets, error }; a missing file is an empty library, a broken one reports why
+function readSnippetFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf-8');
+  } catch {
+    return { path: file, snippets: {}, error: null };
+  }
+  try {
+    return { path: file, snippets: normalizeSnippets(JSON.parse(text)), error: null };
+  } catch (error) {
+    return { path: file, snippets: {}, error: error.message };
+  }
+}
+
+function saveSnippets(scope, root, snippets) {
+  const file = snippetsPath(scope, root);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(normalizeSnippets(snippets), null, 2), 'utf-8');
+}
+
+// Both libraries; root is null when no workspace is open
+function loadSnippets(root) {
+  const userFile = userSnippetsPath();
+  if (!fs.existsSync(userFile)) {
+    try {
+      saveSnippets('user', root, DEFAULT_SNIPPETS);
+    } catch (error) {
+      console.error('Error writing default snippets:', error);
+    }
+  }
+  return {
+    user: readSnippetFile(userFile),
+    workspace: root ? readSnippetFile(snippetsPath('workspace', root)) : { path: null, snippets: {}, error: null }
+  };
+}
+
+// Poll the library files: editors often replace a file on save, which fs.watch loses track of
+function watchSnippets(root, onChange) {
+  for (const file of watchedFiles) fs.unwatchFile(file);
+  watchedFiles = [userSnippetsPath(), ...(root ? [snippetsPath('workspace', root)] : [])];
+  for (const file of watchedFiles) {
+    fs.watchFile(file, { interval: WATCH_INTERVAL }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) onChange();
+    });
+  }
+}
+
+module.exports = {
+  snippetsPath,
+  loadSnippets,
+  saveSnippets,
+  watchSnippets
+};
@@ -0,0 +1,72 @@
+// In-memory log of the sync runs of this session, newest first, for the status bar's history.
+// A run: { id, kind: 'full' | 'changes', trigger: 'manual' | 'auto' | 'run' | 'retry', mode, profile,
+//   root, paths (changes only), startedAt, finishedAt, success, error, files: [{ action, path }],
+//   moreFiles, uploaded, downloaded, deleted, skipped, conflicts }
+const MAX_HISTORY = 50;
+const MAX_FILES = 2000; // file entries kept per run; the rest are only counted
+
+let history = [];
+let nextId = 1;
+
+function beginSync({ kind, trigger, mode, profile, root, paths = null }) {
+  const run = {
+    id: nextId++,
+    kind,
+    trigger,
+    mode,
+    profile,
+    root,
+    paths,
+    startedAt: Date.now(),
+    finishedAt: null,
+    success: null,
+    error: null,
+    files: [],
+    moreFiles: 0,
+    uploaded: 0,
+    downloaded: 0,
+    deleted: 0,
+    skipped: 0,
+    conflicts: []
+  };
+  history = [run, ...history].slice(0, MAX_HISTORY);
+  return run;
+}
+
+function recordProgress(run, { action, path }) {
+  if (run.files.length < MAX_FILES) run.files.push({ action, path });
+  else run.moreFiles++;
+}
+
+function endSync(run, result) {
+  run.finishedAt = Date.now();
+  run.success = !!result.success;
+  run.error = result.error || null;
+  run.uploaded = result.uploaded || 0;
+  run.downloaded = result.downloaded || 0;
+  run.deleted = result.deleted || 0;
+  run.skipped = result.skipped || 0;
+  run.conflicts = result.conflicts || [];
+}
+
+function syncHistory() {
+  return history;
+}
+
+function findSync(id) {
+  return history.find(run => run.id === id) || null;
+}
+
+// Latest finished run of root, or the latest successful one
+function lastSync(root, successOnly = false) {
+  return history.find(run => run.root === root && run.finishedAt && (!successOnly || run.success)) || null;
+}
+
+module.exports = {
+  beginSync,
+  recordProgress,
+  endSync,
+  syncHistory,
+  findSync,
+  lastSync
+};
@@ -0,0 +1,141 @@
+const path = require('path');
+const fs = require('fs');
+
+// Project ignore file next to .gitignore; same syntax, applies to sync, watchers and the explorer
+const IGNORE_FILE = '.bobocloudignore';
+const GITIGNORE = '.gitignore';
+
+// Excluded unless re-included with "!name/" in one of the ignore files
+const DEFAULT_PATTERNS = ['.git/', 'node_modules/', '.venv/', 'venv/', '__pycache__/'];
+
+// Translate one gitignore glob into a regular expression over posix paths
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      let set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      if (set[0] === '!') set = `^${set.slice(1)}`;
+      source += `[${set}]`;
+      i = end;
+    } else if (ch === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+// One line of an ignore file, relative to the folder holding it (base, '' = workspace root)
+function compilePattern(line, base) {
+  let text = line.replace(/(?<!\\)\s+$/, '');
+  if (!text || text.startsWith('#')) return null;
+
+  const negate = text.startsWith('!');
+  if (negate) text = text.slice(1);
+  if (text.startsWith('\\')) text = text.slice(1);
+  const dirOnly = text.endsWith('/');
+  if (dirOnly) text = text.slice(0, -1);
+  if (!text) return null;
+
+  // A slash anywhere but the end anchors the pattern to base, otherwise it matches at any depth
+  const anchored = text.includes('/');
+  if (text.startsWith('/')) text = text.slice(1);
+  const body = globToRegExp(text);
+  return {
+    negate,
+    dirOnly,
+    base,
+    regex: new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`)
+  };
+}
+
+function readPatterns(filePath, base) {
+  let text = '';
+  try {
+    text = fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return [];
+  }
+  return text.split(/\r?\n/).map(line => compilePattern(line, base)).filter(Boolean);
+}
+
+// Matcher for a workspace: built-in defaults, then .gitignore files (the one in each folder
+// applies below it), then .bobocloudignore. As in git, the last matching rule wins and
+// nothing inside an excluded folder can be re-included.
+function loadIgnore(root) {
+  const rootRules = [
+    ...DEFAULT_PATTERNS.map(p => compilePattern(p, '')),
+    ...readPatterns(path.join(root, GITIGNORE), '')
+  ];
+  const projectRules = readPatterns(path.join(root, IGNORE_FILE), '');
+  const folderRules = new Map(); // rel folder -> rules of its own .gitignore
+  const results = new Map();
+
+  const rulesIn = (dir) => {
+    if (!folderRules.has(dir)) {
+      folderRules.set(dir, readPatterns(path.join(root, ...dir.split('/'), GITIGNORE), dir));
+    }
+    return folderRules.get(dir);
+  };
+
+  const matchSelf = (rel, isDir) => {
+    const parts = rel.split('/');
+    const rules = [...rootRules];
+    for (let i = 1; i < parts.length; i++) rules.push(...rulesIn(parts.slice(0, i).join('/')));
+    rules.push(...projectRules);
+
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDir) continue;
+      const subject = rule.base ? rel.slice(rule.base.length + 1) : rel;
+      if (rule.regex.test(subject)) ignored = !rule.negate;
+    }
+    return ignored;
+  };
+
+  // rel: workspace-relative posix path
+  const ignores = (rel, isDir = false) => {
+    if (!rel) return false;
+    const cacheKey = `${isDir ? 'd' : 'f'}:${rel}`;
+    if (results.has(cacheKey)) return results.get(cacheKey);
+
+    const parent = rel.includes('/') ? rel.slice(0, rel.lastIndexOf('/')) : '';
+    const ignored = (parent && ignores(parent, true)) || matchSelf(rel, isDir);
+    results.set(cacheKey, ignored);
+    return ignored;
+  };
+
+  return { ignores };
+}
+
+// True for the files whose edits change the ignore rules themselves
+function isIgnoreFile(name) {
+  return name === GITIGNORE || name === IGNORE_FILE;
+}
+
+module.exports = {
+  IGNORE_FILE,
+  DEFAULT_PATTERNS,
+  globToRegExp,
+  loadIgnore,
+  isIgnoreFile
+};
@@ -0,0 +1,103 @@
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { expandHome } = require('./sftp-sync');
+
+// Finds the external programs the editor starts itself (rclone, git, ssh, language servers,
+// compilers) on Windows, macOS and Linux. A configured path may name the program or the folder
+// holding it; otherwise rclone comes from the copy shipped in resources/rclone (extraResources)
+// and everything else from PATH plus the usual install folders, since apps started from the
+// Finder or a desktop launcher get a minimal PATH.
+const IS_WINDOWS = process.platform === 'win32';
+
+function extraDirs(name) {
+  if (process.platform === 'darwin') return ['/opt/homebrew/bin', '/usr/local/bin', '/opt/local/bin'];
+  if (!IS_WINDOWS) return ['/usr/local/bin', '/snap/bin', path.join(os.homedir(), '.local', 'bin')];
+
+  const programFiles = process.env.ProgramFiles || 'C:\\Program Files';
+  const dirs = {
+    git: [path.join(programFiles, 'Git', 'cmd')],
+    ssh: [path.join(process.env.SystemRoot || 'C:\\Windows', 'System32', 'OpenSSH'), path.join(programFiles, 'Git', 'usr', 'bin')],
+    gcc: ['C:\\msys64\\ucrt64\\bin', 'C:\\msys64\\mingw64\\bin'],
+    'g++': ['C:\\msys64\\ucrt64\\bin', 'C:\\msys64\\mingw64\\bin'],
+    clang: [path.join(programFiles, 'LLVM', 'bin')],
+    clangd: [path.join(programFiles, 'LLVM', 'bin')],
+    rclone: [path.join(programFiles, 'rclone')]
+  };
+  return dirs[name] || [];
+}
+
+// File names tried for a command: Windows adds the PATHEXT extensions unless one is given
+function executableNames(name) {
+  if (!IS_WINDOWS || path.extname(name)) return [name];
+  const extensions = (process.env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean);
+  return extensions.map(ext => name + ext.toLowerCase());
+}
+
+function isExecutable(file) {
+  try {
+    if (!fs.statSync(file).isFile()) return false;
+    if (!IS_WINDOWS) fs.accessSync(file, fs.constants.X_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function findIn(dirs, name) {
+  for (const dir of dirs) {
+    for (const file of executableNames(name)) {
+      const candidate = path.join(dir, file);
+      if (isExecutable(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+function findOnPath(name) {
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  return findIn([...dirs, ...extraDirs(name)], name);
+}
+
+// resources/rclone when packaged, ./rclone when run from the source tree. A folder per
+// platform (e.g. rclone/linux-x64) lets one build carry several binaries.
+function bundledRclone() {
+  const base = app.isPackaged ? path.join(process.resourcesPath, 'rclone') : path.join(__dirname, 'rclone');
+  return findIn([path.join(base, `${process.platform}-${process.arch}`), base], 'rclone');
+}
+
+// A configured file or folder; a bare command name is looked up on PATH
+function resolveConfigured(name, configured) {
+  const value = expandHome(configured.trim());
+  if (!/[/\\]/.test(value)) return findOnPath(value);
+  let stat = null;
+  try {
+    stat = fs.statSync(value);
+  } catch {}
+  if (stat && stat.isDirectory()) return findIn([value], name);
+  return isExecutable(value) ? value : findIn([path.dirname(value)], path.basename(value));
+}
+
+// { path, source: 'settings' | 'bundled' | 'path' } or { path: null, error }.
+// name may itself be a path (language servers configured by full path).
+function resolveTool(name, configured = '') {
+  if (/[/\\]/.test(name)) {
+    configured = name;
+    name = path.basename(name, path.extname(name));
+  }
+  if (configured && configured.trim()) {
+    const found = resolveConfigured(name, configured);
+    return found
+      ? { path: found, source: 'settings' }
+      : { path: null, error: `${name} not found at ${configured}` };
+  }
+  const bundled = name === 'rclone' ? bundledRclone() : null;
+  if (bundled) return { path: bundled, source: 'bundled' };
+  const found = findOnPath(name);
+  return found ? { path: found, source: 'path' } : { path: null, error: `${name} not found in PATH` };
+}
+
+module.exports = {
+  resolveTool
+};
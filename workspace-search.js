@@ -0,0 +1,219 @@
+const path = require('path');
+const fs = require('fs');
+const { Worker } = require('worker_threads');
+const { walkLocal } = require('./sftp-sync');
+const { globToRegExp } = require('./sync-ignore');
+
+// Larger files and files with NUL bytes are treated as binary and skipped
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+const MAX_MATCHES = 5000;
+const PREVIEW_CONTEXT = 60;
+// Searches stop between files after this long; one stuck inside a file (a runaway regex) is
+// ended a little later by terminating its worker
+const MAX_SEARCH_MS = 5000;
+const WORKER_GRACE_MS = 2000;
+
+// options: { query, regex, caseSensitive, wholeWord }; throws on an invalid regex
+function buildSearchRegExp({ query, regex, caseSensitive, wholeWord }) {
+  let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (wholeWord) source = `\\b(?:${source})\\b`;
+  return new RegExp(source, caseSensitive ? 'gm' : 'gim');
+}
+
+// "*.py, src/, !tests" style list; a pattern without a slash matches a name at any depth
+// and a folder matches everything below it. Returns null for an empty list.
+function globListMatcher(text) {
+  const patterns = String(text || '')
+    .split(',')
+    .map(p => p.trim().replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, ''))
+    .filter(Boolean)
+    .map(p => {
+      const anchored = p.includes('/');
+      const body = globToRegExp(p.replace(/^\//, ''));
+      return new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`);
+    });
+  if (!patterns.length) return null;
+
+  return (rel) => {
+    const parts = rel.split('/');
+    for (let i = parts.length; i > 0; i--) {
+      const sub = parts.slice(0, i).join('/');
+      if (patterns.some(re => re.test(sub))) return true;
+    }
+    return false;
+  };
+}
+
+// Replacement text for one match: $$, $&, $1..$99 and $<name> as in String.prototype.replace
+function expandReplacement(replacement, match, regex) {
+  if (!regex) return replacement;
+  return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, what, name) => {
+    if (what === '$') return '$';
+    if (what === '&') return match[0];
+    if (name !== undefined) return match.groups && match.groups[name] !== undefined ? match.groups[name] : token;
+    const index = Number(what);
+    if (index > 0 && index < match.length) return match[index] === undefined ? '' : match[index];
+    return token;
+  });
+}
+
+// Every match in text with 1-based line/column ranges and a one-line preview
+function findMatches(text, re, replacement, options, limit) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+  const position = (offset) => {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+    }
+    return { line: lo + 1, column: offset - lineStarts[lo] + 1 };
+  };
+
+  const matches = [];
+  re.lastIndex = 0;
+  let m;
+  while ((m = re.exec(text)) && matches.length < limit) {
+    if (m[0] === '') {
+      re.lastIndex++;
+      continue;
+    }
+    const start = position(m.index);
+    const end = position(m.index + m[0].length);
+    const lineStart = lineStarts[start.line - 1];
+    let lineEnd = text.indexOf('\n', lineStart);
+    if (lineEnd === -1) lineEnd = text.length;
+
+    // Trim long lines around the match; multi-line matches are cut at the end of the first line
+    const from = Math.max(lineStart, m.index - PREVIEW_CONTEXT);
+    const matchEnd = Math.min(m.index + m[0].length, lineEnd);
+    const to = Math.min(lineEnd, matchEnd + PREVIEW_CONTEXT);
+    matches.push({
+      line: start.line,
+      column: start.column,
+      endLine: end.line,
+      endColumn: end.column,
+      before: (from > lineStart ? '…' : '') + text.slice(from, m.index).replace(/^\s+/, ''),
+      text: text.slice(m.index, matchEnd).replace(/\r$/, ''),
+      after: text.slice(matchEnd, to).replace(/\s+$/, '') + (to < lineEnd ? '…' : ''),
+      replacement: replacement === undefined ? undefined : expandReplacement(replacement, m, options.regex)
+    });
+  }
+  return matches;
+}
+
+// Text of a workspace file; overrides (full path -> text) stand in for unsaved editor buffers
+function readSearchable(full, size, overrides) {
+  if (overrides && typeof overrides[full] === 'string') return overrides[full];
+  if (size > MAX_FILE_SIZE) return null;
+  let buffer;
+  try {
+    buffer = fs.readFileSync(full);
+  } catch {
+    return null;
+  }
+  if (buffer.subarray(0, 8000).includes(0)) return null;
+  return buffer.toString('utf-8');
+}
+
+// Files of root that pass the ignore rules and the include/exclude lists
+function searchableFiles(root, { include, exclude }, ignore) {
+  const included = globListMatcher(include);
+  const excluded = globListMatcher(exclude);
+  const skip = (rel, isDir) => (ignore && ignore.ignores(rel, isDir)) || (!!excluded && excluded(rel));
+  const { files } = walkLocal(root, skip);
+  return [...files.entries()]
+    .filter(([rel]) => !included || included(rel))
+    .sort(([a], [b]) => a.localeCompare(b));
+}
+
+// Search the workspace. With options.replace set, each match also carries its replacement text.
+// Returns { files: [{ path, rel, matches }], matchCount, truncated, timedOut }.
+function searchWorkspace(root, options, { ignore, overrides } = {}) {
+  const re = buildSearchRegExp(options);
+  const result = { files: [], matchCount: 0, truncated: false, timedOut: false };
+  const deadline = Date.now() + MAX_SEARCH_MS;
+
+  for (const [rel, entry] of searchableFiles(root, options, ignore)) {
+    if (Date.now() > deadline) {
+      result.timedOut = true;
+      break;
+    }
+    const text = readSearchable(entry.full, entry.size, overrides);
+    if (text === null) continue;
+    const matches = findMatches(text, re, options.replace, options, MAX_MATCHES - result.matchCount);
+    if (!matches.length) continue;
+    result.files.push({ path: entry.full, rel, matches });
+    result.matchCount += matches.length;
+    if (result.matchCount >= MAX_MATCHES) {
+      result.truncated = true;
+      break;
+    }
+  }
+  return result;
+}
+
+// searchWorkspace in a worker thread (search-worker.js) so a slow search cannot stall the main process
+function searchInWorker(root, options, overrides) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'search-worker.js'), { workerData: { root, options, overrides } });
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      fn(value);
+    };
+    const timer = setTimeout(() => {
+      settle(reject, new Error(`Search stopped after ${(MAX_SEARCH_MS + WORKER_GRACE_MS) / 1000}s; try a simpler pattern`));
+    }, MAX_SEARCH_MS + WORKER_GRACE_MS);
+    worker.once('message', ({ result, error }) => (error ? settle(reject, new Error(error)) : settle(resolve, result)));
+    worker.once('error', error => settle(reject, error));
+    worker.once('exit', () => settle(reject, new Error('Search worker exited without a result')));
+  });
+}
+
+// New contents for the given workspace-relative files with every match replaced.
+// Nothing is written here; returns [{ path, rel, content, count }] for changed files.
+function replaceInWorkspace(root, options, rels, { overrides } = {}) {
+  const re = buildSearchRegExp(options);
+  const changes = [];
+
+  for (const rel of rels) {
+    const full = path.join(root, ...rel.split('/'));
+    let size = 0;
+    try { size = fs.statSync(full).size; } catch { continue; }
+    const text = readSearchable(full, size, overrides);
+    if (text === null) continue;
+
+    // Same walk as findMatches so the result matches the preview
+    let content = '';
+    let last = 0;
+    let count = 0;
+    let m;
+    re.lastIndex = 0;
+    while ((m = re.exec(text))) {
+      if (m[0] === '') {
+        re.lastIndex++;
+        continue;
+      }
+      content += text.slice(last, m.index) + expandReplacement(options.replace, m, options.regex);
+      last = m.index + m[0].length;
+      count++;
+    }
+    if (!count) continue;
+    changes.push({ path: full, rel, content: content + text.slice(last), count });
+  }
+  return changes;
+}
+
+module.exports = {
+  buildSearchRegExp,
+  searchWorkspace,
+  searchInWorker,
+  replaceInWorkspace
+};